@@ -0,0 +1,413 @@
+const { buildLegalAnalysisPrompt, buildJsonRepairPrompt, PROMPT_VERSION } = require('./prompts');
+const { splitIntoChunks, pageRangeFor } = require('./chunker');
+const { parseAnalysis } = require('./schema');
+const { anchorAnalysis } = require('./anchors');
+const { groundAnalysis } = require('./grounding');
+const { createSectionScanner } = require('./streaming');
+const { detectClauses } = require('./rules');
+const { createRedactor } = require('./redaction');
+const { detectLanguage, DEFAULT_OUTPUT_LANGUAGE } = require('./language');
+const { selectProfile, weightRules, checkClauses } = require('./profiles');
+const { analysisCacheKey } = require('./store/analysisCache');
+const { mergeParties, attributeObligations } = require('./parties');
+const { EmptyDocumentError } = require('./extract');
+
+const RISK_ORDER = { low: 0, medium: 1, high: 2 };
+
+// How many chunks are sent to the model at once
+const CHUNK_CONCURRENCY = 3;
+// How many times the original prompt is re-sent after a reply that cannot be repaired
+const MAX_RETRIES = 2;
+
+class AnalysisParseError extends Error {
+  constructor(message, chunkIndex) {
+    super(message);
+    this.name = 'AnalysisParseError';
+    this.chunkIndex = chunkIndex;
+  }
+}
+
+/**
+ * Runs `worker` over `items` with at most `limit` calls in flight, preserving order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Streams a reply from the provider, reporting each analysis section as soon as it is complete
+ */
+async function streamReply(provider, prompt, onSection, signal) {
+  const scanner = createSectionScanner(onSection);
+  let responseText = '';
+  for await (const delta of provider.stream(prompt, { signal })) {
+    if (signal) signal.throwIfAborted();
+    responseText += delta;
+    scanner.write(delta);
+  }
+  return responseText;
+}
+
+/**
+ * Sends a prompt and returns a schema-valid analysis. Each invalid reply gets
+ * one "fix this JSON" pass; if that fails too, the prompt is retried, up to
+ * MAX_RETRIES times. With `onSection` the first reply is streamed and its
+ * sections reported as they arrive; they are a preview, the returned
+ * analysis is authoritative.
+ * @param {{ onSection?: (event: string, value: any) => void, signal?: AbortSignal }} options
+ * @returns {Promise<{ analysis: object, attempts: number, repaired: boolean }>}
+ */
+async function generateAnalysis(provider, prompt, label = 'analysis', { onSection, signal } = {}) {
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= MAX_RETRIES + 1; attempt++) {
+    if (signal) signal.throwIfAborted();
+    const responseText = attempt === 1 && onSection && provider.stream
+      ? await streamReply(provider, prompt, onSection, signal)
+      : await provider.generate(prompt, { signal });
+    const first = parseAnalysis(responseText);
+    if (first.analysis) return { analysis: first.analysis, attempts: attempt, repaired: false };
+
+    console.warn(`⚠️ Invalid ${label} (attempt ${attempt}): ${first.errors.slice(0, 3).join('; ')}`);
+
+    const repairedText = await provider.generate(buildJsonRepairPrompt(responseText, first.errors), { signal });
+    const repaired = parseAnalysis(repairedText);
+    if (repaired.analysis) {
+      console.log(`🔧 Repaired ${label} on attempt ${attempt}`);
+      return { analysis: repaired.analysis, attempts: attempt, repaired: true };
+    }
+
+    lastErrors = repaired.errors;
+  }
+
+  console.error(`❌ Giving up on ${label}:`, lastErrors);
+  throw new AnalysisParseError('Failed to parse analysis from AI service');
+}
+
+/**
+ * Sends one chunk to the model and returns its validated analysis. With a
+ * `redactor` the model only sees placeholders for personal data, and the
+ * real values are put back into the analysis and the streamed sections.
+ * `language` holds the document's detected language and the output language,
+ * `profile` the document type's profile, if any.
+ */
+async function analyzeChunk(provider, chunk, total, query, { redactor, language, profile, onSection, signal }) {
+  const part = { index: chunk.index, total };
+  const prompt = redactor
+    ? buildLegalAnalysisPrompt(redactor.redact(chunk.text), redactor.redact(query), part, { ...language, profile, redacted: true })
+    : buildLegalAnalysisPrompt(chunk.text, query, part, { ...language, profile });
+  const label = total > 1 ? `analysis of chunk ${chunk.index + 1}/${total}` : 'analysis';
+  try {
+    const result = await generateAnalysis(provider, prompt, label, {
+      signal,
+      onSection: onSection && redactor ? (type, value) => onSection(type, redactor.restore(value)) : onSection
+    });
+    return redactor ? { ...result, analysis: redactor.restore(result.analysis) } : result;
+  } catch (error) {
+    if (error instanceof AnalysisParseError) error.chunkIndex = chunk.index;
+    throw error;
+  }
+}
+
+function normalizeKey(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Keeps the first item for every distinct key, in original order; items without a key are kept
+ */
+function dedupeBy(items, keyOf) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = keyOf(item);
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function highestRisk(levels) {
+  return levels.reduce((highest, level) => {
+    const normalized = String(level || '').toLowerCase();
+    return normalized in RISK_ORDER && RISK_ORDER[normalized] > RISK_ORDER[highest] ? normalized : highest;
+  }, 'low');
+}
+
+/**
+ * Merges per-chunk analyses into a single analysis object
+ */
+function mergeAnalyses(analyses, chunks, pages) {
+  if (analyses.length === 1) return analyses[0];
+
+  // Sort before deduping so the highest-rated copy of a repeated clause wins
+  const riskFactors = dedupeBy(
+    analyses.flatMap(a => a.riskAssessment.riskFactors || [])
+      .sort((a, b) => (RISK_ORDER[b.risk] ?? -1) - (RISK_ORDER[a.risk] ?? -1)),
+    factor => normalizeKey(factor.clause)
+  );
+
+  const simplified = analyses.map((a, i) => {
+    const range = pageRangeFor(chunks[i].start, chunks[i].end, pages);
+    const label = range
+      ? `Part ${i + 1} (${range.to !== range.from ? `pages ${range.from}–${range.to}` : `page ${range.from}`})`
+      : `Part ${i + 1}`;
+    return `${label}: ${a.simplified}`;
+  }).join('\n\n');
+
+  return {
+    simplified,
+    riskAssessment: {
+      overallRisk: highestRisk([
+        ...analyses.map(a => a.riskAssessment.overallRisk),
+        ...riskFactors.map(f => f.risk)
+      ]),
+      riskFactors
+    },
+    keyTerms: dedupeBy(analyses.flatMap(a => a.keyTerms || []), term => normalizeKey(term.term)),
+    actionItems: dedupeBy(analyses.flatMap(a => a.actionItems || []), item => normalizeKey(item.action)),
+    warnings: dedupeBy(analyses.flatMap(a => a.warnings || []), normalizeKey),
+    parties: mergeParties(analyses.flatMap(a => a.parties || [])),
+    obligations: dedupeBy(
+      analyses.flatMap(a => a.obligations || []),
+      obligation => normalizeKey(`${obligation.obligor} ${obligation.obligation}`)
+    )
+  };
+}
+
+/**
+ * Whether an unanchored model risk factor is about the same clause as a rule
+ * finding: the model named the rule (`ruleId` or `category`), or its title
+ * contains the rule's name or id, as "Automatic renewal clause" does
+ */
+function namesRule(factor, finding) {
+  if (factor.ruleId === finding.ruleId || factor.category === finding.ruleId) return true;
+  const title = ` ${normalizeKey(factor.clause)} `;
+  return [finding.ruleName, finding.ruleId]
+    .map(normalizeKey)
+    .some(name => name && title.includes(` ${name} `));
+}
+
+/**
+ * Merges clause-rule findings into an anchored analysis. A finding on a
+ * clause the model already flagged (the same text, or by name when the
+ * model's clause couldn't be found in the text) is folded into that risk
+ * factor, which is never rated below the rule; other findings are added.
+ * Every risk factor gets a `source` of "model" or "rule".
+ */
+function mergeRuleFindings(analysis, findings) {
+  const modelFactors = analysis.riskAssessment.riskFactors.map(factor => ({ ...factor, source: 'model' }));
+  const ruleFactors = [];
+
+  findings.forEach(finding => {
+    const same = modelFactors.find(factor =>
+      factor.location && factor.location.start < finding.location.end && finding.location.start < factor.location.end
+    ) || modelFactors.find(factor => !factor.location && namesRule(factor, finding));
+    if (same) {
+      same.risk = highestRisk([same.risk, finding.risk]);
+      if (!(same.ruleIds || []).includes(finding.ruleId)) same.ruleIds = [...(same.ruleIds || []), finding.ruleId];
+    } else {
+      ruleFactors.push(finding);
+    }
+  });
+
+  const riskFactors = [...modelFactors, ...ruleFactors];
+  return {
+    ...analysis,
+    riskAssessment: {
+      ...analysis.riskAssessment,
+      overallRisk: highestRisk([analysis.riskAssessment.overallRisk, ...riskFactors.map(f => f.risk)]),
+      riskFactors
+    }
+  };
+}
+
+/**
+ * Stand-in analysis built from the clause rules alone, for when the model can't be used
+ */
+function ruleOnlyAnalysis(findings) {
+  return {
+    simplified: 'The AI analysis could not be completed, so no plain-English summary is available. The clauses below were found by the built-in clause rules, which only look for common risky clauses; other risks have not been assessed. Try again later for a full analysis.',
+    riskAssessment: {
+      overallRisk: highestRisk(findings.map(f => f.risk)),
+      riskFactors: findings
+    },
+    keyTerms: [],
+    actionItems: [],
+    warnings: [],
+    parties: [],
+    obligations: []
+  };
+}
+
+/**
+ * Sends every chunk to the model, a few at a time, reporting progress to `onEvent`
+ */
+async function analyzeChunks(provider, chunks, query, { redactor, language, profile, onEvent, signal }) {
+  let completed = 0;
+  return mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async chunk => {
+    const result = await analyzeChunk(provider, chunk, chunks.length, query, {
+      redactor,
+      language,
+      profile,
+      signal,
+      onSection: onEvent && ((type, value) => onEvent(type, { chunk: chunk.index, value }))
+    });
+    if (onEvent) onEvent('progress', { completed: ++completed, total: chunks.length });
+    return result;
+  });
+}
+
+/**
+ * Analyzes a document of any length: splits it into section-aligned chunks,
+ * analyzes each chunk, merges the results, anchors them to the source text
+ * and checks that what the model quoted actually exists in it. Each
+ * obligation is linked to the parties it names (see lib/parties).
+ *
+ * `onEvent(type, data)` receives progress while the analysis runs: "start"
+ * with the chunk count, each section as it streams in ("simplified",
+ * "overallRisk", "riskFactor", "keyTerm", "actionItem", "warning", with the
+ * chunk it came from) and "progress" after every chunk. Aborting `signal`
+ * stops the analysis.
+ *
+ * The clause `rules` run alongside the model and their findings are merged
+ * into the risk factors. If the model fails and `fallbackToRules(error)`
+ * agrees (it does by default), a rules-only analysis is returned with the
+ * failure in `modelError` instead of throwing.
+ *
+ * With `redact`, personal data is replaced by placeholders before anything
+ * is sent to the model (see lib/redaction) and `redaction` reports what was
+ * replaced.
+ *
+ * The document's language is detected and explanations are written in
+ * `outputLanguage`, while quoted clauses and terms stay in the original.
+ *
+ * With document-type `profiles` (see lib/profiles) the document is
+ * classified, or analyzed as the `documentType` the user chose: the prompt
+ * gets that type's focus points, the clause rules its risk levels, and the
+ * analysis a `documentType` and a `clauseChecklist` of missing standard
+ * protections and unusual clauses.
+ *
+ * With a `cache` (see lib/store/analysisCache) the model's merged analysis
+ * is reused for the same text, question, options, prompt version and model;
+ * everything after the model (rules, anchoring, grounding) still runs.
+ * `bypassCache` skips the lookup but stores the fresh result. `cache.status`
+ * is "hit", "miss", "bypass" or "off".
+ * @param {object} provider - LLM provider from lib/providers
+ * @param {{ text: string, query?: string, pages?: Array, maxChunkChars?: number, rules?: Array, fallbackToRules?: (error: Error) => boolean, redact?: boolean, outputLanguage?: string, profiles?: Array, documentType?: string|null, cache?: object|null, bypassCache?: boolean, onEvent?: Function, signal?: AbortSignal }} options
+ * @returns {Promise<{ analysis: object, validation: object, chunks: Array, ruleMatches: number, modelError: string|null, redaction: object, language: { detected: object|null, output: string }, documentType: object|null, cache: { status: string, cachedAt?: string } }>}
+ * @throws {EmptyDocumentError} When the text is empty or only whitespace
+ */
+async function analyzeDocument(provider, {
+  text,
+  query = null,
+  pages = [],
+  maxChunkChars = 10000,
+  rules = [],
+  fallbackToRules = () => true,
+  redact = false,
+  outputLanguage = DEFAULT_OUTPUT_LANGUAGE,
+  profiles = [],
+  documentType = null,
+  cache = null,
+  bypassCache = false,
+  onEvent,
+  signal
+}) {
+  if (!text || !text.trim()) {
+    throw new EmptyDocumentError('The document has no text to analyze');
+  }
+
+  const chunks = splitIntoChunks(text, { maxChars: maxChunkChars });
+  const selected = profiles.length > 0 ? selectProfile(text, profiles, documentType) : null;
+  const profile = selected && selected.profile;
+  const findings = detectClauses(text, profile ? weightRules(rules, profile) : rules, pages);
+  // Detection covers the question too, which is sent along with every chunk
+  const redactor = redact ? createRedactor(query ? `${text}\n${query}` : text) : null;
+  const detectedLanguage = detectLanguage(text);
+  const language = { documentLanguage: detectedLanguage && detectedLanguage.code, outputLanguage };
+
+  if (chunks.length > 1) {
+    console.log(`✂️ Split document into ${chunks.length} chunks`);
+  }
+  if (selected) {
+    console.log(`📂 Analyzing as ${profile.name} (${selected.documentType.source})`);
+  }
+
+  const cacheKey = cache && analysisCacheKey({
+    text,
+    query,
+    promptVersion: PROMPT_VERSION,
+    model: `${provider.name}/${provider.model}`,
+    options: { redact, outputLanguage, documentType: profile && profile.id, maxChunkChars }
+  });
+  const cached = cacheKey && !bypassCache ? cache.get(cacheKey) : null;
+  const cacheInfo = cached
+    ? { status: 'hit', cachedAt: cached.cachedAt }
+    : { status: cache ? (bypassCache ? 'bypass' : 'miss') : 'off' };
+
+  if (onEvent) onEvent('start', { chunks: chunks.length, documentType: selected && selected.documentType, cached: !!cached });
+
+  let modelAnalysis = null;
+  let validation = { attempts: 0, repaired: 0 };
+  let modelError = null;
+  if (cached) {
+    console.log('⚡ Reusing cached model analysis');
+    modelAnalysis = cached.value.analysis;
+  } else {
+    try {
+      const results = await analyzeChunks(provider, chunks, query, { redactor, language, profile, onEvent, signal });
+      modelAnalysis = mergeAnalyses(results.map(r => r.analysis), chunks, pages);
+      validation = {
+        attempts: results.reduce((sum, r) => sum + r.attempts, 0),
+        repaired: results.filter(r => r.repaired).length
+      };
+      if (cache) cache.set(cacheKey, { analysis: modelAnalysis });
+    } catch (error) {
+      if ((signal && signal.aborted) || !fallbackToRules(error)) throw error;
+      console.warn(`⚠️ Model analysis failed, falling back to ${findings.length} rule finding(s): ${error.message}`);
+      modelError = error.message;
+    }
+  }
+
+  const analysis = modelError
+    ? ruleOnlyAnalysis(findings)
+    : mergeRuleFindings(anchorAnalysis(modelAnalysis, text, pages), findings);
+  // Warnings come back in the output language; only words in the document's language can be looked up in it
+  const translated = outputLanguage !== (language.documentLanguage || DEFAULT_OUTPUT_LANGUAGE);
+  const grounded = groundAnalysis(attributeObligations(analysis), text, { translated });
+
+  if (grounded.grounding.unsupported > 0) {
+    console.warn(`⚠️ ${grounded.grounding.unsupported} item(s) not found in the document`);
+  }
+
+  return {
+    analysis: selected
+      ? { ...grounded, documentType: selected.documentType, clauseChecklist: checkClauses(text, profile, pages, language.documentLanguage) }
+      : grounded,
+    validation,
+    chunks: chunks.map(chunk => ({
+      index: chunk.index,
+      start: chunk.start,
+      end: chunk.end,
+      pages: pageRangeFor(chunk.start, chunk.end, pages)
+    })),
+    ruleMatches: findings.length,
+    modelError,
+    redaction: redactor ? redactor.report() : { enabled: false },
+    language: { detected: detectedLanguage, output: outputLanguage },
+    documentType: selected && selected.documentType,
+    cache: cacheInfo
+  };
+}
+
+module.exports = { analyzeDocument, generateAnalysis, mergeAnalyses, highestRisk, AnalysisParseError };
@@ -0,0 +1,137 @@
+// Minimum share of a snippet's words that must appear in a passage for a fuzzy match
+const MIN_FUZZY_SCORE = 0.6;
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Splits text into lowercase words, keeping each word's character offsets
+ */
+function tokenize(text) {
+  const tokens = [];
+  WORD.lastIndex = 0;
+  let match;
+  while ((match = WORD.exec(text)) !== null) {
+    tokens.push({ word: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Looks for the snippet's words, in order, as a contiguous run of document words.
+ * This tolerates differences in whitespace, punctuation and case.
+ */
+function findExact(docTokens, snippetWords) {
+  const n = snippetWords.length;
+  for (let i = 0; i + n <= docTokens.length; i++) {
+    if (docTokens[i].word !== snippetWords[0]) continue;
+    let j = 1;
+    while (j < n && docTokens[i + j].word === snippetWords[j]) j++;
+    if (j === n) return { first: i, last: i + n - 1, score: 1 };
+  }
+  return null;
+}
+
+/**
+ * Slides a window the size of the snippet over the document and returns the
+ * window sharing the most words with it (bag-of-words overlap)
+ */
+function findFuzzy(docTokens, snippetWords) {
+  const n = snippetWords.length;
+  if (docTokens.length < n) return null;
+
+  const wanted = new Map();
+  snippetWords.forEach(word => wanted.set(word, (wanted.get(word) || 0) + 1));
+
+  const have = new Map();
+  let overlap = 0;
+  const add = word => {
+    const count = (have.get(word) || 0) + 1;
+    have.set(word, count);
+    if (count <= (wanted.get(word) || 0)) overlap++;
+  };
+  const remove = word => {
+    const count = have.get(word);
+    have.set(word, count - 1);
+    if (count <= (wanted.get(word) || 0)) overlap--;
+  };
+
+  for (let i = 0; i < n; i++) add(docTokens[i].word);
+
+  let best = { first: 0, last: n - 1, overlap };
+  for (let i = n; i < docTokens.length; i++) {
+    add(docTokens[i].word);
+    remove(docTokens[i - n].word);
+    if (overlap > best.overlap) best = { first: i - n + 1, last: i, overlap };
+  }
+
+  // Trim window edges that don't belong to the snippet so the highlight is tight
+  while (best.first < best.last && !wanted.has(docTokens[best.first].word)) best.first++;
+  while (best.last > best.first && !wanted.has(docTokens[best.last].word)) best.last--;
+
+  return { first: best.first, last: best.last, score: best.overlap / n };
+}
+
+/**
+ * Finds where a model-written snippet occurs in the source text
+ * @returns {{ start: number, end: number, score: number, match: 'exact'|'fuzzy' }|null}
+ */
+function locate(docTokens, snippet) {
+  const snippetWords = tokenize(String(snippet || '')).map(t => t.word);
+  if (snippetWords.length === 0) return null;
+
+  const exact = findExact(docTokens, snippetWords);
+  if (exact) {
+    return { start: docTokens[exact.first].start, end: docTokens[exact.last].end, score: 1, match: 'exact' };
+  }
+
+  // A one- or two-word snippet that isn't found verbatim is too ambiguous to place
+  if (snippetWords.length < 3) return null;
+
+  const fuzzy = findFuzzy(docTokens, snippetWords);
+  if (!fuzzy || fuzzy.score < MIN_FUZZY_SCORE) return null;
+
+  return {
+    start: docTokens[fuzzy.first].start,
+    end: docTokens[fuzzy.last].end,
+    score: Math.round(fuzzy.score * 100) / 100,
+    match: 'fuzzy'
+  };
+}
+
+function pageAt(offset, pages) {
+  const page = (pages || []).find(p => offset >= p.start && offset <= p.end);
+  return page ? page.page : null;
+}
+
+/**
+ * Adds a `location` ({ start, end, page, score, match } or null) to every
+ * risk factor, key term, action item and obligation by resolving it against
+ * the source text
+ * @param {object} analysis - Normalized analysis
+ * @param {string} text - The text that was analyzed
+ * @param {Array<{ page: number, start: number, end: number }>} pages
+ */
+function anchorAnalysis(analysis, text, pages = []) {
+  const docTokens = tokenize(text);
+
+  const withLocation = snippet => {
+    const found = locate(docTokens, snippet);
+    return found ? { ...found, page: pageAt(found.start, pages) } : null;
+  };
+
+  return {
+    ...analysis,
+    riskAssessment: {
+      ...analysis.riskAssessment,
+      riskFactors: analysis.riskAssessment.riskFactors.map(factor => ({
+        ...factor,
+        location: withLocation(factor.clause)
+      }))
+    },
+    keyTerms: analysis.keyTerms.map(term => ({ ...term, location: withLocation(term.term) })),
+    actionItems: analysis.actionItems.map(item => ({ ...item, location: withLocation(item.action) })),
+    obligations: (analysis.obligations || []).map(obligation => ({ ...obligation, location: withLocation(obligation.clause) }))
+  };
+}
+
+module.exports = { anchorAnalysis, locate, tokenize, pageAt };
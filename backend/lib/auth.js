@@ -0,0 +1,108 @@
+const { rateLimit } = require('express-rate-limit');
+const { quotaDay } = require('./store/apiKeys');
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Reads the API key a client sent, as an X-API-Key header or a bearer token
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header.trim();
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+function unauthorized(res, message) {
+  return res.status(401).json({
+    error: 'Unauthorized',
+    message
+  });
+}
+
+/**
+ * Seconds until the next UTC midnight, when daily quotas start over
+ */
+function secondsUntilQuotaReset(now = new Date()) {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+/**
+ * API-key middleware backed by the key store (see lib/store/apiKeys):
+ * `authenticate` identifies the caller, `rateLimit` applies each key's
+ * requests-per-minute limit and `chargeQuota` counts analyses against the
+ * key's daily quota. Routes call it once a request has passed validation, so
+ * rejected requests cost nothing. With `required` false, requests without a key pass
+ * unlimited, which is meant for local development; a wrong or revoked key is
+ * rejected either way.
+ * @param {{ store: object, required?: boolean }} options
+ */
+function createApiKeyAuth({ store, required = true }) {
+  function authenticate(req, res, next) {
+    const key = readApiKey(req);
+    if (!key) {
+      if (!required) return next();
+      return unauthorized(res, 'An API key is required. Send it in the X-API-Key header or as "Authorization: Bearer <key>".');
+    }
+
+    const apiKey = store.find(key);
+    if (!apiKey) return unauthorized(res, 'The API key is not valid.');
+    if (apiKey.revokedAt) return unauthorized(res, 'The API key has been revoked.');
+
+    store.markUsed(apiKey.id);
+    req.apiKey = apiKey;
+    next();
+  }
+
+  // Counted in memory per key; a restart gives every key a fresh minute
+  const limiter = rateLimit({
+    windowMs: RATE_WINDOW_MS,
+    limit: req => req.apiKey.rateLimit,
+    keyGenerator: req => req.apiKey.id,
+    skip: req => !req.apiKey,
+    standardHeaders: 'draft-8',
+    legacyHeaders: false,
+    // Clients are told apart by key, not address, so proxy headers don't matter here
+    validate: { xForwardedForHeader: false },
+    handler: (req, res) => {
+      const retryAfter = req.rateLimit.resetTime
+        ? Math.max(1, Math.ceil((req.rateLimit.resetTime.getTime() - Date.now()) / 1000))
+        : RATE_WINDOW_MS / 1000;
+      res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit of ${req.rateLimit.limit} requests per minute exceeded for this API key. Try again in ${retryAfter} seconds.`
+      });
+    }
+  });
+
+  /**
+   * Counts `count` analyses against the caller's daily quota, answering 429
+   * when there aren't that many left; requests without a key aren't counted
+   * @returns {boolean} Whether the request may go ahead
+   */
+  function chargeQuota(req, res, count = 1) {
+    if (!req.apiKey) return true;
+
+    const { dailyQuota: quota } = req.apiKey;
+    const { allowed, used } = store.consumeQuota(req.apiKey.id, quota, quotaDay(), count);
+    res.set('X-Daily-Quota-Limit', String(quota));
+    res.set('X-Daily-Quota-Remaining', String(Math.max(0, quota - used)));
+    if (!allowed) {
+      res.set('Retry-After', String(secondsUntilQuotaReset()));
+      res.status(429).json({
+        error: 'Too Many Requests',
+        message: used < quota
+          ? `This request needs ${count} analyses, but the daily quota for this API key has ${quota - used} left today. It resets at 00:00 UTC.`
+          : `The daily quota for this API key (${quota} analyses and questions per day) is used up. It resets at 00:00 UTC.`
+      });
+      return false;
+    }
+    return true;
+  }
+
+  return { authenticate, rateLimit: limiter, chargeQuota };
+}
+
+module.exports = { createApiKeyAuth, readApiKey };
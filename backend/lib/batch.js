@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const JSZip = require('jszip');
+const { isAcceptedUpload } = require('./extract');
+const { RISK_LEVELS } = require('./schema');
+
+const ZIP_MIMETYPES = ['application/zip', 'application/x-zip-compressed'];
+
+class BatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BatchError';
+  }
+}
+
+/**
+ * Whether an upload is a ZIP archive of documents rather than a document.
+ * A .docx is a ZIP file too, so the extension decides when there is one.
+ */
+function isZipUpload(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.zip') return true;
+  return !extension && ZIP_MIMETYPES.includes(file.mimetype);
+}
+
+// Folders and files archivers add that aren't part of the packet
+function isArchiveClutter(entryName) {
+  return entryName.startsWith('__MACOSX/') || entryName.split('/').some(part => part.startsWith('.'));
+}
+
+function formatMegabytes(bytes) {
+  return `${Math.round(bytes / (1024 * 1024))}MB`;
+}
+
+/**
+ * Inflates one archive entry into `documentPath`. The sizes an archive
+ * declares can't be trusted, so the bytes are counted as they are inflated
+ * and the entry is abandoned, and its partial file deleted, as soon as it
+ * passes `maxBytes`.
+ * @returns {Promise<number|null>} The size written, or null when the entry is larger than `maxBytes`
+ */
+async function writeEntry(entry, documentPath, maxBytes) {
+  let size = 0;
+  let tooLarge = false;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+        return callback(new Error('Entry is larger than allowed'));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(entry.nodeStream('nodebuffer'), counter, fs.createWriteStream(documentPath));
+    return size;
+  } catch (error) {
+    await fs.promises.unlink(documentPath).catch(() => {});
+    if (tooLarge) return null;
+    throw error;
+  }
+}
+
+/**
+ * Unpacks one ZIP upload into `outputDir`, one file per supported document
+ */
+async function unpackArchive(file, { outputDir, maxDocumentBytes, budget }) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await fs.promises.readFile(file.path));
+  } catch (error) {
+    return { documents: [], skipped: [{ fileName: file.originalname, reason: 'Not a readable ZIP archive' }] };
+  }
+
+  const documents = [];
+  const skipped = [];
+  const entries = Object.values(zip.files).filter(entry => !entry.dir && !isArchiveClutter(entry.name));
+
+  try {
+    for (const entry of entries) {
+      const fileName = `${file.originalname}/${entry.name}`;
+      if (isZipUpload({ originalname: entry.name })) {
+        skipped.push({ fileName, reason: 'Archives inside the archive are not unpacked' });
+        continue;
+      }
+      if (!isAcceptedUpload({ originalname: entry.name })) {
+        skipped.push({ fileName, reason: 'Not a supported document format' });
+        continue;
+      }
+
+      // Stops at the per-document limit, or sooner when less than that is left of the batch's
+      const documentPath = path.join(outputDir, crypto.randomUUID());
+      let size;
+      try {
+        size = await writeEntry(entry, documentPath, Math.min(maxDocumentBytes, budget.remaining));
+      } catch (error) {
+        skipped.push({ fileName, reason: 'Damaged in the archive and could not be unpacked' });
+        continue;
+      }
+      if (size === null && budget.remaining < maxDocumentBytes) {
+        throw new BatchError(`The archives unpack to more than ${formatMegabytes(budget.total)}. Split the batch into smaller ones.`);
+      }
+      if (size === null) {
+        skipped.push({ fileName, reason: `Larger than the ${formatMegabytes(maxDocumentBytes)} limit for one document` });
+        continue;
+      }
+      budget.remaining -= size;
+
+      documents.push({ path: documentPath, originalname: fileName, size });
+    }
+  } catch (error) {
+    await Promise.all(documents.map(document => fs.promises.unlink(document.path).catch(() => {})));
+    throw error;
+  }
+
+  return { documents, skipped };
+}
+
+/**
+ * Turns the files of a batch upload into the documents to analyze: documents
+ * are taken as they are and ZIP archives are unpacked into `outputDir`.
+ * Entries that can't be analyzed are reported in `skipped` rather than
+ * failing the batch. Uploaded archives are deleted once unpacked; on an error
+ * every file unpacked so far is deleted too.
+ * @param {Array<{ path: string, originalname: string, size: number, mimetype?: string }>} files - Multer uploads
+ * @param {{ outputDir: string, maxDocuments: number, maxDocumentBytes: number, maxArchiveBytes: number }} options
+ * @returns {Promise<{ documents: Array<{ path: string, originalname: string, size: number }>, skipped: Array<{ fileName: string, reason: string }> }>}
+ * @throws {BatchError} When there is nothing to analyze, too many documents or too much unpacked data
+ */
+async function expandBatchUpload(files, { outputDir, maxDocuments, maxDocumentBytes, maxArchiveBytes }) {
+  const documents = [];
+  const skipped = [];
+  const unpacked = [];
+  const budget = { total: maxArchiveBytes, remaining: maxArchiveBytes };
+
+  try {
+    for (const file of files) {
+      if (!isZipUpload(file)) {
+        if (file.size > maxDocumentBytes) {
+          skipped.push({ fileName: file.originalname, reason: `Larger than the ${formatMegabytes(maxDocumentBytes)} limit for one document` });
+        } else {
+          documents.push({ path: file.path, originalname: file.originalname, size: file.size });
+        }
+        continue;
+      }
+
+      const archive = await unpackArchive(file, { outputDir, maxDocumentBytes, budget });
+      unpacked.push(...archive.documents);
+      documents.push(...archive.documents);
+      skipped.push(...archive.skipped);
+      await fs.promises.unlink(file.path).catch(() => {});
+    }
+
+    if (documents.length === 0) {
+      throw new BatchError('The batch contains no documents that can be analyzed');
+    }
+    if (documents.length > maxDocuments) {
+      throw new BatchError(`A batch can hold at most ${maxDocuments} documents; this one has ${documents.length}`);
+    }
+  } catch (error) {
+    await Promise.all(unpacked.map(document => fs.promises.unlink(document.path).catch(() => {})));
+    throw error;
+  }
+
+  return { documents, skipped };
+}
+
+function countByLevel(items, key) {
+  const counts = Object.fromEntries(RISK_LEVELS.map(level => [level, 0]));
+  items.forEach(item => {
+    if (counts[item[key]] !== undefined) counts[item[key]]++;
+  });
+  return counts;
+}
+
+function countStatuses(rows) {
+  const statuses = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+  rows.forEach(row => {
+    statuses[row.status]++;
+  });
+  return statuses;
+}
+
+/**
+ * One row of a batch: where its job is, and the headline figures of its
+ * analysis once it has one
+ */
+function summarizeBatchDocument(job) {
+  const row = {
+    jobId: job.id,
+    fileName: job.input.file ? job.input.file.originalname : null,
+    status: job.status,
+    progress: job.progress || undefined,
+    error: job.error || undefined
+  };
+  if (job.status !== 'succeeded' || !job.result) return row;
+
+  const result = job.result;
+  return {
+    ...row,
+    analysisId: result.metadata.analysisId,
+    documentType: result.documentType ? result.documentType.name : undefined,
+    overallRisk: result.riskAssessment.overallRisk,
+    riskFactors: countByLevel(result.riskAssessment.riskFactors, 'risk'),
+    actionItems: countByLevel(result.actionItems || [], 'priority'),
+    // Null when the checklist could not be run, as for documents not in English
+    missingClauses: result.clauseChecklist
+      ? (result.clauseChecklist.available === false ? null : result.clauseChecklist.missing.length)
+      : 0,
+    modelError: result.metadata.modelError
+  };
+}
+
+/**
+ * Totals across the analyzed documents of a batch, for the portfolio view
+ */
+function summarizePortfolio(rows) {
+  const analyzed = rows.filter(row => row.status === 'succeeded');
+  const sum = key => Object.fromEntries(RISK_LEVELS.map(level => [
+    level,
+    analyzed.reduce((total, row) => total + row[key][level], 0)
+  ]));
+  const statuses = countStatuses(rows);
+  const pending = statuses.queued + statuses.running;
+
+  return {
+    status: pending === 0 ? 'done' : (pending === rows.length && statuses.running === 0 ? 'queued' : 'running'),
+    documents: rows.length,
+    statuses,
+    overallRisk: countByLevel(analyzed, 'overallRisk'),
+    riskFactors: sum('riskFactors'),
+    actionItems: sum('actionItems'),
+    missingClauses: analyzed.reduce((total, row) => total + (row.missingClauses || 0), 0)
+  };
+}
+
+module.exports = { expandBatchUpload, isZipUpload, summarizeBatchDocument, summarizePortfolio, BatchError };
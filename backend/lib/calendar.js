@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+const RRULES = { monthly: 'FREQ=MONTHLY', quarterly: 'FREQ=MONTHLY;INTERVAL=3', yearly: 'FREQ=YEARLY' };
+// Deadlines get a reminder this many days ahead; dates that merely happen (payments, the effective date) don't
+const REMINDER_DAYS = 7;
+const REMINDED_KINDS = new Set(['notice', 'renewal', 'termination', 'deadline', 'action']);
+
+/**
+ * Escapes a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line at 75 octets, continuing with a space (RFC 5545 3.1)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function compactDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+function nextDay(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Renders the dated events of a timeline as an iCalendar file of all-day
+ * events; recurring payments repeat, deadlines carry a reminder
+ * @param {{ sourceName: string, generatedAt: string, timeline: object|null }} model - From buildReportModel
+ * @returns {Buffer}
+ */
+function renderCalendar(model) {
+  const events = ((model.timeline && model.timeline.events) || []).filter(event => event.date);
+  const stamp = new Date(model.generatedAt).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Legal Document Simplifier//Key Dates//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Key dates: ${model.sourceName}`)}`
+  ];
+
+  for (const event of events) {
+    // Stable across exports, so re-importing updates events instead of duplicating them
+    const uid = crypto.createHash('sha1')
+      .update([model.sourceName, event.kind, event.date, event.label, event.text].join('\n'))
+      .digest('hex');
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${uid}@legal-document-simplifier`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compactDate(event.date)}`,
+      `DTEND;VALUE=DATE:${compactDate(nextDay(event.date))}`,
+      `SUMMARY:${escapeText(`${event.label} (${model.sourceName})`)}`,
+      `DESCRIPTION:${escapeText(event.text)}`,
+      `CATEGORIES:${escapeText(event.kind)}`
+    );
+    if (event.recurrence && RRULES[event.recurrence]) {
+      const until = model.timeline.termEnd ? `;UNTIL=${compactDate(model.timeline.termEnd)}` : '';
+      lines.push(`RRULE:${RRULES[event.recurrence]}${until}`);
+    }
+    if (REMINDED_KINDS.has(event.kind)) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(event.label)}`,
+        `TRIGGER:-P${REMINDER_DAYS}D`,
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return Buffer.from(lines.map(foldLine).join('\r\n') + '\r\n', 'utf8');
+}
+
+module.exports = { renderCalendar };
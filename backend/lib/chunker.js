@@ -0,0 +1,104 @@
+// Lines that open a new section: "ARTICLE 5", "Section 12.3", "7. Termination", "SCHEDULE A", all-caps headings
+const SECTION_HEADING = /^[ \t]*(?:(?:ARTICLE|Article|SECTION|Section|CLAUSE|Clause|SCHEDULE|Schedule|EXHIBIT|Exhibit|APPENDIX|Appendix|ANNEX|Annex|PART|Part)\b|\d+(?:\.\d+)*[.)]?[ \t]+\S|[A-Z][A-Z0-9 ,;&'()-]{3,}$)/gm;
+
+/**
+ * Collects the character offsets of every section heading in the text
+ */
+function findSectionBoundaries(text) {
+  const boundaries = [];
+  SECTION_HEADING.lastIndex = 0;
+  let match;
+  while ((match = SECTION_HEADING.exec(text)) !== null) {
+    if (match.index > 0) boundaries.push(match.index);
+    if (match[0].length === 0) SECTION_HEADING.lastIndex++;
+  }
+  return boundaries;
+}
+
+/**
+ * Whether a line opens a new section
+ */
+function isSectionHeading(line) {
+  SECTION_HEADING.lastIndex = 0;
+  const match = SECTION_HEADING.exec(line);
+  return match !== null && match.index === 0;
+}
+
+/**
+ * Returns the offset of the last match of `pattern` in text[from, to), positioned after the match
+ */
+function lastBreak(text, from, to, pattern) {
+  const window = text.slice(from, to);
+  const regex = new RegExp(pattern.source, 'g');
+  let last = -1;
+  let match;
+  while ((match = regex.exec(window)) !== null) {
+    last = from + match.index + match[0].length;
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+  return last;
+}
+
+/**
+ * Picks where a chunk starting at `start` should end, preferring section
+ * boundaries, then paragraph breaks, then sentence ends, then whitespace
+ */
+function findChunkEnd(text, start, maxChars, boundaries) {
+  const hardEnd = start + maxChars;
+  if (hardEnd >= text.length) return text.length;
+
+  // Don't accept a break that would leave the chunk less than half full
+  const minEnd = start + Math.floor(maxChars / 2);
+
+  for (let i = boundaries.length - 1; i >= 0; i--) {
+    const boundary = boundaries[i];
+    if (boundary <= hardEnd && boundary > minEnd) return boundary;
+    if (boundary <= minEnd) break;
+  }
+
+  const paragraph = lastBreak(text, minEnd, hardEnd, /\n[ \t]*\n\s*/);
+  if (paragraph > minEnd) return paragraph;
+
+  const sentence = lastBreak(text, minEnd, hardEnd, /[.;:!?]["')\]]?\s+/);
+  if (sentence > minEnd) return sentence;
+
+  const space = lastBreak(text, minEnd, hardEnd, /\s+/);
+  if (space > minEnd) return space;
+
+  return hardEnd;
+}
+
+/**
+ * Splits a document into chunks of at most `maxChars`, cutting on section boundaries where possible
+ * @returns {Array<{ index: number, start: number, end: number, text: string }>}
+ */
+function splitIntoChunks(text, { maxChars = 10000 } = {}) {
+  const boundaries = findSectionBoundaries(text);
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    const end = findChunkEnd(text, start, maxChars, boundaries);
+    const chunkText = text.slice(start, end);
+    if (chunkText.trim()) {
+      chunks.push({ index: chunks.length, start, end, text: chunkText });
+    }
+    start = end;
+  }
+
+  return chunks;
+}
+
+/**
+ * Maps a character range onto the pages it spans
+ * @param {Array<{ page: number, start: number, end: number }>} pages
+ * @returns {{ from: number, to: number }|null}
+ */
+function pageRangeFor(start, end, pages) {
+  if (!pages || pages.length === 0) return null;
+  const covered = pages.filter(p => p.start < end && p.end > start);
+  if (covered.length === 0) return null;
+  return { from: covered[0].page, to: covered[covered.length - 1].page };
+}
+
+module.exports = { splitIntoChunks, pageRangeFor, findSectionBoundaries, isSectionHeading };
@@ -0,0 +1,203 @@
+const { findSectionBoundaries } = require('./chunker');
+const { tokenize } = require('./anchors');
+
+// Clauses without a matching heading are paired when their word overlap reaches this
+const MIN_MATCH_SIMILARITY = 0.5;
+// Word diffs are skipped for clause pairs larger than this many tokens on either side
+const MAX_DIFF_TOKENS = 3000;
+
+const RISK_RANK = { none: 0, low: 1, medium: 2, high: 3 };
+
+/**
+ * Splits a document into clauses at section headings
+ * @returns {Array<{ heading: string, key: string|null, start: number, end: number, text: string }>}
+ */
+function splitClauses(text) {
+  const starts = [0, ...findSectionBoundaries(text)];
+  return starts
+    .map((start, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1] : text.length;
+      const clauseText = text.slice(start, end);
+      const heading = clauseText.trim().split('\n')[0].slice(0, 120);
+      return { heading, key: clauseKey(heading), start, end, text: clauseText };
+    })
+    .filter(clause => clause.text.trim());
+}
+
+/**
+ * Stable identifier for a clause heading: its number ("7.2") or label ("schedule a")
+ */
+function clauseKey(heading) {
+  const numbered = heading.match(/^(?:(?:article|section|clause|part)\s+)?(\d+(?:\.\d+)*)/i);
+  if (numbered) return numbered[1];
+  const labelled = heading.match(/^(schedule|exhibit|appendix|annex)\s+(\w+)/i);
+  if (labelled) return `${labelled[1]} ${labelled[2]}`.toLowerCase();
+  return null;
+}
+
+function words(text) {
+  return tokenize(text).map(t => t.word);
+}
+
+/**
+ * Dice coefficient over two word multisets
+ */
+function similarity(wordsA, wordsB) {
+  if (wordsA.length === 0 && wordsB.length === 0) return 1;
+
+  const counts = new Map();
+  wordsA.forEach(w => counts.set(w, (counts.get(w) || 0) + 1));
+  let shared = 0;
+  wordsB.forEach(w => {
+    const c = counts.get(w) || 0;
+    if (c > 0) {
+      shared++;
+      counts.set(w, c - 1);
+    }
+  });
+  return (2 * shared) / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Word-level diff of two clause texts (longest common subsequence)
+ * @returns {Array<{ type: 'equal'|'insert'|'delete', text: string }>|null}
+ */
+function diffWords(before, after) {
+  const a = before.split(/(\s+)/).filter(Boolean);
+  const b = after.split(/(\s+)/).filter(Boolean);
+  if (a.length > MAX_DIFF_TOKENS || b.length > MAX_DIFF_TOKENS) return null;
+
+  // lcs[i][j] = length of the LCS of a[i:] and b[j:]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += text;
+    else segments.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return segments;
+}
+
+function clauseRef(clause) {
+  return { heading: clause.heading, start: clause.start, end: clause.end, text: clause.text };
+}
+
+/**
+ * Pairs the clauses of two versions and classifies each pair as added,
+ * removed, modified or unchanged. Clauses are matched by heading number or
+ * label first, then by word overlap.
+ */
+function diffClauses(originalText, revisedText) {
+  // Each clause is tokenized once; pairing compares every revised clause with every original one
+  const original = splitClauses(originalText).map(clause => ({ ...clause, words: words(clause.text) }));
+  const revised = splitClauses(revisedText).map(clause => ({ ...clause, words: words(clause.text) }));
+  const pairs = new Map(); // revised index -> original index
+  const usedOriginal = new Set();
+
+  revised.forEach((clause, r) => {
+    if (!clause.key) return;
+    const o = original.findIndex((c, i) => !usedOriginal.has(i) && c.key === clause.key);
+    if (o !== -1) {
+      pairs.set(r, o);
+      usedOriginal.add(o);
+    }
+  });
+
+  revised.forEach((clause, r) => {
+    if (pairs.has(r)) return;
+    let best = { index: -1, score: 0 };
+    original.forEach((c, o) => {
+      if (usedOriginal.has(o)) return;
+      const score = similarity(c.words, clause.words);
+      if (score > best.score) best = { index: o, score };
+    });
+    if (best.score >= MIN_MATCH_SIMILARITY) {
+      pairs.set(r, best.index);
+      usedOriginal.add(best.index);
+    }
+  });
+
+  const changes = [];
+
+  revised.forEach((clause, r) => {
+    if (!pairs.has(r)) {
+      changes.push({ type: 'added', heading: clause.heading, original: null, revised: clauseRef(clause) });
+      return;
+    }
+    const before = original[pairs.get(r)];
+    if (before.words.join(' ') === clause.words.join(' ')) {
+      changes.push({ type: 'unchanged', heading: clause.heading, original: clauseRef(before), revised: clauseRef(clause) });
+      return;
+    }
+    changes.push({
+      type: 'modified',
+      heading: clause.heading,
+      original: clauseRef(before),
+      revised: clauseRef(clause),
+      similarity: Math.round(similarity(before.words, clause.words) * 100) / 100,
+      diff: diffWords(before.text.trim(), clause.text.trim())
+    });
+  });
+
+  // Removed clauses go after the clause that preceded them in the original
+  original.forEach((clause, o) => {
+    if (usedOriginal.has(o)) return;
+    const removed = { type: 'removed', heading: clause.heading, original: clauseRef(clause), revised: null };
+    const anchor = changes.findIndex(c => c.original && c.original.start > clause.start);
+    if (anchor === -1) changes.push(removed);
+    else changes.splice(anchor, 0, removed);
+  });
+
+  return changes;
+}
+
+/**
+ * Highest risk among the analysis' risk factors anchored inside [start, end)
+ */
+function riskWithin(analysis, start, end) {
+  return analysis.riskAssessment.riskFactors
+    .filter(f => f.location && f.location.start < end && f.location.end > start)
+    .reduce((highest, f) => (RISK_RANK[f.risk] > RISK_RANK[highest] ? f.risk : highest), 'none');
+}
+
+function riskChange(before, after) {
+  const delta = RISK_RANK[after] - RISK_RANK[before];
+  return { before, after, change: delta > 0 ? 'increased' : delta < 0 ? 'decreased' : 'unchanged' };
+}
+
+/**
+ * Adds a `risk` ({ before, after, change }) to every change, using the risk
+ * factors each version's analysis anchored inside the clause
+ */
+function attachRiskChanges(changes, originalAnalysis, revisedAnalysis) {
+  return changes.map(change => {
+    const before = change.original ? riskWithin(originalAnalysis, change.original.start, change.original.end) : 'none';
+    const after = change.revised ? riskWithin(revisedAnalysis, change.revised.start, change.revised.end) : 'none';
+    return { ...change, risk: riskChange(before, after) };
+  });
+}
+
+module.exports = { splitClauses, diffClauses, diffWords, attachRiskChanges, riskChange };
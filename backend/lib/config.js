@@ -0,0 +1,157 @@
+const path = require('path');
+const { resolveDataDir } = require('./store/db');
+
+const PROVIDERS = ['gemini', 'openai', 'mock'];
+// Used when LLM_MODEL is not set; the openai provider has no sensible default
+const DEFAULT_MODELS = { gemini: 'gemini-1.5-flash' };
+const DEFAULT_ORIGINS = 'https://legaldocument.vercel.app';
+const DEFAULT_FRONTEND_DIR = path.join(__dirname, '..', '..', 'frontend');
+const MB = 1024 * 1024;
+
+/**
+ * Reads the server configuration from environment variables, checking every
+ * value up front so a typo stops the server at startup instead of surfacing
+ * as odd behaviour later. Every setting has a default that matches the hosted
+ * deployment, except the model API keys.
+ * @param {object} env - Usually process.env
+ * @returns {object} Frozen configuration
+ * @throws {Error} Listing every invalid setting
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+
+  function integer(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      problems.push(`${name} must be a whole number from ${min} to ${max}, got "${raw}"`);
+      return fallback;
+    }
+    return value;
+  }
+
+  function boolean(name, fallback) {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return fallback;
+    const value = raw.trim().toLowerCase();
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    problems.push(`${name} must be true or false, got "${raw}"`);
+    return fallback;
+  }
+
+  function url(name) {
+    const raw = (env[name] || '').trim();
+    if (!raw) return '';
+    try {
+      const parsed = new URL(raw);
+      if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('not http(s)');
+      return raw.replace(/\/+$/, '');
+    } catch (error) {
+      problems.push(`${name} must be an http(s) URL, got "${raw}"`);
+      return '';
+    }
+  }
+
+  // Comma-separated; "*" allows any origin
+  function origins(name, fallback) {
+    const list = (env[name] === undefined ? fallback : env[name]).split(',').map(origin => origin.trim()).filter(Boolean);
+    list.forEach(origin => {
+      if (origin === '*') return;
+      try {
+        if (new URL(origin).origin !== origin.replace(/\/+$/, '')) throw new Error('has a path');
+      } catch (error) {
+        problems.push(`${name} entries must be origins like https://example.com, got "${origin}"`);
+      }
+    });
+    return list.includes('*') ? '*' : list.map(origin => origin.replace(/\/+$/, ''));
+  }
+
+  const provider = (env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    problems.push(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}". Use ${PROVIDERS.join(', ')}.`);
+  }
+
+  const textChars = integer('MAX_TEXT_CHARS', 300000, { min: 1000 });
+  const chunkChars = integer('MAX_CHUNK_CHARS', 10000, { min: 1000 });
+  if (chunkChars > textChars) {
+    problems.push(`MAX_CHUNK_CHARS (${chunkChars}) cannot be larger than MAX_TEXT_CHARS (${textChars})`);
+  }
+
+  const config = {
+    port: integer('PORT', 3000, { min: 1, max: 65535 }),
+    dataDir: resolveDataDir(env),
+    // Browser origins allowed to call the API from another site; the bundled frontend needs none
+    allowedOrigins: origins('ALLOWED_ORIGINS', DEFAULT_ORIGINS),
+    frontend: {
+      enabled: boolean('SERVE_FRONTEND', true),
+      dir: env.FRONTEND_DIR ? path.resolve(env.FRONTEND_DIR) : DEFAULT_FRONTEND_DIR,
+      // Where the frontend sends API requests; empty means the origin it was loaded from
+      apiBaseUrl: url('PUBLIC_API_URL')
+    },
+    limits: {
+      uploadBytes: integer('MAX_UPLOAD_MB', 10, { min: 1, max: 1024 }) * MB,
+      // A batch upload: how many documents, and how much data its archives may hold
+      batchDocuments: integer('MAX_BATCH_DOCUMENTS', 50, { min: 1, max: 500 }),
+      archiveBytes: integer('MAX_ARCHIVE_MB', 100, { min: 1, max: 4096 }) * MB,
+      jsonBytes: integer('MAX_JSON_MB', 10, { min: 1, max: 1024 }) * MB,
+      // Longest document accepted, and the size of the parts longer ones are analyzed in
+      textChars,
+      chunkChars
+    },
+    llm: {
+      provider,
+      model: (env.LLM_MODEL || '').trim() || DEFAULT_MODELS[provider],
+      geminiApiKey: env.GEMINI_API_KEY,
+      openaiBaseUrl: env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      openaiApiKey: env.OPENAI_API_KEY,
+      mockFixturesDir: env.MOCK_FIXTURES_DIR || undefined,
+      mockStreamDelayMs: integer('MOCK_STREAM_DELAY_MS', 0)
+    },
+    requireApiKey: boolean('REQUIRE_API_KEY', true),
+    redactByDefault: boolean('REDACT_PII', true),
+    historyStoreSource: boolean('HISTORY_STORE_SOURCE', true),
+    analysisCache: {
+      // 0 turns the cache off
+      maxEntries: integer('ANALYSIS_CACHE_MAX_ENTRIES', 500),
+      ttlMs: integer('ANALYSIS_CACHE_TTL_HOURS', 7 * 24, { min: 1 }) * 60 * 60 * 1000
+    },
+    jobs: {
+      concurrency: integer('JOB_CONCURRENCY', 2, { min: 1, max: 32 }),
+      maxAttempts: integer('JOB_MAX_ATTEMPTS', 3, { min: 1, max: 10 })
+    },
+    clauseRulesFile: env.CLAUSE_RULES_FILE || undefined,
+    documentProfilesFile: env.DOCUMENT_PROFILES_FILE || undefined
+  };
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n${problems.map(problem => `   - ${problem}`).join('\n')}`);
+  }
+  return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
+
+/**
+ * The settings the frontend needs, served at GET /config
+ */
+function publicConfig(config) {
+  return {
+    apiBaseUrl: config.frontend.apiBaseUrl,
+    requireApiKey: config.requireApiKey,
+    limits: {
+      uploadBytes: config.limits.uploadBytes,
+      textChars: config.limits.textChars,
+      batchDocuments: config.limits.batchDocuments,
+      archiveBytes: config.limits.archiveBytes
+    }
+  };
+}
+
+module.exports = { loadConfig, publicConfig };
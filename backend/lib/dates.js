@@ -0,0 +1,465 @@
+const { pageAt } = require('./anchors');
+const { clauseAround } = require('./rules');
+
+// Dates reported per document, so a schedule-heavy contract doesn't flood the timeline
+const MAX_EVENTS = 60;
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, fourteen: 14, fifteen: 15, twenty: 20, thirty: 30,
+  'forty-five': 45, sixty: 60, ninety: 90, 'one hundred twenty': 120, 'one hundred eighty': 180
+};
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+// "30", "thirty" or "thirty (30)"; the figure in parentheses wins when both are given
+const NUMBER = `(\\d{1,3}|${Object.keys(WORD_NUMBERS).sort((a, b) => b.length - a.length).join('|')})(?:\\s*\\((\\d{1,3})\\))?`;
+
+// Absolute dates, each with a function reading [year, month, day] from the match
+const DATE_PATTERNS = [
+  { regex: new RegExp(`\\b${MONTH}\\s+${DAY},?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], monthIndex(m[1]), m[2]] },
+  { regex: new RegExp(`\\b${DAY}\\s+(?:day\\s+of\\s+)?${MONTH},?\\s+(\\d{4})\\b`, 'gi'), parts: m => [m[3], monthIndex(m[2]), m[1]] },
+  { regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parts: m => [m[1], Number(m[2]) - 1, m[3]] }
+];
+
+// "01/04/2025", "01.04.2025" or "01-04-2025": month first in the US, day first almost everywhere else
+const NUMERIC_DATE_PATTERN = /\b(\d{1,2})([/.-])(\d{1,2})\2(\d{4})\b/g;
+const DATE_ORDERS = ['mdy', 'dmy'];
+
+// "30 days before the end of the term", "within ten (10) business days", "thirty (30) days' prior written notice"
+const RELATIVE_PATTERN = new RegExp(
+  `\\b(within\\s+|at\\s+least\\s+|no\\s+later\\s+than\\s+|not\\s+less\\s+than\\s+)?${NUMBER}\\s+(business\\s+|calendar\\s+)?(day|week|month|year)s?['’]?` +
+  '(\\s+(?:prior\\s+|advance\\s+)?(?:written\\s+)?notice\\b)?' +
+  '(?:\\s+(?:prior\\s+|advance\\s+)?(?:written\\s+)?(?:notice\\s+)?(prior\\s+to|before|after|following|from|of)\\s+([^.;,()]{1,80}))?',
+  'gi'
+);
+
+// What follows "of" in "one month of rent": an amount of money measured in time, not a deadline
+const AMOUNT_PHRASE = /^(?:the\s+)?(?:then[-\s]current\s+)?(?:monthly\s+|base\s+|annual\s+|basic\s+)?(?:rent|deposit|fees?|salary|wages|pay|payments?|interest|charges?)\b/i;
+
+// "the first day of each month"; a recurring payment starting from the effective date
+const MONTHLY_DAY_PATTERN = /\bon\s+(?:or\s+before\s+)?the\s+(\d{1,2}(?:st|nd|rd|th)?|first|fifth|tenth|fifteenth|last)\s+(?:calendar\s+)?day\s+of\s+(?:each|every)\s+(?:calendar\s+)?month\b/gi;
+const ORDINAL_DAYS = { first: 1, fifth: 5, tenth: 10, fifteenth: 15, last: 31 };
+
+// "an initial term of two (2) years", "for a period of 12 months", "the lease term is twelve (12) months",
+// "the term of this Lease shall be one (1) year"
+const TERM_PATTERN = new RegExp(
+  `\\b(?:term|period)(?:\\s+of\\s+this\\s+[a-z]+)?\\s+(?:of|is|shall\\s+be|will\\s+be)\\s+(?:for\\s+)?(?:a\\s+period\\s+of\\s+)?${NUMBER}\\s+(month|year)s?\\b`,
+  'i'
+);
+
+// What a clause is about, checked in order; the first match wins
+const EVENT_KINDS = [
+  { kind: 'effective', pattern: /\b(effective\s+date|effective\s+(?:as\s+of|on|from)|made\s+effective|commence|made\s+and\s+entered\s+into|dated\s+as\s+of|entered\s+into\s+(?:as\s+of|on)|start\s+date)/i },
+  { kind: 'notice', pattern: /\bnotice|notify|notif/i },
+  { kind: 'renewal', pattern: /\brenew/i },
+  { kind: 'termination', pattern: /\bterminat|expir|end\s+of\s+the\s+(?:initial\s+)?term|ends?\s+on\b/i },
+  { kind: 'payment', pattern: /\b(pay|payment|rent|invoice|installment|instalment|fees?\s+(?:are|is)\s+due|due\s+and\s+payable)/i }
+];
+
+const EVENT_LABELS = {
+  effective: 'Effective date',
+  notice: 'Notice deadline',
+  renewal: 'Renewal',
+  termination: 'Termination / expiry',
+  payment: 'Payment due',
+  deadline: 'Deadline',
+  action: 'Action item'
+};
+
+const RECURRENCES = [
+  { recurrence: 'monthly', pattern: /\b(monthly|each\s+(?:calendar\s+)?month|every\s+month|per\s+month)\b/i },
+  { recurrence: 'quarterly', pattern: /\b(quarterly|each\s+(?:calendar\s+)?quarter|every\s+quarter)\b/i },
+  { recurrence: 'yearly', pattern: /\b(annually|yearly|each\s+year|every\s+year|per\s+year|per\s+annum)\b/i }
+];
+
+function monthIndex(name) {
+  return MONTHS[name.slice(0, 3).toLowerCase()];
+}
+
+function toNumber(word, figure) {
+  if (figure) return Number(figure);
+  if (/^\d+$/.test(word)) return Number(word);
+  return WORD_NUMBERS[word.toLowerCase().replace(/\s+/g, ' ')];
+}
+
+/**
+ * Builds a UTC date, rejecting impossible ones such as February 30
+ * @returns {Date|null}
+ */
+function makeDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month), Number(day)));
+  if (date.getUTCMonth() !== Number(month) || date.getUTCDate() !== Number(day)) return null;
+  return date;
+}
+
+function formatDate(date) {
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Parses a YYYY-MM-DD date, as sent by the client for the effective date
+ * @returns {Date|null} Null when the value is not a valid date
+ */
+function parseIsoDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  return match ? makeDate(match[1], Number(match[2]) - 1, match[3]) : null;
+}
+
+/**
+ * Moves a date by a number of days, weeks, months or years; business days skip weekends
+ */
+function addPeriod(date, { amount, unit, business }, sign = 1) {
+  const result = new Date(date.getTime());
+  if (unit === 'day' && business) {
+    let remaining = amount;
+    while (remaining > 0) {
+      result.setUTCDate(result.getUTCDate() + sign);
+      const weekday = result.getUTCDay();
+      if (weekday !== 0 && weekday !== 6) remaining--;
+    }
+  } else if (unit === 'day' || unit === 'week') {
+    result.setUTCDate(result.getUTCDate() + sign * amount * (unit === 'week' ? 7 : 1));
+  } else {
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + sign * amount * (unit === 'year' ? 12 : 1));
+    // Clamp to the end of shorter months: January 31 + 1 month is February 28 or 29
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+  }
+  return result;
+}
+
+/**
+ * First time a given day of the month falls on or after `from`; days past
+ * the end of a short month fall on its last day
+ */
+function firstMonthlyDate(from, day) {
+  const inMonth = offset => {
+    const first = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + offset, 1));
+    const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+    first.setUTCDate(Math.min(day, lastDay));
+    return first;
+  };
+  const thisMonth = inMonth(0);
+  return thisMonth >= from ? thisMonth : inMonth(1);
+}
+
+/**
+ * What a relative deadline counts from: the effective date, the end of the
+ * term, or something only the parties know about (a notice, an invoice)
+ */
+function classifyAnchor(phrase) {
+  if (!phrase) return null;
+  if (/\b(effective\s+date|commencement|start\s+date|execution|signing|date\s+(?:hereof|of\s+this))/i.test(phrase)) return 'effective';
+  if (/\b(expiration|expiry|end\s+of\s+the\s+(?:then[-\s]current\s+|initial\s+|current\s+|renewal\s+)?term|termination\s+date|renewal\s+date|term\s+end)/i.test(phrase)) return 'termEnd';
+  return null;
+}
+
+function classifyKind(clause, fallback) {
+  const match = EVENT_KINDS.find(({ pattern }) => pattern.test(clause));
+  return match ? match.kind : fallback;
+}
+
+function detectRecurrence(clause) {
+  const match = RECURRENCES.find(({ pattern }) => pattern.test(clause));
+  return match ? match.recurrence : null;
+}
+
+/**
+ * Describes a relative deadline the way a person would read it back
+ */
+function describeRelative({ amount, unit, business, direction, anchorText }) {
+  const period = `${amount} ${business ? 'business ' : ''}${unit}${amount === 1 ? '' : 's'}`;
+  if (!anchorText) return direction === 'within' ? `Within ${period}` : `${period}${amount === 1 ? "'s" : "'"} notice`;
+  return `${period} ${direction} ${anchorText}`;
+}
+
+/**
+ * The order numeric dates are read in for a document language: day first for
+ * every language but English, whose order depends on the country
+ * @param {string|null} language - Detected language code
+ * @returns {'dmy'|null} Null when the language does not settle it
+ */
+function dateOrderFor(language) {
+  return language && language !== 'en' ? 'dmy' : null;
+}
+
+/**
+ * Reads a numeric date in the given order. When the order is unknown and
+ * both readings are real dates, the date is left unresolved with both readings.
+ * @param {'mdy'|'dmy'|null} dateOrder
+ * @returns {{ date: Date|null, readings?: Date[] }|null} Null when neither reading is a date
+ */
+function readNumericDate(first, second, year, dateOrder) {
+  const monthFirst = makeDate(year, Number(first) - 1, second);
+  const dayFirst = makeDate(year, Number(second) - 1, first);
+  if (!monthFirst || !dayFirst || monthFirst.getTime() === dayFirst.getTime()) {
+    const date = monthFirst || dayFirst;
+    return date ? { date } : null;
+  }
+  if (dateOrder === 'mdy') return { date: monthFirst };
+  if (dateOrder === 'dmy') return { date: dayFirst };
+  return { date: null, readings: [monthFirst, dayFirst] };
+}
+
+function scanAbsoluteDates(text, dateOrder = null) {
+  const found = [];
+  const overlaps = (start, end) => found.some(f => f.start < end && start < f.end);
+  for (const { regex, parts } of DATE_PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const date = makeDate(...parts(match));
+      const start = match.index;
+      const end = start + match[0].length;
+      if (date && !overlaps(start, end)) {
+        found.push({ date, start, end });
+      }
+    }
+  }
+
+  NUMERIC_DATE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = NUMERIC_DATE_PATTERN.exec(text)) !== null) {
+    const read = readNumericDate(match[1], match[3], match[4], dateOrder);
+    const start = match.index;
+    const end = start + match[0].length;
+    if (read && !overlaps(start, end)) {
+      found.push({ ...read, start, end });
+    }
+  }
+  return found;
+}
+
+function scanRelativeDeadlines(text) {
+  const found = [];
+  RELATIVE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = RELATIVE_PATTERN.exec(text)) !== null) {
+    const [phrase, prefix, word, figure, business, unit, notice, directionWord, anchorPhrase] = match;
+    const amount = toNumber(word, figure);
+    if (!amount) continue;
+    // A bare period ("twelve (12) months", "two months' rent") is a duration or an amount, not a
+    // deadline: it counts only when it is a notice period, a "within" window or runs from something
+    if (!directionWord && !notice && !(prefix && /within/i.test(prefix))) continue;
+    if (directionWord && /^of$/i.test(directionWord) && !notice && AMOUNT_PHRASE.test(anchorPhrase)) continue;
+
+    const start = match.index;
+    const end = start + phrase.length;
+    const clause = clauseAround(text, start, end);
+
+    const direction = !directionWord
+      ? (prefix && /within/i.test(prefix) ? 'within' : 'before')
+      : (/prior|before/i.test(directionWord) ? 'before' : 'after');
+    const anchorText = anchorPhrase ? anchorPhrase.trim().replace(/\s+/g, ' ') : null;
+
+    found.push({
+      start,
+      end,
+      clause,
+      relative: {
+        amount,
+        unit: unit.toLowerCase(),
+        business: !!business && /business/i.test(business),
+        direction,
+        anchor: classifyAnchor(anchorText),
+        anchorText
+      }
+    });
+  }
+  return found;
+}
+
+/**
+ * Resolves a relative deadline against the effective date or the end of the term
+ * @returns {Date|null}
+ */
+function resolveRelative(relative, { effectiveDate, termEnd }) {
+  const base = relative.anchor === 'effective' ? effectiveDate : relative.anchor === 'termEnd' ? termEnd : null;
+  if (!base) return null;
+  return addPeriod(base, relative, relative.direction === 'before' ? -1 : 1);
+}
+
+/**
+ * Resolves the deadline text of an action item ("by March 1, 2025", "within
+ * 30 days of the effective date") to a date, when it names one
+ * @returns {string|null} YYYY-MM-DD
+ */
+function resolveDeadline(deadline, context) {
+  if (!deadline) return null;
+  const [absolute] = scanAbsoluteDates(deadline, context.dateOrder);
+  if (absolute) return formatDate(absolute.date);
+
+  const [relative] = scanRelativeDeadlines(deadline);
+  if (relative && relative.relative.anchor) return formatDate(resolveRelative(relative.relative, context));
+
+  if (/\b(effective\s+date|signing)\b/i.test(deadline) && /\b(before|by|on|prior)\b/i.test(deadline)) {
+    return formatDate(context.effectiveDate);
+  }
+  return null;
+}
+
+/**
+ * Finds the dates a document sets: effective date, renewal and notice
+ * windows, payment schedules and termination deadlines. Absolute dates are
+ * read as written; relative ones ("60 days before the end of the term") are
+ * resolved against the effective date and the end of the term when known.
+ * Numeric dates such as 01/04/2025 are read in `dateOrder`, else in the order
+ * of the document's `language`; when neither settles it, an event whose date
+ * reads both ways is left undated with `possibleDates`.
+ * @param {string} text
+ * @param {{ effectiveDate?: string, dateOrder?: 'mdy'|'dmy'|null, language?: string|null, pages?: Array, actionItems?: Array }} options -
+ *   `effectiveDate` (YYYY-MM-DD) overrides the one found in the document
+ * @returns {{
+ *   effectiveDate: string|null,
+ *   effectiveDateSource: 'user'|'document'|null,
+ *   termEnd: string|null,
+ *   dateOrder: 'mdy'|'dmy'|null,
+ *   events: Array<{ kind: string, label: string, date: string|null, possibleDates?: string[],
+ *     recurrence: string|null, relative: object|null, text: string, location: object }>
+ * }}
+ */
+function extractTimeline(text, { effectiveDate = null, dateOrder = null, language = null, pages = [], actionItems = [] } = {}) {
+  const order = DATE_ORDERS.includes(dateOrder) ? dateOrder : dateOrderFor(language);
+  const locate = (start, end) => ({ start, end, page: pageAt(start, pages), score: 1, match: 'exact' });
+  const candidates = [];
+
+  for (const { date, readings, start, end } of scanAbsoluteDates(text, order)) {
+    const clause = clauseAround(text, start, end);
+    const clauseText = text.slice(clause.start, clause.end);
+    candidates.push({ kind: classifyKind(clauseText, 'deadline'), date, readings, relative: null, clause, clauseText, start, end });
+  }
+
+  for (const found of scanRelativeDeadlines(text)) {
+    const clauseText = text.slice(found.clause.start, found.clause.end);
+    // A deadline counted from the effective date is not the effective date itself
+    const kind = classifyKind(clauseText, 'deadline');
+    candidates.push({ kind: kind === 'effective' ? 'deadline' : kind, date: null, ...found, clauseText });
+  }
+
+  MONTHLY_DAY_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = MONTHLY_DAY_PATTERN.exec(text)) !== null) {
+    const clause = clauseAround(text, match.index, match.index + match[0].length);
+    const word = match[1].toLowerCase();
+    candidates.push({
+      kind: 'payment',
+      date: null,
+      relative: null,
+      dayOfMonth: ORDINAL_DAYS[word] || parseInt(word, 10),
+      clause,
+      clauseText: text.slice(clause.start, clause.end),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  // The effective date the user gave wins over the first one the document states
+  const userDate = parseIsoDate(effectiveDate);
+  const documentDate = candidates.find(c => c.kind === 'effective' && c.date);
+  const effective = userDate || (documentDate ? documentDate.date : null);
+
+  let termEnd = null;
+  const term = TERM_PATTERN.exec(text);
+  if (effective && term) {
+    const amount = toNumber(term[1], term[2]);
+    if (amount) termEnd = addPeriod(effective, { amount, unit: term[3].toLowerCase() });
+  }
+  if (!termEnd) {
+    const expiry = candidates.find(c => c.kind === 'termination' && c.date);
+    if (expiry) termEnd = expiry.date;
+  }
+
+  const context = { effectiveDate: effective, termEnd, dateOrder: order };
+  const events = candidates.map(candidate => {
+    let date = candidate.date;
+    if (candidate.relative) {
+      date = resolveRelative(candidate.relative, context);
+    } else if (candidate.dayOfMonth && effective) {
+      date = firstMonthlyDate(effective, candidate.dayOfMonth);
+    }
+
+    let label = candidate.relative ? `${EVENT_LABELS[candidate.kind]}: ${describeRelative(candidate.relative)}` : EVENT_LABELS[candidate.kind];
+    if (candidate.kind === 'effective' && userDate && formatDate(date) !== formatDate(userDate)) {
+      label = `${label} as written (you entered ${formatDate(userDate)})`;
+    }
+    if (candidate.readings) {
+      label = `${label} (month and day order unclear)`;
+    }
+
+    const recurrence = candidate.dayOfMonth ? 'monthly' : (['payment', 'renewal'].includes(candidate.kind) ? detectRecurrence(candidate.clauseText) : null);
+    return {
+      kind: candidate.kind,
+      label,
+      date: formatDate(date),
+      ...(candidate.readings ? { possibleDates: candidate.readings.map(formatDate) } : {}),
+      recurrence,
+      relative: candidate.relative || null,
+      text: candidate.clauseText,
+      location: locate(candidate.start, candidate.end)
+    };
+  });
+
+  // The same date in the same clause is one event (e.g. written as "1 March 2025 (the Effective Date)")
+  const unique = events.filter((event, i) => events.findIndex(other =>
+    other.kind === event.kind && other.date === event.date && other.text === event.text && other.label === event.label
+  ) === i);
+
+  actionItems.forEach(item => {
+    const date = resolveDeadline(item.deadline, context);
+    if (date) {
+      unique.push({
+        kind: 'action',
+        label: `${EVENT_LABELS.action}: ${item.action}`,
+        date,
+        recurrence: null,
+        relative: null,
+        text: item.deadline,
+        location: null
+      });
+    }
+  });
+
+  // Dated events in calendar order, then the ones that could not be resolved in document order
+  unique.sort((a, b) => {
+    if (a.date && b.date) return a.date.localeCompare(b.date);
+    if (a.date || b.date) return a.date ? -1 : 1;
+    return (a.location ? a.location.start : Infinity) - (b.location ? b.location.start : Infinity);
+  });
+
+  return {
+    effectiveDate: formatDate(effective),
+    effectiveDateSource: userDate ? 'user' : effective ? 'document' : null,
+    termEnd: formatDate(termEnd),
+    dateOrder: order,
+    events: unique.slice(0, MAX_EVENTS)
+  };
+}
+
+/**
+ * Adds the timeline to an analysis and a resolved `dueDate` to each action
+ * item whose deadline names a date
+ */
+function attachTimeline(analysis, text, { effectiveDate, dateOrder, language, pages } = {}) {
+  const timeline = extractTimeline(text, { effectiveDate, dateOrder, language, pages, actionItems: analysis.actionItems });
+  const context = {
+    effectiveDate: parseIsoDate(timeline.effectiveDate),
+    termEnd: parseIsoDate(timeline.termEnd),
+    dateOrder: timeline.dateOrder
+  };
+
+  return {
+    ...analysis,
+    actionItems: analysis.actionItems.map(item => ({ ...item, dueDate: resolveDeadline(item.deadline, context) })),
+    timeline
+  };
+}
+
+module.exports = { extractTimeline, attachTimeline, resolveDeadline, parseIsoDate, addPeriod, dateOrderFor, DATE_ORDERS };
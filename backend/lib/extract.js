@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+const { convert: htmlToText } = require('html-to-text');
+const { ocrPdfPages, summarizeOcr } = require('./ocr');
+
+const SUPPORTED_FORMATS = ['pdf', 'docx', 'rtf', 'html', 'markdown', 'text'];
+
+// Extensions and browser mimetypes accepted at upload time; the real format is sniffed from the contents
+const ACCEPTED_EXTENSIONS = ['.pdf', '.txt', '.docx', '.rtf', '.html', '.htm', '.md', '.markdown'];
+const ACCEPTED_MIMETYPES = [
+  'application/pdf',
+  'text/plain',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/rtf',
+  'text/rtf',
+  'text/html',
+  'text/markdown',
+  'text/x-markdown',
+  // Browsers often send .docx and .md files as one of these
+  'application/octet-stream',
+  'application/zip'
+];
+
+class UnsupportedFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsupportedFormatError';
+  }
+}
+
+class EmptyDocumentError extends Error {
+  constructor(message = 'Could not extract text from the uploaded file') {
+    super(message);
+    this.name = 'EmptyDocumentError';
+  }
+}
+
+/**
+ * Whether an upload looks like a document we can read, judged by name and browser mimetype
+ */
+function isAcceptedUpload(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  return ACCEPTED_EXTENSIONS.includes(extension) || ACCEPTED_MIMETYPES.includes(file.mimetype);
+}
+
+/**
+ * Detects a document's format from its first bytes, falling back to the file
+ * extension only to tell Markdown from plain text
+ * @returns {string|null} One of SUPPORTED_FORMATS, or null for unreadable binary data
+ */
+function detectFormat(buffer, fileName = '') {
+  const head = buffer.subarray(0, 1024).toString('latin1');
+
+  if (head.startsWith('%PDF-')) return 'pdf';
+  if (head.startsWith('{\\rtf')) return 'rtf';
+
+  // DOCX is a ZIP archive containing word/document.xml
+  if (head.startsWith('PK\x03\x04')) {
+    return buffer.includes('word/document.xml') ? 'docx' : null;
+  }
+
+  // Anything else must be text: reject data with NUL bytes (other binary formats)
+  if (buffer.subarray(0, 8192).includes(0)) return null;
+
+  const start = buffer.subarray(0, 2048).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  if (start.startsWith('<!doctype html') || start.startsWith('<html') || /<(head|body)[\s>]/.test(start)) {
+    return 'html';
+  }
+
+  const extension = path.extname(fileName).toLowerCase();
+  if (extension === '.md' || extension === '.markdown') return 'markdown';
+  if (extension === '.html' || extension === '.htm') return 'html';
+
+  return 'text';
+}
+
+// Pages with less text than this are treated as scanned and sent to OCR
+const MIN_PAGE_TEXT_CHARS = 20;
+
+/**
+ * Joins page texts the way pdf-parse does ("\n\n" before every page),
+ * recording where each page starts and ends in the combined text so
+ * analysis results can be traced back to pages
+ */
+function assemblePages(pageTexts) {
+  const pages = [];
+  let text = '';
+  pageTexts.forEach((pageText, i) => {
+    text += '\n\n';
+    pages.push({ page: i + 1, start: text.length, end: text.length + pageText.length });
+    text += pageText;
+  });
+  return { text, pages };
+}
+
+/**
+ * Extracts text from a PDF buffer. Image-only or near-empty pages (scans)
+ * are run through the bundled OCR engine and their text merged in.
+ * @returns {Promise<{ text: string, pages: Array, ocr: object|null }>}
+ */
+async function extractPdf(buffer) {
+  const pageTexts = [];
+
+  const pdfData = await pdf(buffer, {
+    pagerender: pageData => pageData.getTextContent().then(textContent => {
+      // Same line-joining rule as pdf-parse's default renderer
+      let lastY, text = '';
+      for (const item of textContent.items) {
+        if (lastY == item.transform[5] || !lastY) {
+          text += item.str;
+        } else {
+          text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+      }
+      pageTexts[pageData.pageIndex] = text;
+      return text;
+    })
+  });
+
+  // Pages that failed to render contribute an empty string
+  for (let i = 0; i < pdfData.numrender; i++) {
+    pageTexts[i] = pageTexts[i] || '';
+  }
+
+  const sparsePages = pageTexts
+    .map((pageText, i) => (pageText.trim().length < MIN_PAGE_TEXT_CHARS ? i + 1 : null))
+    .filter(Boolean);
+
+  let ocr = null;
+  if (sparsePages.length > 0) {
+    console.log(`🔎 Running OCR on ${sparsePages.length} page(s) with little or no text`);
+    try {
+      const results = await ocrPdfPages(buffer, sparsePages);
+      results.forEach(result => {
+        if (result.text) pageTexts[result.page - 1] = result.text;
+      });
+      ocr = summarizeOcr(results);
+    } catch (error) {
+      // OCR is best effort: fall back to whatever text pdf-parse found
+      console.error('❌ OCR failed:', error);
+    }
+  }
+
+  return { ...assemblePages(pageTexts), ocr };
+}
+
+/**
+ * Converts HTML to text, keeping headings on their own lines and numbering ordered lists
+ */
+function extractHtml(html) {
+  return htmlToText(html, {
+    wordwrap: false,
+    selectors: [
+      { selector: 'a', options: { ignoreHref: true } },
+      { selector: 'img', format: 'skip' },
+      { selector: 'nav', format: 'skip' },
+      { selector: 'footer', format: 'skip' }
+    ]
+  }).trim();
+}
+
+/**
+ * Converts a Word document to text via HTML so headings and numbered lists survive
+ */
+async function extractDocx(buffer) {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  return extractHtml(html);
+}
+
+// RTF destinations whose contents are formatting data, not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'headerl', 'headerr',
+  'footerl', 'footerr', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'themedata',
+  'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl', 'object', 'fldinst'
+]);
+
+/**
+ * Strips RTF control words and groups down to plain text, keeping paragraph breaks
+ */
+function extractRtf(rtf) {
+  const tokenPattern = /\\([a-z]{1,32})(-?\d{1,10})?[ ]?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|(.)/gi;
+  const stack = [];
+  let ignorable = false;
+  let ucSkip = 1;
+  let skip = 0;
+  const out = [];
+  let match;
+
+  while ((match = tokenPattern.exec(rtf)) !== null) {
+    const [, word, arg, hex, symbol, brace, char] = match;
+
+    if (brace) {
+      skip = 0;
+      if (brace === '{') {
+        stack.push({ ucSkip, ignorable });
+      } else {
+        ({ ucSkip, ignorable } = stack.pop() || { ucSkip: 1, ignorable: false });
+      }
+    } else if (symbol) {
+      skip = 0;
+      if (symbol === '*') ignorable = true;
+      else if (!ignorable && symbol === '~') out.push(' ');
+      else if (!ignorable && (symbol === '\\' || symbol === '{' || symbol === '}')) out.push(symbol);
+      else if (!ignorable && symbol === '\n') out.push('\n');
+    } else if (word) {
+      skip = 0;
+      const name = word.toLowerCase();
+      if (RTF_SKIPPED_DESTINATIONS.has(name)) {
+        ignorable = true;
+      } else if (ignorable) {
+        continue;
+      } else if (name === 'par' || name === 'line' || name === 'sect' || name === 'page') {
+        out.push('\n');
+      } else if (name === 'tab' || name === 'cell') {
+        out.push('\t');
+      } else if (name === 'row') {
+        out.push('\n');
+      } else if (name === 'uc') {
+        ucSkip = Number(arg);
+      } else if (name === 'u') {
+        let code = Number(arg);
+        if (code < 0) code += 0x10000;
+        out.push(String.fromCharCode(code));
+        skip = ucSkip;
+      } else if (name === 'emdash') {
+        out.push('—');
+      } else if (name === 'endash') {
+        out.push('–');
+      } else if (name === 'bullet') {
+        out.push('•');
+      } else if (name === 'lquote' || name === 'rquote') {
+        out.push("'");
+      } else if (name === 'ldblquote' || name === 'rdblquote') {
+        out.push('"');
+      }
+    } else if (hex) {
+      if (skip > 0) skip--;
+      else if (!ignorable) out.push(Buffer.from(hex, 'hex').toString('latin1'));
+    } else if (char) {
+      if (skip > 0) skip--;
+      else if (!ignorable) out.push(char);
+    }
+  }
+
+  return out.join('').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Turns Markdown into readable text: heading markers, emphasis and link
+ * syntax are removed while headings stay on their own lines and list
+ * numbering is kept
+ */
+function extractMarkdown(markdown) {
+  return markdown
+    .replace(/^\uFEFF/, '')
+    .replace(/^(#{1,6})\s+(.*?)\s*#*\s*$/gm, (m, hashes, heading) => `\n${heading}\n`)
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^*\w])[*_]([^*_\n]+)[*_](?=[^*\w]|$)/g, '$1$2')
+    .replace(/^\s*[-*+]\s+/gm, '• ')
+    .replace(/^>\s?/gm, '')
+    .replace(/^(-{3,}|\*{3,}|_{3,})\s*$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extracts text from an uploaded multer file, detecting the format from its contents
+ * @returns {Promise<{ text: string, pages: Array<{ page: number, start: number, end: number }>, format: string, ocr?: object|null }>}
+ */
+async function extractText(file) {
+  const buffer = fs.readFileSync(file.path);
+  const format = detectFormat(buffer, file.originalname);
+
+  switch (format) {
+    case 'pdf':
+      return { ...(await extractPdf(buffer)), format };
+    case 'docx':
+      return { text: await extractDocx(buffer), pages: [], format };
+    case 'rtf':
+      return { text: extractRtf(buffer.toString('latin1')), pages: [], format };
+    case 'html':
+      return { text: extractHtml(buffer.toString('utf8')), pages: [], format };
+    case 'markdown':
+      return { text: extractMarkdown(buffer.toString('utf8')), pages: [], format };
+    case 'text':
+      return { text: buffer.toString('utf8').replace(/^\uFEFF/, ''), pages: [], format };
+    default:
+      throw new UnsupportedFormatError('Unsupported file format. Upload a PDF, Word (.docx), RTF, HTML, Markdown or text file.');
+  }
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  UnsupportedFormatError,
+  EmptyDocumentError,
+  isAcceptedUpload,
+  detectFormat,
+  extractText,
+  extractPdf
+};
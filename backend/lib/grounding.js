@@ -0,0 +1,100 @@
+const { tokenize } = require('./anchors');
+
+// Share of a snippet's content words that must occur in the document for it to count as paraphrased
+const MIN_COVERAGE = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'if', 'in', 'into',
+  'is', 'it', 'its', 'may', 'must', 'not', 'of', 'on', 'or', 'shall', 'such', 'that', 'the', 'their',
+  'them', 'there', 'these', 'this', 'to', 'was', 'will', 'with', 'you', 'your', 'any', 'all', 'can',
+  'could', 'should', 'would', 'which', 'who', 'what', 'when', 'than', 'then', 'be', 'been', 'being'
+]);
+
+/**
+ * Crude suffix stripping so "renewal", "renews" and "renewing" compare equal
+ */
+function stem(word) {
+  for (const suffix of ['ally', 'ing', 'ed', 'ly', 'es', 'al', 's']) {
+    if (word.length - suffix.length >= 4 && word.endsWith(suffix)) return word.slice(0, -suffix.length);
+  }
+  return word;
+}
+
+function contentStems(text) {
+  return tokenize(String(text || ''))
+    .map(t => t.word)
+    .filter(word => !STOPWORDS.has(word) && word.length > 2)
+    .map(stem);
+}
+
+/**
+ * Share of a snippet's content words that appear anywhere in the document
+ */
+function coverage(snippet, vocabulary) {
+  const stems = contentStems(snippet);
+  if (stems.length === 0) return 0;
+  return stems.filter(s => vocabulary.has(s)).length / stems.length;
+}
+
+/**
+ * Classifies one item. Anchored items are "verified" when the wording was
+ * found verbatim and "paraphrased" when only a close passage was found;
+ * unanchored items fall back to checking that their content words occur in
+ * the document at all.
+ * @returns {{ status: 'verified'|'paraphrased'|'unsupported', score: number }}
+ */
+function groundItem(snippet, location, vocabulary) {
+  if (location && location.match === 'exact') return { status: 'verified', score: 1 };
+  if (location) return { status: 'paraphrased', score: location.score };
+
+  const score = Math.round(coverage(snippet, vocabulary) * 100) / 100;
+  return { status: score >= MIN_COVERAGE ? 'paraphrased' : 'unsupported', score };
+}
+
+/**
+ * Checks every risk factor clause, key term and warning against the source
+ * text. Risk factors and key terms get a `grounding` field; warnings, being
+ * plain strings, are graded in `grounding.warnings` by index. Warnings are
+ * written in the output language, so when that differs from the document's
+ * their words can't be looked up in it: they are left "unchecked" and don't
+ * count towards the score.
+ * @param {object} analysis - Anchored analysis (see anchors.anchorAnalysis)
+ * @param {string} text - The text that was analyzed
+ * @param {{ translated?: boolean }} options - translated: the explanations are in another language than the document
+ * @returns {object} The analysis with per-item grounding and an overall `grounding` summary
+ */
+function groundAnalysis(analysis, text, { translated = false } = {}) {
+  const vocabulary = new Set(contentStems(text));
+
+  const riskFactors = analysis.riskAssessment.riskFactors.map(factor => ({
+    ...factor,
+    grounding: groundItem(factor.clause, factor.location, vocabulary)
+  }));
+  const keyTerms = analysis.keyTerms.map(term => ({
+    ...term,
+    grounding: groundItem(term.term, term.location, vocabulary)
+  }));
+  const warnings = analysis.warnings.map(warning =>
+    (translated ? { status: 'unchecked', score: null } : groundItem(warning, null, vocabulary)));
+
+  const all = [...riskFactors.map(f => f.grounding), ...keyTerms.map(t => t.grounding), ...warnings];
+  const counts = { verified: 0, paraphrased: 0, unsupported: 0, unchecked: 0 };
+  all.forEach(g => counts[g.status]++);
+
+  // Verbatim matches count fully, paraphrases half
+  const checked = all.length - counts.unchecked;
+  const score = checked === 0 ? 1 : (counts.verified + counts.paraphrased * 0.5) / checked;
+
+  return {
+    ...analysis,
+    riskAssessment: { ...analysis.riskAssessment, riskFactors },
+    keyTerms,
+    grounding: {
+      score: Math.round(score * 100) / 100,
+      ...counts,
+      warnings
+    }
+  };
+}
+
+module.exports = { groundAnalysis };
@@ -0,0 +1,133 @@
+// HTTP statuses and network error codes worth retrying: the model service was busy or unreachable
+const TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'
+]);
+
+/**
+ * Whether an error is likely to go away on its own (rate limit, timeout,
+ * dropped connection), as opposed to a bad document or an unusable reply
+ */
+function isTransientError(error) {
+  if (!error) return false;
+  if (error.name === 'TimeoutError') return true;
+  if (TRANSIENT_STATUSES.has(error.status)) return true;
+  const code = error.code || (error.cause && error.cause.code);
+  return TRANSIENT_CODES.has(code);
+}
+
+/**
+ * Local worker pool running persisted jobs. `handlers` maps a job type to
+ * `async (job, { reportProgress, isLastAttempt }) => result`. Jobs failing with a transient
+ * error are retried with exponential backoff until `maxAttempts` is reached.
+ * @param {{
+ *   store: object,
+ *   handlers: Object<string, Function>,
+ *   concurrency?: number,
+ *   maxAttempts?: number,
+ *   retryDelayMs?: number,
+ *   pollMs?: number,
+ *   describeError?: (error: Error, job: object) => object,
+ *   onFinished?: (job: object) => void
+ * }} options - `describeError` turns an error into what is stored on the job;
+ *   `onFinished` runs once a job has succeeded or failed for good
+ */
+function createJobQueue({
+  store,
+  handlers,
+  concurrency = 2,
+  maxAttempts = 3,
+  retryDelayMs = 5000,
+  pollMs = 1000,
+  describeError = error => ({ message: error.message }),
+  onFinished = () => {}
+}) {
+  let active = 0;
+  let timer = null;
+  let running = false;
+
+  function schedule(delayMs) {
+    if (!running) return;
+    clearTimeout(timer);
+    timer = setTimeout(fill, delayMs);
+    // Waiting for work must not keep the process alive
+    timer.unref();
+  }
+
+  // Claims due jobs until every worker slot is busy
+  function fill() {
+    while (running && active < concurrency) {
+      const job = store.claimNext();
+      if (!job) break;
+      active++;
+      run(job).finally(() => {
+        active--;
+        schedule(0);
+      });
+    }
+    schedule(pollMs);
+  }
+
+  async function run(job) {
+    console.log(`⚙️ Running ${job.type} job ${job.id} (attempt ${job.attempts})`);
+    try {
+      const handler = handlers[job.type];
+      if (!handler) throw new Error(`Unknown job type "${job.type}"`);
+
+      const result = await handler(job, {
+        reportProgress: progress => store.updateProgress(job.id, progress),
+        isLastAttempt: job.attempts >= maxAttempts
+      });
+      store.complete(job.id, result);
+      console.log(`✅ Job ${job.id} completed`);
+    } catch (error) {
+      if (isTransientError(error) && job.attempts < maxAttempts) {
+        const delayMs = retryDelayMs * 2 ** (job.attempts - 1);
+        console.warn(`⚠️ Job ${job.id} failed (${error.message}); retrying in ${delayMs / 1000}s`);
+        store.retry(job.id, new Date(Date.now() + delayMs).toISOString(), describeError(error, job));
+        return;
+      }
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+      store.fail(job.id, describeError(error, job));
+    }
+
+    try {
+      onFinished(job);
+    } catch (error) {
+      console.error(`❌ Cleanup after job ${job.id} failed:`, error);
+    }
+  }
+
+  return {
+    /**
+     * Persists a new job and wakes a worker
+     * @param {{ batchId?: string, keyId?: string|null }} options - keyId is the API key the job belongs to
+     * @returns {object} The queued job
+     */
+    enqueue(type, input, { batchId, keyId } = {}) {
+      const job = store.create({ type, input, batchId, keyId });
+      schedule(0);
+      return job;
+    },
+
+    /**
+     * Starts processing, first re-queuing jobs interrupted by a restart
+     */
+    start() {
+      const interrupted = store.requeueInterrupted();
+      if (interrupted > 0) {
+        console.log(`🔁 Re-queued ${interrupted} job(s) interrupted by a restart`);
+      }
+      running = true;
+      schedule(0);
+    },
+
+    stop() {
+      running = false;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = { createJobQueue, isTransientError };
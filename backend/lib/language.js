@@ -0,0 +1,123 @@
+// Languages the analysis can be written in, by ISO 639-1 code
+const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English' },
+  es: { name: 'Spanish', nativeName: 'Español' },
+  fr: { name: 'French', nativeName: 'Français' },
+  de: { name: 'German', nativeName: 'Deutsch' },
+  pt: { name: 'Portuguese', nativeName: 'Português' },
+  it: { name: 'Italian', nativeName: 'Italiano' },
+  nl: { name: 'Dutch', nativeName: 'Nederlands' },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी' },
+  mr: { name: 'Marathi', nativeName: 'मराठी' },
+  bn: { name: 'Bengali', nativeName: 'বাংলা' },
+  gu: { name: 'Gujarati', nativeName: 'ગુજરાતી' },
+  ta: { name: 'Tamil', nativeName: 'தமிழ்' },
+  te: { name: 'Telugu', nativeName: 'తెలుగు' },
+  ar: { name: 'Arabic', nativeName: 'العربية' },
+  ru: { name: 'Russian', nativeName: 'Русский' },
+  zh: { name: 'Chinese', nativeName: '中文' },
+  ja: { name: 'Japanese', nativeName: '日本語' },
+  ko: { name: 'Korean', nativeName: '한국어' }
+};
+
+const DEFAULT_OUTPUT_LANGUAGE = 'en';
+
+// How much of a document is looked at; the opening pages say enough
+const SAMPLE_CHARS = 20000;
+// Below this many common words a Latin-script guess is not worth reporting
+const MIN_STOPWORD_HITS = 5;
+
+// Scripts used by a single language in the set above; Devanagari and Han need a closer look
+const SCRIPTS = [
+  { script: /\p{Script=Bengali}/u, code: 'bn' },
+  { script: /\p{Script=Gujarati}/u, code: 'gu' },
+  { script: /\p{Script=Tamil}/u, code: 'ta' },
+  { script: /\p{Script=Telugu}/u, code: 'te' },
+  { script: /\p{Script=Arabic}/u, code: 'ar' },
+  { script: /\p{Script=Cyrillic}/u, code: 'ru' },
+  { script: /\p{Script=Hangul}/u, code: 'ko' },
+  { script: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, code: 'ja' },
+  { script: /\p{Script=Han}/u, code: 'zh' },
+  { script: /\p{Script=Devanagari}/u, code: 'hi' },
+  { script: /\p{Script=Latin}/u, code: 'latin' }
+];
+
+// Frequent function words, which tell Latin-script languages apart
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'shall', 'is', 'this', 'that', 'for', 'be', 'by', 'with', 'any', 'or'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'del', 'por', 'con', 'para', 'una', 'se', 'al'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'du', 'en', 'un', 'une', 'est', 'que', 'pour', 'dans', 'par'],
+  de: ['der', 'die', 'das', 'und', 'den', 'von', 'zu', 'mit', 'ist', 'im', 'des', 'dem', 'nicht', 'ein', 'eine'],
+  pt: ['o', 'os', 'as', 'de', 'do', 'da', 'dos', 'das', 'que', 'e', 'em', 'para', 'com', 'um', 'não'],
+  it: ['il', 'lo', 'la', 'gli', 'le', 'di', 'che', 'e', 'del', 'della', 'per', 'con', 'un', 'una', 'non'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'in', 'is', 'dat', 'op', 'te', 'voor', 'met', 'zijn', 'niet', 'wordt']
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words)]));
+
+// Words Marathi uses where Hindi would not, in the same script
+const MARATHI_WORDS = /(?:^|\s)(आहे|आणि|आहेत|करणे|यांच्या|किंवा)(?=\s|$|[.,।])/gu;
+const HINDI_WORDS = /(?:^|\s)(है|और|हैं|करना|के|या)(?=\s|$|[.,।])/gu;
+
+function describe(code, confidence) {
+  return { code, name: LANGUAGES[code].name, confidence: Math.round(confidence * 100) / 100 };
+}
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+function detectLatinLanguage(sample) {
+  const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.keys(STOPWORD_SETS).map(code => ({
+    code,
+    hits: words.filter(word => STOPWORD_SETS[code].has(word)).length
+  })).sort((a, b) => b.hits - a.hits);
+
+  const [best, second] = scores;
+  if (best.hits < MIN_STOPWORD_HITS) return null;
+  // The margin over the runner-up, since neighbouring languages share many words
+  return describe(best.code, (best.hits - second.hits) / best.hits);
+}
+
+/**
+ * Guesses the language a document is written in, from its script and, for
+ * Latin-script text, its most frequent small words
+ * @param {string} text
+ * @returns {{ code: string, name: string, confidence: number }|null} Null when the text gives too little to go on
+ */
+function detectLanguage(text) {
+  const sample = String(text || '').slice(0, SAMPLE_CHARS);
+  const counts = new Map();
+  for (const ch of sample) {
+    const match = SCRIPTS.find(({ script }) => script.test(ch));
+    if (match) counts.set(match.code, (counts.get(match.code) || 0) + 1);
+  }
+  if (counts.size === 0) return null;
+
+  // Japanese mixes kana with Han characters, so any real amount of kana decides it
+  if ((counts.get('ja') || 0) > (counts.get('zh') || 0) * 0.1) {
+    counts.set('ja', (counts.get('ja') || 0) + (counts.get('zh') || 0));
+    counts.delete('zh');
+  }
+
+  const letters = [...counts.values()].reduce((sum, n) => sum + n, 0);
+  const [code, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+
+  if (code === 'latin') return detectLatinLanguage(sample);
+  if (code === 'hi' && countMatches(sample, MARATHI_WORDS) > countMatches(sample, HINDI_WORDS)) {
+    return describe('mr', count / letters);
+  }
+  return describe(code, count / letters);
+}
+
+/**
+ * Checks an `outputLanguage` request value
+ * @returns {string|null} The language code, or null when it isn't supported
+ */
+function resolveOutputLanguage(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_OUTPUT_LANGUAGE;
+  const code = String(value).trim().toLowerCase();
+  return LANGUAGES[code] ? code : null;
+}
+
+module.exports = { LANGUAGES, DEFAULT_OUTPUT_LANGUAGE, detectLanguage, resolveOutputLanguage };
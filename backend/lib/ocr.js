@@ -0,0 +1,140 @@
+const path = require('path');
+const { createCanvas, DOMMatrix, Path2D, ImageData } = require('@napi-rs/canvas');
+const { createWorker } = require('tesseract.js');
+const engData = require('@tesseract.js-data/eng');
+
+// Rendering scale for OCR; ~150 DPI for a standard page, a good speed/accuracy trade-off
+const RENDER_SCALE = 2;
+// Most pages OCR'd per document, to bound processing time
+const MAX_OCR_PAGES = 50;
+// Average confidence (0-100) below which a scan is reported as low quality
+const LOW_CONFIDENCE = 70;
+
+const STANDARD_FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+/**
+ * Canvas factory letting pdf.js render into @napi-rs/canvas outside the browser
+ */
+class NodeCanvasFactory {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+  }
+}
+
+let pdfjsLib = null;
+let workerPromise = null;
+
+function loadPdfjs() {
+  if (!pdfjsLib) {
+    // pdf.js expects these browser globals for rendering and would otherwise try to load node-canvas
+    globalThis.DOMMatrix = globalThis.DOMMatrix || DOMMatrix;
+    globalThis.Path2D = globalThis.Path2D || Path2D;
+    globalThis.ImageData = globalThis.ImageData || ImageData;
+    pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+  }
+  return pdfjsLib;
+}
+
+/**
+ * Lazily starts one shared Tesseract worker using the bundled English model (no downloads)
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker(engData.code, 1, {
+      langPath: engData.langPath,
+      gzip: engData.gzip,
+      cacheMethod: 'none'
+    }).catch(error => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Whether a page draws any images, i.e. is worth OCR'ing when it has no text
+ */
+async function pageHasImages(page) {
+  const { OPS } = loadPdfjs();
+  const imageOps = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject, OPS.paintImageMaskXObject, OPS.paintJpegXObject]);
+  const operatorList = await page.getOperatorList();
+  return operatorList.fnArray.some(fn => imageOps.has(fn));
+}
+
+async function renderPage(page) {
+  const viewport = page.getViewport({ scale: RENDER_SCALE });
+  const canvasFactory = new NodeCanvasFactory();
+  const { canvas, context } = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+  // Scans often have transparent backgrounds; OCR needs white paper
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  await page.render({ canvasContext: context, viewport, canvasFactory }).promise;
+  const png = await canvas.encode('png');
+  canvasFactory.destroy({ canvas, context });
+  return png;
+}
+
+/**
+ * OCRs the given pages of a PDF. Pages that draw no images are skipped as truly blank.
+ * @param {Buffer} buffer - PDF file contents
+ * @param {number[]} pageNumbers - 1-based page numbers to OCR
+ * @returns {Promise<Array<{ page: number, text: string, confidence: number }>>}
+ */
+async function ocrPdfPages(buffer, pageNumbers) {
+  const { getDocument } = loadPdfjs();
+  const doc = await getDocument({
+    data: new Uint8Array(buffer),
+    canvasFactory: new NodeCanvasFactory(),
+    standardFontDataUrl: STANDARD_FONTS_DIR,
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+
+  const results = [];
+  try {
+    for (const pageNumber of pageNumbers.slice(0, MAX_OCR_PAGES)) {
+      const page = await doc.getPage(pageNumber);
+      if (!(await pageHasImages(page))) continue;
+
+      const image = await renderPage(page);
+      const worker = await getWorker();
+      const { data } = await worker.recognize(image);
+      results.push({ page: pageNumber, text: data.text.trim(), confidence: Math.round(data.confidence) });
+      page.cleanup();
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  return results;
+}
+
+/**
+ * Summarizes OCR results for response metadata
+ */
+function summarizeOcr(results) {
+  if (results.length === 0) return null;
+  const averageConfidence = Math.round(results.reduce((sum, r) => sum + r.confidence, 0) / results.length);
+  return {
+    pages: results.map(r => ({ page: r.page, confidence: r.confidence })),
+    averageConfidence,
+    lowQuality: averageConfidence < LOW_CONFIDENCE
+  };
+}
+
+module.exports = { ocrPdfPages, summarizeOcr, LOW_CONFIDENCE };
@@ -0,0 +1,87 @@
+// Words that don't tell two references to a party apart ("the Tenant" is "Tenant")
+const FILLER = /^(?:the|a|an)\s+/;
+
+function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(FILLER, '');
+}
+
+/**
+ * Merges the parties found in each part of a document: the same party
+ * (by name or alias) keeps its first role and gathers every alias
+ * @param {Array<{ name: string, role?: string, aliases?: string[] }>} parties
+ */
+function mergeParties(parties) {
+  const merged = [];
+  parties.forEach(party => {
+    const names = [party.name, ...(party.aliases || [])].map(normalizeName).filter(Boolean);
+    const existing = merged.find(other =>
+      [other.name, ...other.aliases].some(name => names.includes(normalizeName(name)))
+    );
+    if (!existing) {
+      merged.push({ ...party, role: party.role || '', aliases: [...(party.aliases || [])] });
+      return;
+    }
+    if (!existing.role && party.role) existing.role = party.role;
+    [party.name, ...(party.aliases || [])].forEach(alias => {
+      const known = [existing.name, ...existing.aliases].some(name => normalizeName(name) === normalizeName(alias));
+      if (!known) existing.aliases.push(alias);
+    });
+  });
+  return merged;
+}
+
+// References that bind every party: "both parties", "each party", "the parties"
+const EVERY_PARTY = /^(?:both|each|either|all|any)?\s*part(?:y|ies)$/;
+
+/**
+ * Finds the parties a reference in an obligation stands for: every party
+ * for "each party" and the like, the party with that exact name, alias or
+ * role, otherwise every party whose name or alias appears in it ("Landlord
+ * and Tenant", "the Landlord's agent")
+ * @returns {object[]} Empty when nothing matches
+ */
+function matchParties(reference, parties) {
+  const wanted = normalizeName(reference);
+  if (!wanted) return [];
+  if (EVERY_PARTY.test(wanted)) return parties;
+
+  const labelsOf = party => [party.name, ...party.aliases, party.role].map(normalizeName).filter(Boolean);
+  const exact = parties.filter(party => labelsOf(party).includes(wanted));
+  if (exact.length > 0) {
+    const byName = exact.find(party => normalizeName(party.name) === wanted);
+    return byName ? [byName] : exact;
+  }
+
+  const padded = ` ${wanted} `;
+  return parties.filter(party =>
+    [party.name, ...party.aliases].map(normalizeName).some(label => label && padded.includes(` ${label} `))
+  );
+}
+
+/**
+ * Gives every party an `id` and links each obligation's obligor and obligee
+ * to parties (`obligorIds`, `obligeeIds`, empty when the reference matches
+ * none), so clients can filter obligations by party whichever name or
+ * defined term the obligation used
+ * @param {object} analysis - Analysis with `parties` and `obligations`
+ */
+function attributeObligations(analysis) {
+  const parties = (analysis.parties || []).map((party, i) => ({ ...party, id: `party-${i + 1}` }));
+  const idsOf = reference => matchParties(reference, parties).map(party => party.id);
+
+  return {
+    ...analysis,
+    parties,
+    obligations: (analysis.obligations || []).map(obligation => ({
+      ...obligation,
+      obligorIds: idsOf(obligation.obligor),
+      obligeeIds: idsOf(obligation.obligee)
+    }))
+  };
+}
+
+module.exports = { mergeParties, matchParties, attributeObligations };
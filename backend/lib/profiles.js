@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { RISK_LEVELS } = require('./schema');
+const { pageAt } = require('./anchors');
+const { clauseAround } = require('./rules');
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, '..', 'rules', 'document-profiles.json');
+
+// The profile used when no other one fits; it adds nothing to the generic analysis
+const GENERAL_PROFILE_ID = 'general';
+// How much of a document is read to classify it
+const CLASSIFY_SAMPLE_CHARS = 30000;
+// Signals in the opening text, where the title is, count this many times over
+const OPENING_CHARS = 600;
+const OPENING_WEIGHT = 3;
+// Occurrences counted per signal, so one repeated word can't decide the type
+const MAX_HITS_PER_SIGNAL = 10;
+// Below this score a document is treated as a general one
+const MIN_CLASSIFY_SCORE = 4;
+// The checklist and unusual-clause patterns are written in English
+const CHECKLIST_LANGUAGE = 'en';
+
+function compilePatterns(patterns, label) {
+  if (!Array.isArray(patterns)) throw new Error(`${label} needs a patterns array`);
+  return patterns.map(pattern => {
+    try {
+      return new RegExp(pattern, 'giu');
+    } catch (error) {
+      throw new Error(`${label} has an invalid pattern: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Loads and compiles the document-type profiles file
+ * @param {string} file - JSON file with a "profiles" array
+ * @returns {Array<{ id: string, name: string, signals: RegExp[], focus: string[], ruleRisk: object, checklist: Array, unusual: Array }>}
+ */
+function loadProfiles(file = DEFAULT_PROFILES_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(config.profiles)) {
+    throw new Error(`Document profiles file ${file} must contain a "profiles" array`);
+  }
+
+  const profiles = config.profiles.map((profile, i) => {
+    const label = `Document profile ${profile.id || `#${i + 1}`} in ${file}`;
+    if (!profile.id || !profile.name) throw new Error(`${label} needs an id and a name`);
+
+    const ruleRisk = profile.ruleRisk || {};
+    Object.entries(ruleRisk).forEach(([ruleId, risk]) => {
+      if (!RISK_LEVELS.includes(risk)) {
+        throw new Error(`${label} sets rule ${ruleId} to "${risk}"; use ${RISK_LEVELS.join(', ')}`);
+      }
+    });
+
+    return {
+      id: profile.id,
+      name: profile.name,
+      signals: compilePatterns(profile.signals || [], `${label} signals`),
+      focus: profile.focus || [],
+      ruleRisk,
+      checklist: (profile.checklist || []).map(item => {
+        const itemLabel = `${label} checklist item ${item.id}`;
+        if (!item.id || !item.name || !item.missing) throw new Error(`${itemLabel} needs an id, a name and a "missing" message`);
+        return {
+          id: item.id,
+          name: item.name,
+          missing: item.missing,
+          explanation: item.explanation || '',
+          importance: RISK_LEVELS.includes(item.importance) ? item.importance : 'medium',
+          patterns: compilePatterns(item.patterns, itemLabel)
+        };
+      }),
+      unusual: (profile.unusual || []).map(item => {
+        const itemLabel = `${label} unusual clause ${item.id}`;
+        if (!item.id || !item.name || !item.explanation) throw new Error(`${itemLabel} needs an id, a name and an explanation`);
+        if (!RISK_LEVELS.includes(item.risk)) throw new Error(`${itemLabel} has risk "${item.risk}"; use ${RISK_LEVELS.join(', ')}`);
+        return {
+          id: item.id,
+          name: item.name,
+          explanation: item.explanation,
+          risk: item.risk,
+          patterns: compilePatterns(item.patterns, itemLabel)
+        };
+      })
+    };
+  });
+
+  if (!profiles.some(profile => profile.id === GENERAL_PROFILE_ID)) {
+    profiles.unshift({ id: GENERAL_PROFILE_ID, name: 'General legal document', signals: [], focus: [], ruleRisk: {}, checklist: [], unusual: [] });
+  }
+  return profiles;
+}
+
+function countHits(pattern, text) {
+  pattern.lastIndex = 0;
+  let hits = 0;
+  while (hits < MAX_HITS_PER_SIGNAL && pattern.exec(text) !== null) hits++;
+  return hits;
+}
+
+function firstMatch(patterns, text) {
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(text);
+    if (match) return { start: match.index, end: match.index + match[0].length };
+  }
+  return null;
+}
+
+/**
+ * Picks the profile whose signals best match the document
+ * @returns {{ profile: object, confidence: number }} Confidence is the winner's share of all signal hits
+ */
+function classifyDocument(text, profiles) {
+  const sample = text.slice(0, CLASSIFY_SAMPLE_CHARS);
+  const opening = text.slice(0, OPENING_CHARS);
+  const general = profiles.find(profile => profile.id === GENERAL_PROFILE_ID);
+
+  const scores = profiles.map(profile => ({
+    profile,
+    score: profile.signals.reduce(
+      (sum, signal) => sum + countHits(signal, sample) + (OPENING_WEIGHT - 1) * countHits(signal, opening),
+      0
+    )
+  })).sort((a, b) => b.score - a.score);
+
+  const total = scores.reduce((sum, s) => sum + s.score, 0);
+  const [best] = scores;
+  if (!best || best.score < MIN_CLASSIFY_SCORE) return { profile: general, confidence: 0 };
+  return { profile: best.profile, confidence: Math.round((best.score / total) * 100) / 100 };
+}
+
+/**
+ * Decides which profile a document is analyzed with: the one the user asked
+ * for, or the one it is classified as
+ * @param {string|null} requestedId - Profile id from the request, if any
+ * @returns {{ profile: object, documentType: { id: string, name: string, source: 'user'|'detected', confidence: number|null } }}
+ */
+function selectProfile(text, profiles, requestedId = null) {
+  const requested = requestedId && profiles.find(profile => profile.id === requestedId);
+  if (requested) {
+    return { profile: requested, documentType: { id: requested.id, name: requested.name, source: 'user', confidence: null } };
+  }
+  const { profile, confidence } = classifyDocument(text, profiles);
+  return { profile, documentType: { id: profile.id, name: profile.name, source: 'detected', confidence } };
+}
+
+/**
+ * The clause rules with this document type's risk levels applied
+ */
+function weightRules(rules, profile) {
+  return rules.map(rule => (profile.ruleRisk[rule.id] ? { ...rule, risk: profile.ruleRisk[rule.id] } : rule));
+}
+
+/**
+ * Checks a document against its profile: standard protections that are
+ * missing, and unusual clauses that are present, quoted and anchored.
+ * Documents detected as another language than English are not checked, since
+ * every protection would be reported missing; `available` is false for them.
+ * @param {string|null} language - Detected document language code, null when unknown
+ * @returns {{ available: boolean, reason?: string, missing: Array, unusual: Array, present: Array }}
+ */
+function checkClauses(text, profile, pages = [], language = null) {
+  if (language && language !== CHECKLIST_LANGUAGE) {
+    return {
+      available: false,
+      reason: 'The clause checklist only reads English documents',
+      missing: [],
+      unusual: [],
+      present: []
+    };
+  }
+
+  const missing = [];
+  const present = [];
+  profile.checklist.forEach(item => {
+    const found = firstMatch(item.patterns, text);
+    if (found) {
+      present.push({ id: item.id, name: item.name });
+    } else {
+      missing.push({ id: item.id, name: item.name, message: item.missing, explanation: item.explanation, importance: item.importance });
+    }
+  });
+
+  const unusual = [];
+  profile.unusual.forEach(item => {
+    const found = firstMatch(item.patterns, text);
+    if (!found) return;
+    const range = clauseAround(text, found.start, found.end);
+    unusual.push({
+      id: item.id,
+      name: item.name,
+      explanation: item.explanation,
+      risk: item.risk,
+      clause: text.slice(range.start, range.end),
+      location: { start: range.start, end: range.end, page: pageAt(range.start, pages), score: 1, match: 'exact' }
+    });
+  });
+
+  return { available: true, missing, unusual, present };
+}
+
+module.exports = { loadProfiles, selectProfile, classifyDocument, weightRules, checkClauses, GENERAL_PROFILE_ID };
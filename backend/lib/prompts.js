@@ -0,0 +1,229 @@
+const { LANGUAGES, DEFAULT_OUTPUT_LANGUAGE } = require('./language');
+
+// Part of the analysis cache key; bump it when a prompt change should make cached analyses stale
+const PROMPT_VERSION = 2;
+
+// Tells the model how to treat placeholders left by lib/redaction
+const REDACTION_NOTE = `
+NOTE: Personal details (names, addresses, account numbers and the like) have been replaced by placeholders such as [PERSON_1] or [ACCOUNT_2]. Treat each placeholder as the detail it stands for and copy placeholders exactly as written, brackets included.
+`;
+
+/**
+ * Tells the model which language the document is in and which one to
+ * explain it in; quotes stay in the original so they can be found in the text
+ * @param {string|null} documentLanguage - Detected language code, if known
+ * @param {string} outputLanguage - Language code to write explanations in
+ */
+function buildLanguageNote(documentLanguage, outputLanguage = DEFAULT_OUTPUT_LANGUAGE) {
+  if (outputLanguage === DEFAULT_OUTPUT_LANGUAGE && (!documentLanguage || documentLanguage === DEFAULT_OUTPUT_LANGUAGE)) {
+    return '';
+  }
+  const output = LANGUAGES[outputLanguage];
+  const source = documentLanguage && LANGUAGES[documentLanguage];
+  return `
+LANGUAGE: ${source ? `The document is written in ${source.name}. ` : ''}Write every explanation ("simplified", "explanation", "impact", "definition", "importance", "action", "deadline", "warnings", "role", "obligation", "condition" and "answer") in ${output.name} (${output.nativeName}). Copy "clause", "term", party names and aliases, and citation quotes verbatim in the document's original language; never translate them. Keep the JSON keys and the values "low", "medium" and "high" in English.
+`;
+}
+
+/**
+ * Tells the model what kind of document it is reading and what deserves
+ * extra scrutiny in that kind of document
+ * @param {{ name: string, focus: string[] }|null} profile - Document-type profile from lib/profiles
+ */
+function buildProfileNote(profile) {
+  if (!profile || profile.focus.length === 0) return '';
+  return `
+DOCUMENT TYPE: This is a ${profile.name.toLowerCase()}. Besides the general analysis, pay particular attention to:
+${profile.focus.map(item => `- ${item}`).join('\n')}
+`;
+}
+
+/**
+ * Builds a comprehensive prompt for Gemini to analyze legal documents
+ * @param {string} text - Legal text (or one chunk of it) to analyze
+ * @param {string|null} query - Optional user question
+ * @param {{ index: number, total: number }|null} part - Chunk position when the document was split
+ * @param {{ redacted?: boolean, documentLanguage?: string|null, outputLanguage?: string, profile?: object|null }} options -
+ *   `redacted` when personal data was replaced by placeholders, `profile` the document type's profile
+ */
+function buildLegalAnalysisPrompt(text, query = null, part = null, { redacted = false, documentLanguage = null, outputLanguage, profile = null } = {}) {
+  const basePrompt = `You are an expert legal document analyst. Analyze the following legal text and provide a comprehensive breakdown.
+${part && part.total > 1 ? `
+NOTE: This is part ${part.index + 1} of ${part.total} of a longer document. Analyze only the text below; the other parts are analyzed separately and the results are merged.
+` : ''}${buildProfileNote(profile)}${redacted ? REDACTION_NOTE : ''}${buildLanguageNote(documentLanguage, outputLanguage)}
+LEGAL TEXT:
+"${text}"
+
+${query ? `SPECIFIC QUESTION: "${query}"` : ''}
+
+Please provide a detailed analysis in the following JSON format:
+
+{
+  "simplified": "A clear, plain-language explanation of the document's main points, preserving all important details and legal implications. Break down complex clauses into understandable language.",
+  "riskAssessment": {
+    "overallRisk": "low/medium/high",
+    "riskFactors": [
+      {
+        "clause": "The specific clause or section, quoted verbatim from the text",
+        "risk": "high/medium/low",
+        "explanation": "Why this is risky and what it means for the user",
+        "impact": "Financial/Legal/Operational impact description"
+      }
+    ]
+  },
+  "keyTerms": [
+    {
+      "term": "Legal term or phrase, exactly as written in the text",
+      "definition": "Simple explanation of what this means",
+      "importance": "Why this term matters"
+    }
+  ],
+  "actionItems": [
+    {
+      "action": "What the user should do",
+      "priority": "high/medium/low",
+      "deadline": "When this should be done (if applicable)"
+    }
+  ],
+  "warnings": [
+    "Important warnings or red flags the user should be aware of"
+  ],
+  "parties": [
+    {
+      "name": "Full name of a party to the document, exactly as written",
+      "role": "The party's role, such as Buyer, Seller, Employer or Licensor",
+      "aliases": ["Defined terms or short names the document uses for this party, exactly as written"]
+    }
+  ],
+  "obligations": [
+    {
+      "obligor": "The party who must do this, by its name as listed in parties",
+      "obligee": "The party it is owed to, by its name as listed in parties, or null",
+      "obligation": "What must be done (or not done), in plain language",
+      "condition": "When or under what condition it applies (if applicable), or null",
+      "clause": "The clause that creates the obligation, quoted verbatim from the text"
+    }
+  ]
+}
+
+Important guidelines:
+1. Focus on making complex legal language accessible to non-lawyers
+2. Highlight potential risks and their real-world implications
+3. Identify terms that could be problematic or unfair
+4. Provide actionable advice where appropriate
+5. Be objective but help users understand what they're agreeing to
+6. If analyzing a specific question, prioritize that in your response
+7. List every obligation of every party, naming obligor and obligee exactly as in "parties"
+
+Respond ONLY with valid JSON - no additional text or formatting.`;
+
+  return basePrompt;
+}
+
+/**
+ * Builds a follow-up prompt asking the model to fix a reply that failed schema validation
+ * @param {string} responseText - The malformed reply
+ * @param {string[]} errors - Validation errors to correct
+ */
+function buildJsonRepairPrompt(responseText, errors) {
+  return `Fix this JSON. The following reply was supposed to be a legal document analysis but it is not valid against the required format.
+
+PROBLEMS:
+${errors.map(error => `- ${error}`).join('\n')}
+
+REPLY TO FIX:
+${responseText}
+
+Return the corrected analysis with exactly these fields:
+- "simplified": string
+- "riskAssessment": { "overallRisk": "low" | "medium" | "high", "riskFactors": [{ "clause": string, "risk": "low" | "medium" | "high", "explanation": string, "impact": string }] }
+- "keyTerms": [{ "term": string, "definition": string, "importance": string }]
+- "actionItems": [{ "action": string, "priority": "low" | "medium" | "high", "deadline": string or null }]
+- "warnings": [string]
+- "parties": [{ "name": string, "role": string, "aliases": [string] }]
+- "obligations": [{ "obligor": string, "obligee": string or null, "obligation": string, "condition": string or null, "clause": string }]
+
+Keep the original content wherever it is usable. Use empty arrays rather than omitting a field.
+
+Respond ONLY with valid JSON - no additional text or formatting.`;
+}
+
+/**
+ * Builds a prompt answering a follow-up question about a document already analyzed in a session
+ * @param {{ question: string, passages: Array<{ text: string }>, history: Array<{ role: string, content: string }>, summary?: string, redacted?: boolean, documentLanguage?: string|null, outputLanguage?: string }} options
+ */
+function buildQuestionPrompt({ question, passages, history, summary, redacted = false, documentLanguage = null, outputLanguage }) {
+  return `You are an expert legal document analyst answering follow-up questions about a document the user has uploaded.
+${redacted ? REDACTION_NOTE : ''}${buildLanguageNote(documentLanguage, outputLanguage)}${summary ? `
+DOCUMENT SUMMARY:
+${summary}
+` : ''}
+RELEVANT PASSAGES FROM THE DOCUMENT:
+${passages.map((p, i) => `[Passage ${i + 1}]\n"${p.text.trim()}"`).join('\n\n')}
+${history.length > 0 ? `
+CONVERSATION SO FAR:
+${history.map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`).join('\n')}
+` : ''}
+DOCUMENT QUESTION: "${question}"
+
+Answer in the following JSON format:
+
+{
+  "answer": "A clear, plain-language answer to the question, based only on the document",
+  "citations": [
+    { "quote": "Exact wording copied from the passages above that supports the answer" }
+  ]
+}
+
+Important guidelines:
+1. Base the answer only on the passages; if they don't answer the question, say so
+2. Quote the document verbatim in citations so the user can find the wording
+3. Keep the answer short and accessible to non-lawyers
+
+Respond ONLY with valid JSON - no additional text or formatting.`;
+}
+
+/**
+ * Builds a prompt asking for replacement wording for each risky clause, as
+ * a negotiator for `party` would propose it
+ * @param {{ clauses: Array<{ clause: string, original: string, risk: string, explanation: string }>, party?: string, redacted?: boolean, documentLanguage?: string|null, outputLanguage?: string }} options
+ */
+function buildRedlinePrompt({ clauses, party = '', redacted = false, documentLanguage = null, outputLanguage = DEFAULT_OUTPUT_LANGUAGE }) {
+  const output = LANGUAGES[outputLanguage];
+  const source = documentLanguage && LANGUAGES[documentLanguage];
+  const languageNote = outputLanguage === DEFAULT_OUTPUT_LANGUAGE && (!documentLanguage || documentLanguage === DEFAULT_OUTPUT_LANGUAGE)
+    ? ''
+    : `
+LANGUAGE: Write "proposed" in ${source ? source.name : 'the language of the original clause'}, so it can replace the original wording. Write "rationale" and "fallback" in ${output.name} (${output.nativeName}). Keep the JSON keys in English.
+`;
+
+  return `You are an experienced contract negotiator. The clauses below were flagged as risky for ${party ? `"${party}"` : 'the party who asked for this review'}. For each one, propose replacement wording that is fairer to that party and that the other side could realistically accept.
+${redacted ? REDACTION_NOTE : ''}${languageNote}
+PROPOSED REDLINES FOR:
+${clauses.map((c, i) => `[Clause ${i + 1}] (risk: ${c.risk})
+Original: "${c.original}"
+Concern: ${c.explanation}`).join('\n\n')}
+
+Respond in the following JSON format, with one entry per clause:
+
+{
+  "redlines": [
+    {
+      "index": 1,
+      "proposed": "The full replacement wording for the clause, ready to paste into the contract",
+      "rationale": "One or two sentences on why the change is fair and what it protects against",
+      "fallback": "A compromise to offer if the other side rejects the proposed wording"
+    }
+  ]
+}
+
+Important guidelines:
+1. Keep as much of the original wording as possible and change only what addresses the concern
+2. Write "proposed" in the style of the contract, as complete clause text, not as a description of the change
+3. Keep the rationale short and accessible to non-lawyers
+4. Make the fallback a genuine middle ground, weaker than the proposal but better than the original
+
+Respond ONLY with valid JSON - no additional text or formatting.`;
+}
+
+module.exports = { buildLegalAnalysisPrompt, buildJsonRepairPrompt, buildQuestionPrompt, buildRedlinePrompt, PROMPT_VERSION };
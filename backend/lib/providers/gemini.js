@@ -0,0 +1,32 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Google Gemini adapter
+ * @param {{ apiKey: string, model?: string }} options
+ */
+function createGeminiProvider({ apiKey, model = 'gemini-1.5-flash' }) {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY environment variable is required for the gemini provider');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const generativeModel = genAI.getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    async generate(prompt, { signal } = {}) {
+      const result = await generativeModel.generateContent(prompt, { signal });
+      const response = await result.response;
+      return response.text();
+    },
+    async *stream(prompt, { signal } = {}) {
+      const result = await generativeModel.generateContentStream(prompt, { signal });
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
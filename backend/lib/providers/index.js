@@ -0,0 +1,34 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+/**
+ * Creates the LLM provider selected by LLM_PROVIDER ("gemini", "openai" or "mock").
+ * Every provider exposes `name`, `model`, `generate(prompt, { signal }) -> Promise<string>`
+ * and `stream(prompt, { signal })`, an async iterable of text deltas.
+ * @param {object} llm - The `llm` section of the server configuration (see lib/config)
+ */
+function createProvider(llm) {
+  switch (llm.provider) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: llm.geminiApiKey,
+        model: llm.model
+      });
+    case 'openai':
+      return createOpenAIProvider({
+        baseUrl: llm.openaiBaseUrl,
+        apiKey: llm.openaiApiKey,
+        model: llm.model
+      });
+    case 'mock':
+      return createMockProvider({
+        fixturesDir: llm.mockFixturesDir,
+        streamDelayMs: llm.mockStreamDelayMs
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${llm.provider}". Use gemini, openai or mock.`);
+  }
+}
+
+module.exports = { createProvider };
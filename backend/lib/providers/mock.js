@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'mock');
+// Size of the pieces a streamed fixture reply is split into
+const STREAM_PIECE_CHARS = 40;
+
+/**
+ * Loads fixture files from a directory, sorted by file name so the
+ * order in which they are matched is stable
+ */
+function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      return {
+        file,
+        match: (fixture.match || []).map(pattern => new RegExp(pattern, 'i')),
+        response: fixture.response
+      };
+    });
+}
+
+/**
+ * Offline provider that answers from canned fixtures. Each fixture lists
+ * `match` patterns tested against the prompt; the first fixture whose
+ * patterns all match wins, and a fixture with no patterns is the fallback.
+ * Streamed replies are sent in small pieces, `streamDelayMs` apart.
+ * @param {{ fixturesDir?: string, streamDelayMs?: number }} options
+ */
+function createMockProvider({ fixturesDir = DEFAULT_FIXTURES_DIR, streamDelayMs = 0 } = {}) {
+  const fixtures = loadFixtures(fixturesDir);
+  const fallback = fixtures.find(fixture => fixture.match.length === 0);
+
+  if (!fallback) {
+    throw new Error(`Mock provider needs a fixture without "match" patterns in ${fixturesDir}`);
+  }
+
+  function respond(prompt) {
+    const fixture = fixtures.find(f => f.match.length > 0 && f.match.every(regex => regex.test(prompt))) || fallback;
+    return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response, null, 2);
+  }
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    async generate(prompt) {
+      return respond(prompt);
+    },
+    async *stream(prompt, { signal } = {}) {
+      const text = respond(prompt);
+      for (let i = 0; i < text.length; i += STREAM_PIECE_CHARS) {
+        if (signal) signal.throwIfAborted();
+        if (streamDelayMs > 0) await new Promise(resolve => setTimeout(resolve, streamDelayMs));
+        yield text.slice(i, i + STREAM_PIECE_CHARS);
+      }
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,80 @@
+/**
+ * Adapter for any server speaking the OpenAI chat completions API
+ * (Ollama, llama.cpp, vLLM, LM Studio, OpenAI itself)
+ * @param {{ baseUrl: string, apiKey?: string, model: string, timeoutMs?: number }} options
+ */
+function createOpenAIProvider({ baseUrl, apiKey, model, timeoutMs = 120000 }) {
+  if (!baseUrl) {
+    throw new Error('OPENAI_BASE_URL environment variable is required for the openai provider');
+  }
+  if (!model) {
+    throw new Error('LLM_MODEL environment variable is required for the openai provider');
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function complete(prompt, { stream = false, signal } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const timeout = AbortSignal.timeout(timeoutMs);
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2,
+        stream
+      }),
+      signal: signal ? AbortSignal.any([timeout, signal]) : timeout
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`Model server responded with ${response.status}: ${body.slice(0, 200)}`);
+      // Lets callers tell a busy server (429, 503) from a bad request
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  return {
+    name: 'openai',
+    model,
+    async generate(prompt, { signal } = {}) {
+      const response = await complete(prompt, { signal });
+      const data = await response.json();
+      const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+      if (typeof content !== 'string') {
+        throw new Error('Model server returned no completion content');
+      }
+      return content;
+    },
+    // Streamed completions arrive as server-sent events, one "data:" line per delta
+    async *stream(prompt, { signal } = {}) {
+      const response = await complete(prompt, { stream: true, signal });
+      const decoder = new TextDecoder();
+      let pending = '';
+
+      for await (const bytes of response.body) {
+        pending += decoder.decode(bytes, { stream: true });
+        const lines = pending.split('\n');
+        pending = lines.pop();
+
+        for (const line of lines) {
+          const match = line.match(/^data:\s*(.+?)\s*$/);
+          if (!match) continue;
+          if (match[1] === '[DONE]') return;
+
+          const { choices } = JSON.parse(match[1]);
+          const delta = choices && choices[0] && choices[0].delta && choices[0].delta.content;
+          if (delta) yield delta;
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,95 @@
+const { splitIntoChunks } = require('./chunker');
+const { tokenize, locate } = require('./anchors');
+const { extractJson } = require('./schema');
+const { buildQuestionPrompt } = require('./prompts');
+const { createRedactor } = require('./redaction');
+
+// Size of the passages the document is split into for retrieval
+const PASSAGE_CHARS = 1500;
+// How many passages are sent to the model with each question
+const MAX_PASSAGES = 4;
+// How many previous turns are replayed to the model
+const MAX_HISTORY_TURNS = 6;
+
+/**
+ * Ranks the document's passages by how many of the question's words they
+ * contain, weighting rare words higher (a small TF-IDF)
+ */
+function retrievePassages(text, question, limit = MAX_PASSAGES) {
+  const passages = splitIntoChunks(text, { maxChars: PASSAGE_CHARS });
+  if (passages.length <= limit) return passages;
+
+  const queryWords = new Set(tokenize(question).map(t => t.word).filter(w => w.length > 2));
+  const passageWords = passages.map(p => tokenize(p.text).map(t => t.word));
+
+  const documentFrequency = new Map();
+  passageWords.forEach(words => {
+    new Set(words).forEach(w => {
+      if (queryWords.has(w)) documentFrequency.set(w, (documentFrequency.get(w) || 0) + 1);
+    });
+  });
+
+  const scored = passages.map((passage, i) => {
+    let score = 0;
+    passageWords[i].forEach(w => {
+      if (queryWords.has(w)) score += Math.log(1 + passages.length / documentFrequency.get(w));
+    });
+    return { passage, score: score / Math.sqrt(passageWords[i].length || 1) };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(s => s.passage)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Answers a follow-up question about a session's document, citing passages.
+ * When the session was analyzed with redaction, the prompt carries
+ * placeholders instead of personal data, as the analysis did, and the
+ * answer is written in the session's output language.
+ * @param {object} provider - LLM provider from lib/providers
+ * @param {object} session - Session from lib/sessions
+ * @param {string} question
+ * @returns {Promise<{ answer: string, citations: Array<{ quote: string, location: object|null }> }>}
+ */
+async function answerQuestion(provider, session, question) {
+  const passages = retrievePassages(session.text, question);
+  const history = session.history.slice(-MAX_HISTORY_TURNS * 2);
+  const summary = session.analysis ? session.analysis.simplified : '';
+
+  const redactor = session.redact ? createRedactor(`${session.text}\n${question}`) : null;
+  const prompt = redactor
+    ? buildQuestionPrompt({
+      question: redactor.redact(question),
+      passages: passages.map(passage => ({ ...passage, text: redactor.redact(passage.text) })),
+      history: history.map(turn => ({ ...turn, content: redactor.redact(turn.content) })),
+      summary: redactor.redact(summary),
+      redacted: true,
+      ...session.language
+    })
+    : buildQuestionPrompt({ question, passages, history, summary, ...session.language });
+
+  const reply = await provider.generate(prompt);
+  const responseText = redactor ? redactor.restore(reply) : reply;
+
+  const parsed = extractJson(responseText);
+  const answer = parsed && typeof parsed.answer === 'string' ? parsed.answer.trim() : responseText.trim();
+  const quotes = parsed && Array.isArray(parsed.citations) ? parsed.citations : [];
+
+  // Resolve each quoted passage to its place in the document; unlocatable quotes are kept but unanchored
+  const docTokens = tokenize(session.text);
+  const citations = quotes
+    .map(citation => (typeof citation === 'string' ? citation : citation && citation.quote))
+    .filter(quote => typeof quote === 'string' && quote.trim())
+    .map(quote => {
+      const found = locate(docTokens, quote);
+      const page = found && (session.pages || []).find(p => found.start >= p.start && found.start <= p.end);
+      return { quote: quote.trim(), location: found ? { ...found, page: page ? page.page : null } : null };
+    });
+
+  return { answer, citations };
+}
+
+module.exports = { answerQuestion, retrievePassages };
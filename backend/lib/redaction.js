@@ -0,0 +1,194 @@
+// Values shorter than this are never redacted everywhere they appear, so "Dr" or "12" can't blank out a document
+const MIN_VALUE_CHARS = 4;
+
+const NAME = "[A-Z][a-z'’-]+(?:\\s+[A-Z]\\.)?(?:\\s+[A-Z][a-z'’-]+){1,2}";
+const PARTY_ROLES = 'Employee|Employer|Executive|Tenant|Landlord|Lessee|Lessor|Borrower|Lender|Buyer|Seller|Purchaser|Contractor|Consultant|Client|Guarantor|Licensee|Licensor|Member|Owner';
+const DATE = '(?:\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|[A-Z][a-z]+\\.?\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}\\s+[A-Z][a-z]+\\.?\\s+\\d{4})';
+
+/**
+ * Personal data found by pattern. `group` redacts one capture group instead
+ * of the whole match, e.g. the number after "Account No." but not the label;
+ * `check` rejects matches that only look right.
+ */
+const DETECTORS = [
+  { type: 'email', regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { type: 'ssn', regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'card', regex: /\b\d(?:[ -]?\d){12,18}\b/g, check: passesLuhn },
+  { type: 'iban', regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,4})?\b/g },
+  {
+    type: 'account',
+    regex: /\b(?:account|acct\.?|a\/c|routing|sort\s+code)(?:\s+(?:number|no\.?|#))?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{4,19})\b/gi,
+    group: 1,
+    check: value => /\d{4}/.test(value)
+  },
+  { type: 'phone', regex: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/g },
+  {
+    type: 'address',
+    regex: /\b\d{1,6}\s+(?:[A-Z][a-z]+\.?\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Highway|Hwy)\b\.?(?:,?\s+(?:Apt|Apartment|Suite|Unit|#)\.?\s*[\w-]+)?(?:,\s*[A-Z][a-z]+(?:\s[A-Z][a-z]+)*)?(?:,?\s*[A-Z]{2}\b)?(?:\s+\d{5}(?:-\d{4})?)?/g
+  },
+  {
+    type: 'salary',
+    regex: /\b(?:salary|compensation|wages?|bonus|base\s+pay|pay\s+rate|hourly\s+rate)\b[^.;\n]{0,60}?(\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/gi,
+    group: 1
+  },
+  {
+    type: 'dob',
+    regex: new RegExp(`\\b(?:date\\s+of\\s+birth|DOB|born\\s+on)\\s*[:-]?\\s*(${DATE})`, 'gi'),
+    group: 1
+  },
+  { type: 'person', regex: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Dr|Prof)\\.?\\s+(${NAME.replace('{1,2}', '{0,2}')})`, 'g'), group: 1 },
+  {
+    type: 'person',
+    // A party introduced by name: John Smith ("Tenant"), Jane Doe, an individual
+    regex: new RegExp(`\\b(${NAME})\\s*(?:,\\s*an?\\s+individual|\\(\\s*(?:the\\s+|hereinafter\\s+)?["“](?:${PARTY_ROLES})["”])`, 'g'),
+    group: 1
+  },
+  {
+    type: 'person',
+    regex: new RegExp(`\\b(?:Name|Employee|Tenant|Landlord|Signed|By|Witness|Print\\s+Name)\\s*:\\s*(${NAME})`, 'g'),
+    group: 1
+  }
+];
+
+const PLACEHOLDER_PREFIXES = {
+  person: 'PERSON',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  ssn: 'SSN',
+  card: 'CARD',
+  iban: 'IBAN',
+  account: 'ACCOUNT',
+  address: 'ADDRESS',
+  salary: 'SALARY',
+  dob: 'DATE_OF_BIRTH'
+};
+
+// A placeholder the model echoed back, with or without its brackets
+const PLACEHOLDER_PATTERN = new RegExp(`\\[?\\b(?:${Object.values(PLACEHOLDER_PREFIXES).join('|')})_\\d+\\b\\]?`, 'g');
+
+/**
+ * Luhn checksum, so a 16-digit reference number isn't taken for a card
+ */
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Finds personal data in `text`
+ * @returns {Array<{ type: string, value: string }>} In order of first appearance
+ */
+function detectPii(text) {
+  const found = [];
+  for (const { type, regex, group, check } of DETECTORS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const value = (group ? match[group] : match[0]).trim();
+      if (value.length < MIN_VALUE_CHARS || (check && !check(value))) continue;
+      const start = match.index + match[0].indexOf(value);
+      found.push({ type, value, start, end: start + value.length });
+    }
+  }
+
+  // Where detectors overlap, the earlier and then the longer match wins
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  found.forEach(item => {
+    const last = kept[kept.length - 1];
+    if (!last || item.start >= last.end) kept.push(item);
+  });
+  return kept.map(({ type, value }) => ({ type, value }));
+}
+
+/**
+ * Replaces the personal data in a document with placeholders before it is
+ * sent to the model, and puts the real values back in what the model
+ * returns. Detection runs once over the document; `redact` then swaps every
+ * occurrence of each value in any text (a chunk, the user's question, a
+ * follow-up prompt), so a value always gets the same placeholder.
+ * @param {string} text - The document, plus anything else about to be sent with it
+ */
+function createRedactor(text) {
+  const entries = [];
+  const byValue = new Map();
+  const counters = {};
+
+  detectPii(text).forEach(({ type, value }) => {
+    if (byValue.has(value)) return;
+    counters[type] = (counters[type] || 0) + 1;
+    const entry = { placeholder: `[${PLACEHOLDER_PREFIXES[type]}_${counters[type]}]`, type, value };
+    byValue.set(value, entry);
+    entries.push(entry);
+  });
+
+  // Longest values first, so "Jane Smith" isn't half-replaced by a shorter value inside it
+  const valuePattern = entries.length > 0
+    ? new RegExp(entries.map(e => e.value).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'), 'g')
+    : null;
+  const byPlaceholder = new Map(entries.map(entry => [entry.placeholder.slice(1, -1), entry.value]));
+
+  function redact(input) {
+    if (!valuePattern || typeof input !== 'string') return input;
+    return input.replace(valuePattern, value => byValue.get(value).placeholder);
+  }
+
+  function restoreString(input) {
+    return input.replace(PLACEHOLDER_PATTERN, placeholder => {
+      const value = byPlaceholder.get(placeholder.replace(/^\[|\]$/g, ''));
+      return value === undefined ? placeholder : value;
+    });
+  }
+
+  /**
+   * Puts the real values back into every string of a model reply
+   */
+  function restore(value) {
+    if (entries.length === 0) return value;
+    if (typeof value === 'string') return restoreString(value);
+    if (Array.isArray(value)) return value.map(restore);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item)]));
+    }
+    return value;
+  }
+
+  return {
+    redact,
+    restore,
+
+    /**
+     * What was redacted: each placeholder with its type, the original value
+     * and how often it occurs in `text`
+     */
+    report() {
+      const byType = {};
+      const items = entries.map(entry => {
+        const occurrences = text.split(entry.value).length - 1;
+        byType[entry.type] = (byType[entry.type] || 0) + occurrences;
+        return { ...entry, occurrences };
+      });
+      return {
+        enabled: true,
+        total: items.reduce((sum, item) => sum + item.occurrences, 0),
+        byType,
+        items
+      };
+    }
+  };
+}
+
+module.exports = { createRedactor, detectPii };
@@ -0,0 +1,288 @@
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  InsertedTextRun,
+  DeletedTextRun,
+  HeadingLevel,
+  AlignmentType
+} = require('docx');
+const { extractJson } = require('./schema');
+const { buildRedlinePrompt } = require('./prompts');
+const { createRedactor } = require('./redaction');
+const { diffWords } = require('./compare');
+
+// Risk factors sent to the model in one request; the riskiest are kept when there are more
+const MAX_REDLINES = 20;
+const RISK_ORDER = { high: 0, medium: 1, low: 2 };
+// Author of the tracked changes in the exported DOCX
+const REVISION_AUTHOR = 'Legal Document Simplifier';
+// Below this share of the original wording kept, a word-level diff is mostly noise
+const MIN_KEPT_SHARE = 0.4;
+
+const REDLINE_FORMATS = {
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  memo: { extension: 'txt', contentType: 'text/plain; charset=utf-8' }
+};
+
+class RedlineParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedlineParseError';
+  }
+}
+
+/**
+ * The document's wording for a risk factor: the anchored span when the
+ * factor was located in the text, otherwise the clause the model quoted
+ */
+function originalWording(factor, text) {
+  const { location } = factor;
+  if (text && location && Number.isInteger(location.start) && location.end > location.start) {
+    const span = text.slice(location.start, location.end).trim();
+    if (span) return span;
+  }
+  return String(factor.clause || '').trim();
+}
+
+/**
+ * Asks the model for fairer replacement wording for each risk factor, with
+ * a rationale and a fallback position. Proposed wording is written in the
+ * document's language; the rationale and fallback in the output language.
+ * @param {object} provider - LLM provider from lib/providers
+ * @param {{ riskFactors: object[], text?: string, pages?: object[], party?: string, redact?: boolean, documentLanguage?: string|null, outputLanguage?: string, signal?: AbortSignal }} options
+ * @returns {Promise<{ redlines: object[], skipped: Array<{ clause: string, reason: string }> }>}
+ * @throws {RedlineParseError} When the model's reply holds no redlines
+ */
+async function proposeRedlines(provider, { riskFactors, text = '', pages = [], party = '', redact = false, documentLanguage = null, outputLanguage, signal }) {
+  const candidates = riskFactors
+    .map((factor, factorIndex) => ({ factor, factorIndex, original: originalWording(factor, text) }))
+    .filter(candidate => candidate.original);
+  const ranked = [...candidates].sort((a, b) => (RISK_ORDER[a.factor.risk] ?? 3) - (RISK_ORDER[b.factor.risk] ?? 3));
+  const selected = ranked.slice(0, MAX_REDLINES).sort((a, b) => a.factorIndex - b.factorIndex);
+  const skipped = ranked.slice(MAX_REDLINES).map(({ factor }) => ({
+    clause: factor.clause,
+    reason: `Only the ${MAX_REDLINES} riskiest clauses are redlined at a time`
+  }));
+  if (selected.length === 0) return { redlines: [], skipped };
+
+  const redactor = redact
+    ? createRedactor([text, party, ...selected.map(candidate => candidate.original)].join('\n'))
+    : null;
+  const hide = value => (redactor ? redactor.redact(value) : value);
+  const prompt = buildRedlinePrompt({
+    clauses: selected.map(({ factor, original }) => ({
+      clause: hide(factor.clause),
+      original: hide(original),
+      risk: factor.risk,
+      explanation: hide(factor.explanation || '')
+    })),
+    party: hide(party),
+    redacted: !!redactor,
+    documentLanguage,
+    outputLanguage
+  });
+
+  const reply = await provider.generate(prompt, { signal });
+  const parsed = extractJson(redactor ? redactor.restore(reply) : reply);
+  if (!parsed || !Array.isArray(parsed.redlines)) {
+    throw new RedlineParseError('Failed to parse suggested redlines from AI service');
+  }
+
+  const byIndex = new Map();
+  parsed.redlines.forEach(entry => {
+    if (entry && Number.isInteger(entry.index) && typeof entry.proposed === 'string' && entry.proposed.trim()) {
+      byIndex.set(entry.index, entry);
+    }
+  });
+
+  const redlines = [];
+  selected.forEach(({ factor, factorIndex, original }, i) => {
+    const entry = byIndex.get(i + 1);
+    if (!entry) {
+      skipped.push({ clause: factor.clause, reason: 'No replacement wording was proposed' });
+      return;
+    }
+    const page = factor.location && pages.find(p => factor.location.start >= p.start && factor.location.start <= p.end);
+    redlines.push(buildRedline({
+      factorIndex,
+      clause: factor.clause,
+      risk: factor.risk,
+      original,
+      proposed: entry.proposed,
+      rationale: entry.rationale,
+      fallback: entry.fallback,
+      location: factor.location ? { ...factor.location, page: page ? page.page : factor.location.page || null } : null
+    }));
+  });
+
+  return { redlines, skipped };
+}
+
+/**
+ * Word-level changes from the original to the proposed wording, or null when
+ * the clauses are too long to diff or the proposal is essentially a rewrite
+ */
+function wordChanges(before, after) {
+  const changes = diffWords(before, after);
+  if (!changes) return null;
+  const kept = changes.filter(segment => segment.type === 'equal').reduce((total, segment) => total + segment.text.trim().length, 0);
+  return kept >= before.length * MIN_KEPT_SHARE ? changes : null;
+}
+
+/**
+ * One redline with its word-level changes; without them the change is
+ * shown as the whole original replaced by the whole proposal
+ */
+function buildRedline({ factorIndex = null, clause, risk, original, proposed, rationale, fallback, location = null }) {
+  const before = String(original).trim();
+  const after = String(proposed).trim();
+  return {
+    factorIndex,
+    clause: String(clause || ''),
+    risk: RISK_ORDER[risk] === undefined ? 'medium' : risk,
+    original: before,
+    proposed: after,
+    rationale: typeof rationale === 'string' ? rationale.trim() : '',
+    fallback: typeof fallback === 'string' ? fallback.trim() : '',
+    location,
+    changes: wordChanges(before, after)
+  };
+}
+
+/**
+ * Rebuilds redlines sent back by a client for export, keeping only the
+ * fields the renderers use and recomputing the changes
+ * @returns {object[]|null} Null when the list is empty or an entry lacks its wording
+ */
+function normalizeRedlines(list) {
+  if (!Array.isArray(list) || list.length === 0) return null;
+  const valid = list.every(item => item && typeof item.original === 'string' && item.original.trim() &&
+    typeof item.proposed === 'string' && item.proposed.trim());
+  return valid ? list.map(item => buildRedline(item)) : null;
+}
+
+function changeSegments(redline) {
+  return redline.changes || [
+    { type: 'delete', text: redline.original },
+    { type: 'insert', text: redline.proposed }
+  ];
+}
+
+/**
+ * Renders the redlines as a Word document whose proposed wording is a
+ * tracked change to the original, for the other side to accept or reject
+ * @returns {Promise<Buffer>}
+ */
+function renderRedlineDocx(redlines, { sourceName, party, generatedAt }) {
+  let revisionId = 0;
+  const revision = () => ({ id: ++revisionId, author: REVISION_AUTHOR, date: generatedAt });
+
+  const children = [
+    new Paragraph({ text: 'Proposed Contract Changes', heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER }),
+    new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: sourceName, size: 28 })] }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 400 },
+      children: [new TextRun({ text: `${party ? `On behalf of ${party}. ` : ''}${redlines.length} proposed change(s).`, color: '64748B' })]
+    })
+  ];
+
+  redlines.forEach((redline, i) => {
+    children.push(
+      new Paragraph({ text: `${i + 1}. ${redline.clause}`, heading: HeadingLevel.HEADING_2 }),
+      new Paragraph({
+        children: changeSegments(redline).map(segment => {
+          if (segment.type === 'insert') return new InsertedTextRun({ text: segment.text, ...revision() });
+          if (segment.type === 'delete') return new DeletedTextRun({ text: segment.text, ...revision() });
+          return new TextRun(segment.text);
+        })
+      }),
+      new Paragraph({
+        children: [new TextRun({ text: 'Rationale: ', bold: true }), new TextRun(redline.rationale || '—')]
+      }),
+      new Paragraph({
+        spacing: { after: 300 },
+        children: [new TextRun({ text: 'Fallback position: ', bold: true }), new TextRun(redline.fallback || '—')]
+      })
+    );
+  });
+
+  children.push(new Paragraph({
+    spacing: { before: 400 },
+    children: [new TextRun({ text: 'These suggestions are informational and are not legal advice.', italics: true, color: '9CA3AF' })]
+  }));
+
+  const doc = new Document({
+    title: 'Proposed Contract Changes',
+    description: `Suggested redlines for ${sourceName}`,
+    features: { trackRevisions: true },
+    sections: [{ children }]
+  });
+  return Packer.toBuffer(doc);
+}
+
+function indent(text, prefix = '   ') {
+  return text.split('\n').map(line => `${prefix}${line}`).join('\n');
+}
+
+/**
+ * Renders the redlines as a plain-text memo to negotiate from
+ * @returns {Buffer}
+ */
+function renderRedlineMemo(redlines, { sourceName, party, generatedAt }) {
+  const lines = [
+    'NEGOTIATION MEMO',
+    '',
+    `Document: ${sourceName}`,
+    ...(party ? [`On behalf of: ${party}`] : []),
+    `Prepared: ${new Date(generatedAt).toUTCString()}`,
+    `Proposed changes: ${redlines.length}`,
+    ''
+  ];
+
+  redlines.forEach((redline, i) => {
+    lines.push(
+      '-'.repeat(60),
+      `${i + 1}. ${redline.clause} (${redline.risk.toUpperCase()} risk)`,
+      '',
+      'Current wording:',
+      indent(`"${redline.original}"`),
+      '',
+      'Proposed wording:',
+      indent(`"${redline.proposed}"`),
+      '',
+      'Why we are asking:',
+      indent(redline.rationale || '—'),
+      '',
+      'If they refuse:',
+      indent(redline.fallback || '—'),
+      ''
+    );
+  });
+
+  lines.push('-'.repeat(60), 'These suggestions are informational and are not legal advice.', '');
+  return Buffer.from(lines.join('\n'), 'utf8');
+}
+
+/**
+ * Renders a set of redlines as a downloadable file
+ * @param {object[]} redlines - From proposeRedlines or normalizeRedlines
+ * @param {'docx'|'memo'} format
+ * @param {{ sourceName?: string, party?: string }} options
+ * @returns {Promise<{ buffer: Buffer, contentType: string, fileName: string }>}
+ */
+async function renderRedlines(redlines, format, { sourceName = 'Pasted text', party = '' } = {}) {
+  const renderers = { docx: renderRedlineDocx, memo: renderRedlineMemo };
+  const buffer = await renderers[format](redlines, { sourceName, party, generatedAt: new Date().toISOString() });
+
+  const baseName = sourceName.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_').slice(0, 80) || 'document';
+  return {
+    buffer,
+    contentType: REDLINE_FORMATS[format].contentType,
+    fileName: `${baseName}-${format === 'memo' ? 'negotiation-memo' : 'redline'}.${REDLINE_FORMATS[format].extension}`
+  };
+}
+
+module.exports = { REDLINE_FORMATS, MAX_REDLINES, proposeRedlines, normalizeRedlines, renderRedlines, RedlineParseError };
@@ -0,0 +1,567 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const fontkit = require('fontkit');
+const { renderCalendar } = require('./calendar');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  AlignmentType,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType,
+  PageBreak
+} = require('docx');
+
+const LEVELS = ['high', 'medium', 'low'];
+
+const REPORT_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  // The key dates alone, as calendar events
+  ics: { extension: 'ics', contentType: 'text/calendar; charset=utf-8' }
+};
+
+function capitalize(value) {
+  const text = String(value || '');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function countBy(items, key) {
+  const counts = { high: 0, medium: 0, low: 0 };
+  items.forEach(item => {
+    if (item[key] in counts) counts[item[key]]++;
+  });
+  return counts;
+}
+
+/**
+ * Collects everything a report shows from an analysis response, in display order
+ * @param {object} analysis - Analysis response as returned by /analyze or /upload
+ */
+function buildReportModel(analysis) {
+  const metadata = analysis.metadata || {};
+  const riskAssessment = analysis.riskAssessment || { overallRisk: 'low', riskFactors: [] };
+  const riskFactors = riskAssessment.riskFactors || [];
+  const actionItems = analysis.actionItems || [];
+
+  const details = [
+    ['Source', metadata.fileName || 'Pasted text'],
+    ['Analyzed', metadata.timestamp ? new Date(metadata.timestamp).toUTCString() : 'Unknown'],
+    ['Text length', `${metadata.textLength || 0} characters`]
+  ];
+  if (metadata.pageCount) details.push(['Pages', String(metadata.pageCount)]);
+  if (metadata.format) details.push(['Format', metadata.format.toUpperCase()]);
+  if (metadata.chunks && metadata.chunks.length > 1) details.push(['Analyzed in', `${metadata.chunks.length} parts`]);
+  if (metadata.ocr) details.push(['OCR', `${metadata.ocr.pages.length} page(s), ${metadata.ocr.averageConfidence}% confidence`]);
+  if (analysis.documentType) {
+    details.push(['Document type', `${analysis.documentType.name}${analysis.documentType.source === 'user' ? ' (chosen by the user)' : ''}`]);
+  }
+  if (metadata.language && metadata.language.detected) details.push(['Document language', metadata.language.detected.name]);
+  if (metadata.redaction && metadata.redaction.enabled) {
+    details.push(['Personal data', `${metadata.redaction.total} item(s) redacted before AI analysis`]);
+  }
+  if (analysis.grounding) details.push(['Grounding score', `${Math.round(analysis.grounding.score * 100)}%`]);
+
+  return {
+    title: 'Legal Document Analysis',
+    sourceName: metadata.fileName || 'Pasted text',
+    analyzedAt: metadata.timestamp || new Date().toISOString(),
+    generatedAt: new Date().toISOString(),
+    simplified: analysis.simplified || '',
+    overallRisk: riskAssessment.overallRisk,
+    riskFactors,
+    keyTerms: analysis.keyTerms || [],
+    actionItems,
+    warnings: analysis.warnings || [],
+    parties: analysis.parties || [],
+    obligations: analysis.obligations || [],
+    timeline: analysis.timeline || null,
+    // Standard protections the document lacks and unusual clauses it has, for its document type
+    missingClauses: (analysis.clauseChecklist && analysis.clauseChecklist.missing) || [],
+    unusualClauses: (analysis.clauseChecklist && analysis.clauseChecklist.unusual) || [],
+    details,
+    // The two dashboard charts, as tables
+    charts: [
+      { title: 'Risk Factors', labels: ['High Risk', 'Medium Risk', 'Low Risk'], counts: countBy(riskFactors, 'risk') },
+      { title: 'Action Priority', labels: ['High Priority', 'Medium Priority', 'Low Priority'], counts: countBy(actionItems, 'priority') }
+    ]
+  };
+}
+
+/**
+ * An action item's deadline as written, with the date it resolves to when known
+ */
+function deadlineText(item) {
+  if (!item.deadline) return '';
+  return item.dueDate ? `${item.deadline} (${item.dueDate})` : item.deadline;
+}
+
+/**
+ * A party's role and the other names the document uses for it, after its name
+ */
+function partyDetails(party) {
+  const role = party.role ? ` (${party.role})` : '';
+  return party.aliases && party.aliases.length > 0 ? `${role}, also "${party.aliases.join('", "')}"` : role;
+}
+
+/**
+ * Notes which clause rule found a risk factor, if any
+ */
+function detectedBy(factor) {
+  return factor.source === 'rule' && factor.ruleName ? ` (Detected by the "${factor.ruleName}" clause rule.)` : '';
+}
+
+function markdownCell(value) {
+  return String(value == null ? '' : value).replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+}
+
+/**
+ * Renders the report as Markdown
+ * @returns {Buffer}
+ */
+function renderMarkdown(model) {
+  const lines = [
+    `# ${model.title}`,
+    '',
+    `**Source:** ${model.sourceName}  `,
+    `**Analyzed:** ${new Date(model.analyzedAt).toUTCString()}  `,
+    `**Overall risk:** ${model.overallRisk.toUpperCase()}`,
+    '',
+    '## Simplified Summary',
+    '',
+    model.simplified,
+    '',
+    '## Risk Assessment',
+    ''
+  ];
+
+  if (model.riskFactors.length > 0) {
+    lines.push('| Clause | Risk | Explanation | Impact |', '| --- | --- | --- | --- |');
+    model.riskFactors.forEach(f => {
+      lines.push(`| ${markdownCell(f.clause)} | ${markdownCell(f.risk)} | ${markdownCell(f.explanation + detectedBy(f))} | ${markdownCell(f.impact)} |`);
+    });
+  } else {
+    lines.push('No risk factors identified.');
+  }
+
+  if (model.missingClauses.length > 0 || model.unusualClauses.length > 0) {
+    lines.push('', '## Missing or Unusual Clauses', '');
+    model.missingClauses.forEach(m => lines.push(`- **Missing** [${m.importance.toUpperCase()}]: ${m.message}. ${m.explanation}`));
+    model.unusualClauses.forEach(u => lines.push(`- **Unusual** [${u.risk.toUpperCase()}]: ${u.name}. ${u.explanation} Clause: _"${markdownCell(u.clause)}"_`));
+  }
+
+  if (model.keyTerms.length > 0) {
+    lines.push('', '## Key Terms', '');
+    model.keyTerms.forEach(t => {
+      lines.push(`- **${t.term}**: ${t.definition}${t.importance ? ` _Why it matters:_ ${t.importance}` : ''}`);
+    });
+  }
+
+  if (model.actionItems.length > 0) {
+    lines.push('', '## Action Items', '');
+    model.actionItems.forEach(a => {
+      lines.push(`- [${a.priority.toUpperCase()}] ${a.action}${a.deadline ? ` (deadline: ${deadlineText(a)})` : ''}`);
+    });
+  }
+
+  if (model.parties.length > 0 || model.obligations.length > 0) {
+    lines.push('', '## Parties and Obligations', '');
+    model.parties.forEach(p => lines.push(`- **${p.name}**${partyDetails(p)}`));
+    if (model.obligations.length > 0) {
+      lines.push('', '| Obligor | Obligee | Obligation | Condition | Clause |', '| --- | --- | --- | --- | --- |');
+      model.obligations.forEach(o => {
+        lines.push(`| ${markdownCell(o.obligor)} | ${markdownCell(o.obligee)} | ${markdownCell(o.obligation)} | ${markdownCell(o.condition)} | ${markdownCell(o.clause)} |`);
+      });
+    }
+  }
+
+  if (model.warnings.length > 0) {
+    lines.push('', '## Warnings', '');
+    model.warnings.forEach(w => lines.push(`- ${w}`));
+  }
+
+  lines.push('', '## Risk Overview', '');
+  model.charts.forEach(chart => {
+    lines.push(`### ${chart.title}`, '', '| Level | Count |', '| --- | --- |');
+    LEVELS.forEach((level, i) => lines.push(`| ${chart.labels[i]} | ${chart.counts[level]} |`));
+    lines.push('');
+  });
+
+  lines.push('## Analysis Details', '');
+  model.details.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  lines.push('', `_Report generated ${new Date(model.generatedAt).toUTCString()}. This analysis is informational and is not legal advice._`, '');
+
+  return Buffer.from(lines.join('\n'), 'utf8');
+}
+
+const RISK_COLORS = { high: '#ef4444', medium: '#f59e0b', low: '#10b981' };
+
+const FONTS_DIR = path.join(__dirname, '..', 'fonts');
+
+/**
+ * Paths of one bundled family's regular, bold and italic TTFs (see
+ * fonts/README.md); a face the family doesn't have falls back to regular
+ */
+function bundledFont(family, { bold = true, italic = false } = {}) {
+  const file = style => path.join(FONTS_DIR, `${family}-${style}.ttf`);
+  return {
+    regular: file('Regular'),
+    bold: file(bold ? 'Bold' : 'Regular'),
+    italic: file(italic ? 'Italic' : 'Regular')
+  };
+}
+
+// PDF fonts in order of preference: Noto Sans draws Latin, Greek, Cyrillic
+// and Devanagari, the others the rest of the scripts analyses are written in
+const PDF_FONTS = [
+  bundledFont('NotoSans', { italic: true }),
+  bundledFont('NotoSansBengali'),
+  bundledFont('NotoSansGujarati'),
+  bundledFont('NotoSansTamil'),
+  bundledFont('NotoSansTelugu'),
+  bundledFont('NotoSansArabic'),
+  bundledFont('NotoSansSC', { bold: false }),
+  bundledFont('NotoSansKR', { bold: false })
+];
+// Line breaks and tabs are laid out by PDFKit, not drawn with a glyph
+const LAYOUT_CHARACTERS = /[\t\n\r]/;
+// Drawn in place of a character no font has, so the gap shows
+const REPLACEMENT_CHARACTER = '\uFFFD';
+
+// Opened on first use, only to look up which characters each font has
+const openedFonts = new Map();
+
+function hasGlyph(font, char) {
+  if (!openedFonts.has(font)) openedFonts.set(font, fontkit.openSync(font.regular));
+  return openedFonts.get(font).hasGlyphForCodePoint(char.codePointAt(0));
+}
+
+/**
+ * Splits text into runs that one font can draw each. A character stays in
+ * the current run when its font has it, so marks and punctuation stay with
+ * the text around them; characters no font has are replaced with U+FFFD and
+ * added to `missing`.
+ * @param {Set<string>} [missing]
+ * @returns {Array<{ font: object, text: string }>}
+ */
+function fontRuns(value, missing = new Set()) {
+  const runs = [];
+  for (let char of String(value == null ? '' : value)) {
+    const current = runs[runs.length - 1];
+    if (current && (LAYOUT_CHARACTERS.test(char) || hasGlyph(current.font, char))) {
+      current.text += char;
+      continue;
+    }
+    let font = LAYOUT_CHARACTERS.test(char) ? PDF_FONTS[0] : PDF_FONTS.find(candidate => hasGlyph(candidate, char));
+    if (!font) {
+      missing.add(char);
+      char = REPLACEMENT_CHARACTER;
+      font = current && hasGlyph(current.font, char) ? current.font : PDF_FONTS[0];
+    }
+    if (current && current.font === font) current.text += char;
+    else runs.push({ font, text: char });
+  }
+  return runs.length > 0 ? runs : [{ font: PDF_FONTS[0], text: '' }];
+}
+
+/**
+ * Writes text in a style ("regular", "bold" or "italic"), switching to
+ * another font for the scripts the first one can't draw. Takes PDFKit's
+ * text options; with `continued` the next write carries on the same line.
+ * Characters no font has are collected in `missing`.
+ */
+function writePdfText(doc, value, style = 'regular', options = {}, missing) {
+  const runs = fontRuns(value, missing);
+  runs.forEach((run, i) => {
+    doc.font(run.font[style]).text(run.text, { ...options, continued: i < runs.length - 1 || !!options.continued });
+  });
+  return doc;
+}
+
+/**
+ * Renders the report as a PDF
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(model) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: model.title, Subject: model.sourceName } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Characters the bundled fonts can't draw, printed as U+FFFD and logged once the report is done
+    const missing = new Set();
+    const write = (value, style, options) => writePdfText(doc, value, style, options, missing);
+    const heading = text => {
+      doc.moveDown(1).fontSize(15).fillColor('#1e293b');
+      write(text, 'bold');
+      doc.moveDown(0.4).fontSize(10.5).fillColor('#334155');
+    };
+
+    // Cover page
+    doc.moveDown(8).fontSize(28).fillColor('#1e293b');
+    write(model.title, 'bold', { align: 'center' });
+    doc.moveDown(1.5).fontSize(14).fillColor('#334155');
+    write(model.sourceName, 'regular', { align: 'center' });
+    doc.moveDown(0.5).fontSize(11).fillColor('#64748b');
+    write(`Analyzed ${new Date(model.analyzedAt).toUTCString()}`, 'regular', { align: 'center' });
+    doc.moveDown(2).fontSize(16).fillColor(RISK_COLORS[model.overallRisk] || '#1e293b');
+    write(`Overall risk: ${model.overallRisk.toUpperCase()}`, 'bold', { align: 'center' });
+    doc.moveDown(10).fontSize(9).fillColor('#9ca3af');
+    write('This analysis is informational and is not legal advice.', 'regular', { align: 'center' });
+
+    doc.addPage();
+    heading('Simplified Summary');
+    write(model.simplified, 'regular', { align: 'left' });
+
+    heading('Risk Assessment');
+    if (model.riskFactors.length === 0) write('No risk factors identified.');
+    model.riskFactors.forEach(f => {
+      doc.fillColor(RISK_COLORS[f.risk] || '#1e293b');
+      write(`[${f.risk.toUpperCase()}] `, 'bold', { continued: true });
+      doc.fillColor('#1e293b');
+      write(f.clause, 'bold');
+      doc.fillColor('#334155');
+      write(f.explanation + detectedBy(f));
+      if (f.impact) write(`Impact: ${f.impact}`, 'italic');
+      doc.moveDown(0.6);
+    });
+
+    if (model.missingClauses.length > 0 || model.unusualClauses.length > 0) {
+      heading('Missing or Unusual Clauses');
+      model.missingClauses.forEach(m => {
+        doc.fillColor(RISK_COLORS[m.importance] || '#1e293b');
+        write('[MISSING] ', 'bold', { continued: true });
+        doc.fillColor('#1e293b');
+        write(m.message, 'bold');
+        doc.fillColor('#334155');
+        write(m.explanation);
+        doc.moveDown(0.5);
+      });
+      model.unusualClauses.forEach(u => {
+        doc.fillColor(RISK_COLORS[u.risk] || '#1e293b');
+        write('[UNUSUAL] ', 'bold', { continued: true });
+        doc.fillColor('#1e293b');
+        write(u.name, 'bold');
+        doc.fillColor('#334155');
+        write(u.explanation);
+        write(`"${u.clause}"`, 'italic');
+        doc.moveDown(0.5);
+      });
+    }
+
+    if (model.keyTerms.length > 0) {
+      heading('Key Terms');
+      model.keyTerms.forEach(t => {
+        write(t.term, 'bold');
+        write(t.definition);
+        if (t.importance) write(`Why it matters: ${t.importance}`, 'italic');
+        doc.moveDown(0.5);
+      });
+    }
+
+    if (model.actionItems.length > 0) {
+      heading('Action Items');
+      model.actionItems.forEach(a => {
+        doc.fillColor(RISK_COLORS[a.priority] || '#1e293b');
+        write(`[${a.priority.toUpperCase()}] `, 'bold', { continued: true });
+        doc.fillColor('#334155');
+        write(a.action);
+        if (a.deadline) {
+          doc.fillColor('#64748b');
+          write(`Deadline: ${deadlineText(a)}`);
+          doc.fillColor('#334155');
+        }
+        doc.moveDown(0.4);
+      });
+    }
+
+    if (model.parties.length > 0 || model.obligations.length > 0) {
+      heading('Parties and Obligations');
+      model.parties.forEach(p => write(`• ${p.name}${partyDetails(p)}`));
+      if (model.parties.length > 0) doc.moveDown(0.5);
+      model.obligations.forEach(o => {
+        write(`${o.obligor}${o.obligee ? ` → ${o.obligee}` : ''}: `, 'bold', { continued: true });
+        write(o.obligation);
+        if (o.condition) {
+          doc.fillColor('#64748b');
+          write(`Condition: ${o.condition}`);
+          doc.fillColor('#334155');
+        }
+        if (o.clause) write(`"${o.clause}"`, 'italic');
+        doc.moveDown(0.4);
+      });
+    }
+
+    if (model.warnings.length > 0) {
+      heading('Warnings');
+      doc.fillColor('#dc2626');
+      model.warnings.forEach(w => {
+        write(`• ${w}`);
+        doc.moveDown(0.3);
+      });
+      doc.fillColor('#334155');
+    }
+
+    heading('Risk Overview');
+    model.charts.forEach(chart => {
+      write(chart.title, 'bold');
+      const max = Math.max(1, ...LEVELS.map(level => chart.counts[level]));
+      LEVELS.forEach((level, i) => {
+        const y = doc.y;
+        doc.fillColor('#334155').font(PDF_FONTS[0].regular)
+          .text(`${chart.labels[i]}: ${chart.counts[level]}`, doc.page.margins.left, y, { width: 140 });
+        doc.rect(doc.page.margins.left + 150, y + 2, (240 * chart.counts[level]) / max || 1, 9).fill(RISK_COLORS[level]);
+        doc.fillColor('#334155');
+        doc.x = doc.page.margins.left;
+      });
+      doc.moveDown(0.6);
+    });
+
+    heading('Analysis Details');
+    model.details.forEach(([label, value]) => {
+      write(`${label}: `, 'bold', { continued: true });
+      write(value);
+    });
+
+    if (missing.size > 0) {
+      const codePoints = [...missing].map(char => `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+      console.warn(`⚠️ PDF report: no bundled font has ${codePoints.join(', ')}; printed as U+FFFD`);
+    }
+    doc.end();
+  });
+}
+
+function docxTable(header, rows) {
+  const cell = (text, bold = false) => new TableCell({
+    children: [new Paragraph({ children: [new TextRun({ text: String(text == null ? '' : text), bold })] })]
+  });
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [
+      new TableRow({ tableHeader: true, children: header.map(h => cell(h, true)) }),
+      ...rows.map(row => new TableRow({ children: row.map(value => cell(value)) }))
+    ]
+  });
+}
+
+/**
+ * Renders the report as a Word document
+ * @returns {Promise<Buffer>}
+ */
+function renderDocx(model) {
+  const children = [
+    // Cover page
+    new Paragraph({ text: model.title, heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER, spacing: { before: 3000 } }),
+    new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: model.sourceName, size: 28 })] }),
+    new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: `Analyzed ${new Date(model.analyzedAt).toUTCString()}`, color: '64748B' })] }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { before: 600 },
+      children: [new TextRun({ text: `Overall risk: ${model.overallRisk.toUpperCase()}`, bold: true, size: 32, color: RISK_COLORS[model.overallRisk].slice(1) })]
+    }),
+    new Paragraph({ children: [new PageBreak()] }),
+
+    new Paragraph({ text: 'Simplified Summary', heading: HeadingLevel.HEADING_1 }),
+    ...model.simplified.split(/\n{2,}/).map(paragraph => new Paragraph({ text: paragraph })),
+
+    new Paragraph({ text: 'Risk Assessment', heading: HeadingLevel.HEADING_1 }),
+    model.riskFactors.length > 0
+      ? docxTable(['Clause', 'Risk', 'Explanation', 'Impact'], model.riskFactors.map(f => [f.clause, capitalize(f.risk), f.explanation + detectedBy(f), f.impact]))
+      : new Paragraph({ text: 'No risk factors identified.' })
+  ];
+
+  if (model.missingClauses.length > 0 || model.unusualClauses.length > 0) {
+    children.push(
+      new Paragraph({ text: 'Missing or Unusual Clauses', heading: HeadingLevel.HEADING_1 }),
+      docxTable(['Finding', 'Level', 'Explanation', 'Clause'], [
+        ...model.missingClauses.map(m => [`Missing: ${m.message}`, capitalize(m.importance), m.explanation, '']),
+        ...model.unusualClauses.map(u => [`Unusual: ${u.name}`, capitalize(u.risk), u.explanation, u.clause])
+      ])
+    );
+  }
+
+  if (model.keyTerms.length > 0) {
+    children.push(
+      new Paragraph({ text: 'Key Terms', heading: HeadingLevel.HEADING_1 }),
+      docxTable(['Term', 'Definition', 'Why it matters'], model.keyTerms.map(t => [t.term, t.definition, t.importance]))
+    );
+  }
+
+  if (model.actionItems.length > 0) {
+    children.push(
+      new Paragraph({ text: 'Action Items', heading: HeadingLevel.HEADING_1 }),
+      docxTable(['Action', 'Priority', 'Deadline'], model.actionItems.map(a => [a.action, capitalize(a.priority), deadlineText(a)]))
+    );
+  }
+
+  if (model.parties.length > 0 || model.obligations.length > 0) {
+    children.push(
+      new Paragraph({ text: 'Parties and Obligations', heading: HeadingLevel.HEADING_1 }),
+      ...model.parties.map(p => new Paragraph({ text: p.name + partyDetails(p), bullet: { level: 0 } }))
+    );
+    if (model.obligations.length > 0) {
+      children.push(docxTable(['Obligor', 'Obligee', 'Obligation', 'Condition', 'Clause'], model.obligations.map(o => [o.obligor, o.obligee, o.obligation, o.condition, o.clause])));
+    }
+  }
+
+  if (model.warnings.length > 0) {
+    children.push(
+      new Paragraph({ text: 'Warnings', heading: HeadingLevel.HEADING_1 }),
+      ...model.warnings.map(w => new Paragraph({ text: w, bullet: { level: 0 } }))
+    );
+  }
+
+  children.push(new Paragraph({ text: 'Risk Overview', heading: HeadingLevel.HEADING_1 }));
+  model.charts.forEach(chart => {
+    children.push(
+      new Paragraph({ text: chart.title, heading: HeadingLevel.HEADING_2 }),
+      docxTable(['Level', 'Count'], LEVELS.map((level, i) => [chart.labels[i], chart.counts[level]]))
+    );
+  });
+
+  children.push(
+    new Paragraph({ text: 'Analysis Details', heading: HeadingLevel.HEADING_1 }),
+    ...model.details.map(([label, value]) => new Paragraph({
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(String(value))]
+    })),
+    new Paragraph({
+      spacing: { before: 400 },
+      children: [new TextRun({ text: 'This analysis is informational and is not legal advice.', italics: true, color: '9CA3AF' })]
+    })
+  );
+
+  const doc = new Document({
+    title: model.title,
+    description: `Analysis of ${model.sourceName}`,
+    sections: [{ children }]
+  });
+  return Packer.toBuffer(doc);
+}
+
+/**
+ * Renders an analysis response as a downloadable report
+ * @param {object} analysis - Analysis response as returned by /analyze or /upload
+ * @param {'pdf'|'docx'|'md'|'ics'} format
+ * @returns {Promise<{ buffer: Buffer, contentType: string, fileName: string }>}
+ */
+async function renderReport(analysis, format) {
+  const model = buildReportModel(analysis);
+  const renderers = { pdf: renderPdf, docx: renderDocx, md: renderMarkdown, ics: renderCalendar };
+  const buffer = await renderers[format](model);
+
+  const baseName = model.sourceName.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_').slice(0, 80) || 'document';
+  return {
+    buffer,
+    contentType: REPORT_FORMATS[format].contentType,
+    fileName: `${baseName}-${format === 'ics' ? 'dates' : 'analysis'}.${REPORT_FORMATS[format].extension}`
+  };
+}
+
+module.exports = { REPORT_FORMATS, buildReportModel, renderReport };
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { RISK_LEVELS } = require('./schema');
+const { pageAt } = require('./anchors');
+const { findSectionBoundaries, isSectionHeading } = require('./chunker');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '..', 'rules', 'clause-rules.json');
+
+// Sections reported per rule, so a boilerplate-heavy document doesn't flood the results
+const MAX_FINDINGS_PER_RULE = 3;
+// Longest line read as a heading standing on its own, like "5. Indemnification"
+const MAX_HEADING_CHARS = 80;
+// Longest clause quoted for a finding; longer sentences are cut around the match
+const MAX_CLAUSE_CHARS = 400;
+
+/**
+ * Whether the character at `i` ends a clause; a period only counts before
+ * whitespace, so "1.5%" and "U.S.A" are not split
+ */
+function isClauseEnd(text, i) {
+  const ch = text[i];
+  if (ch === '.') return i + 1 >= text.length || /\s/.test(text[i + 1]);
+  return ch === ';' || ch === '!' || ch === '?' || ch === '\n';
+}
+
+/**
+ * Loads and compiles the clause rules file
+ * @param {string} file - JSON file with a "rules" array
+ * @returns {Array<{ id: string, name: string, risk: string, patterns: RegExp[], explanation: string, impact: string }>}
+ */
+function loadRules(file = DEFAULT_RULES_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(config.rules)) {
+    throw new Error(`Clause rules file ${file} must contain a "rules" array`);
+  }
+
+  return config.rules.map((rule, i) => {
+    const label = `Clause rule ${rule.id || `#${i + 1}`} in ${file}`;
+    if (!rule.id || !rule.name || !rule.explanation) {
+      throw new Error(`${label} needs an id, a name and an explanation`);
+    }
+    if (!RISK_LEVELS.includes(rule.risk)) {
+      throw new Error(`${label} has risk "${rule.risk}"; use ${RISK_LEVELS.join(', ')}`);
+    }
+    if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+      throw new Error(`${label} needs at least one pattern`);
+    }
+
+    return {
+      id: rule.id,
+      name: rule.name,
+      risk: rule.risk,
+      explanation: rule.explanation,
+      impact: rule.impact || '',
+      patterns: rule.patterns.map(pattern => {
+        try {
+          return new RegExp(pattern, 'giu');
+        } catch (error) {
+          throw new Error(`${label} has an invalid pattern: ${error.message}`);
+        }
+      })
+    };
+  });
+}
+
+/**
+ * Widens a match to the sentence or clause around it, trimmed of whitespace
+ */
+function clauseAround(text, start, end) {
+  const lowerBound = Math.max(0, start - MAX_CLAUSE_CHARS);
+  const upperBound = Math.min(text.length, end + MAX_CLAUSE_CHARS);
+
+  let from = start;
+  while (from > lowerBound && !isClauseEnd(text, from - 1)) from--;
+  let to = end;
+  while (to < upperBound && !isClauseEnd(text, to)) to++;
+  // Keep the closing punctuation
+  if (to < text.length && text[to] !== '\n') to++;
+
+  if (to - from > MAX_CLAUSE_CHARS) {
+    from = Math.max(from, start - Math.floor(MAX_CLAUSE_CHARS / 3));
+    to = Math.min(to, Math.max(end, from + MAX_CLAUSE_CHARS));
+  }
+
+  while (from < to && /\s/.test(text[from])) from++;
+  while (to > from && /\s/.test(text[to - 1])) to--;
+  return { start: from, end: to };
+}
+
+/**
+ * Offsets where the document's sections start: at headings and after blank
+ * lines, except the blank line under a heading on a line of its own, which
+ * stays with the text it heads
+ */
+function findSectionStarts(text) {
+  const headings = new Set(findSectionBoundaries(text));
+  const starts = [0, ...headings];
+
+  const paragraphBreak = /\n[ \t]*\n\s*/g;
+  let previous = 0;
+  let match;
+  while ((match = paragraphBreak.exec(text)) !== null) {
+    const next = match.index + match[0].length;
+    const paragraph = text.slice(previous, match.index).trim();
+    const lastLine = paragraph.slice(paragraph.lastIndexOf('\n') + 1);
+    const standaloneHeading = lastLine === paragraph && lastLine.length <= MAX_HEADING_CHARS && isSectionHeading(lastLine);
+    if (next < text.length && !headings.has(next) && !standaloneHeading) starts.push(next);
+    previous = next;
+  }
+
+  return starts.sort((a, b) => a - b);
+}
+
+/**
+ * One quote for all of a rule's matches in a section: the span from the
+ * first to the last when it fits in MAX_CLAUSE_CHARS, otherwise the longest
+ */
+function sectionClause(ranges) {
+  const start = Math.min(...ranges.map(r => r.start));
+  const end = Math.max(...ranges.map(r => r.end));
+  if (end - start <= MAX_CLAUSE_CHARS) return { start, end };
+  return ranges.reduce((longest, r) => (r.end - r.start > longest.end - longest.start ? r : longest));
+}
+
+/**
+ * Runs the clause rules over a document. Findings have the shape of model
+ * risk factors, quote the matching clause verbatim and are already anchored.
+ * @param {string} text
+ * @param {Array} rules - From loadRules
+ * @param {Array<{ page: number, start: number, end: number }>} pages
+ */
+function detectClauses(text, rules, pages = []) {
+  const findings = [];
+  const sectionStarts = findSectionStarts(text);
+  const sectionOf = offset => {
+    let section = 0;
+    while (section + 1 < sectionStarts.length && sectionStarts[section + 1] <= offset) section++;
+    return section;
+  };
+
+  for (const rule of rules) {
+    // A heading such as "5. Indemnification." and the sentences under it are one clause
+    const bySection = new Map();
+
+    for (const pattern of rule.patterns) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text)) !== null) {
+        if (match[0].length === 0) {
+          pattern.lastIndex++;
+          continue;
+        }
+
+        const range = clauseAround(text, match.index, match.index + match[0].length);
+        const section = sectionOf(range.start);
+        if (!bySection.has(section)) bySection.set(section, []);
+        bySection.get(section).push(range);
+      }
+    }
+
+    [...bySection.keys()]
+      .sort((a, b) => a - b)
+      .slice(0, MAX_FINDINGS_PER_RULE)
+      .forEach(section => {
+        const range = sectionClause(bySection.get(section));
+        findings.push({
+          clause: text.slice(range.start, range.end),
+          risk: rule.risk,
+          explanation: rule.explanation,
+          impact: rule.impact,
+          source: 'rule',
+          ruleId: rule.id,
+          ruleName: rule.name,
+          location: { start: range.start, end: range.end, page: pageAt(range.start, pages), score: 1, match: 'exact' }
+        });
+      });
+  }
+
+  return findings.sort((a, b) => a.location.start - b.location.start);
+}
+
+module.exports = { loadRules, detectClauses, clauseAround };
@@ -0,0 +1,272 @@
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Shape of the analysis object the model must return. `required` fields
+ * must be present for a reply to be accepted; everything else is filled
+ * with its `default` during normalization.
+ */
+const analysisSchema = {
+  type: 'object',
+  required: ['simplified', 'riskAssessment', 'keyTerms', 'actionItems', 'warnings'],
+  properties: {
+    simplified: { type: 'string', minLength: 1 },
+    riskAssessment: {
+      type: 'object',
+      required: ['overallRisk', 'riskFactors'],
+      properties: {
+        overallRisk: { type: 'string', enum: RISK_LEVELS },
+        riskFactors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['clause', 'risk', 'explanation'],
+            properties: {
+              clause: { type: 'string', minLength: 1 },
+              risk: { type: 'string', enum: RISK_LEVELS },
+              explanation: { type: 'string' },
+              impact: { type: 'string', default: '' }
+            }
+          }
+        }
+      }
+    },
+    keyTerms: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['term', 'definition'],
+        properties: {
+          term: { type: 'string', minLength: 1 },
+          definition: { type: 'string' },
+          importance: { type: 'string', default: '' }
+        }
+      }
+    },
+    actionItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['action', 'priority'],
+        properties: {
+          action: { type: 'string', minLength: 1 },
+          priority: { type: 'string', enum: RISK_LEVELS },
+          deadline: { type: 'string', nullable: true, default: null }
+        }
+      }
+    },
+    warnings: { type: 'array', items: { type: 'string', minLength: 1 } },
+    // Optional, so replies from before parties were asked for still validate
+    parties: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          role: { type: 'string', default: '' },
+          // Defined terms the document uses for the party ("the Tenant", "Licensee")
+          aliases: { type: 'array', items: { type: 'string', minLength: 1 } }
+        }
+      }
+    },
+    obligations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['obligor', 'obligation'],
+        properties: {
+          obligor: { type: 'string', minLength: 1 },
+          obligee: { type: 'string', nullable: true, default: null },
+          obligation: { type: 'string', minLength: 1 },
+          condition: { type: 'string', nullable: true, default: null },
+          clause: { type: 'string', default: '' }
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validates a value against a schema node
+ * @returns {string[]} Human-readable errors, empty when valid
+ */
+function validate(value, schema, path = 'analysis') {
+  const errors = [];
+
+  if (value === null && schema.nullable) return errors;
+  if (typeOf(value) !== schema.type) {
+    errors.push(`${path} must be ${schema.type === 'array' ? 'an' : 'a'} ${schema.type}, got ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}, got "${value}"`);
+  }
+  if (schema.minLength && value.length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(value[key], propSchema, `${path}.${key}`));
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Fixes the harmless ways models drift from the schema before validating:
+ * enum casing and padding ("High " -> "high"), numbers where strings are
+ * expected, a single object where an array is expected
+ */
+function coerce(value, schema) {
+  if (value === undefined || value === null) return value;
+
+  if (schema.type === 'string') {
+    if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+    if (typeof value !== 'string') return value;
+    value = value.trim();
+    if (schema.enum) {
+      const lowered = value.toLowerCase();
+      if (schema.enum.includes(lowered)) return lowered;
+    }
+    return value;
+  }
+
+  if (schema.type === 'array') {
+    const list = Array.isArray(value) ? value : [value];
+    return list.map(item => coerce(item, schema.items || {}));
+  }
+
+  if (schema.type === 'object' && typeOf(value) === 'object') {
+    const result = { ...value };
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (result[key] !== undefined) result[key] = coerce(result[key], propSchema);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Fills every optional field with its default so clients can rely on the full shape
+ */
+function applyDefaults(value, schema) {
+  if (schema.type === 'array') {
+    return (value || []).map(item => applyDefaults(item, schema.items || {}));
+  }
+  if (schema.type === 'object') {
+    const result = { ...(value || {}) };
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (result[key] === undefined) {
+        if ('default' in propSchema) result[key] = propSchema.default;
+        else if (propSchema.type === 'array') result[key] = [];
+      }
+      if (result[key] !== undefined && result[key] !== null) result[key] = applyDefaults(result[key], propSchema);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Pulls the first JSON object out of a model reply, tolerating code fences,
+ * leading or trailing prose, smart quotes and trailing commas
+ * @returns {object|null}
+ */
+function extractJson(responseText) {
+  if (typeof responseText !== 'string') return null;
+
+  const text = responseText.replace(/```(?:json)?/gi, '').trim();
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  // Walk to the matching closing brace, ignoring braces inside strings
+  let depth = 0;
+  let inString = false;
+  let end = -1;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        end = i;
+        break;
+      }
+    }
+  }
+
+  const candidate = text.slice(start, end === -1 ? text.length : end + 1);
+  const attempts = [
+    candidate,
+    candidate
+      .replace(/[“”]/g, '"')
+      .replace(/[‘’]/g, "'")
+      .replace(/,\s*([}\]])/g, '$1')
+  ];
+
+  for (const attempt of attempts) {
+    try {
+      const parsed = JSON.parse(attempt);
+      if (typeOf(parsed) === 'object') return parsed;
+    } catch (error) {
+      // try the next, more forgiving variant
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses and validates a raw model reply
+ * @returns {{ analysis: object|null, errors: string[] }}
+ */
+function parseAnalysis(responseText) {
+  const parsed = extractJson(responseText);
+  if (!parsed) {
+    return { analysis: null, errors: ['Response does not contain a valid JSON object'] };
+  }
+
+  const coerced = coerce(parsed, analysisSchema);
+  const errors = validate(coerced, analysisSchema);
+  return { analysis: errors.length === 0 ? applyDefaults(coerced, analysisSchema) : null, errors };
+}
+
+/**
+ * Returns a normalized analysis with every field present
+ */
+function normalizeAnalysis(analysis) {
+  return applyDefaults(coerce(analysis, analysisSchema), analysisSchema);
+}
+
+module.exports = {
+  RISK_LEVELS,
+  analysisSchema,
+  validate,
+  coerce,
+  applyDefaults,
+  extractJson,
+  parseAnalysis,
+  normalizeAnalysis
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory store of document sessions: the extracted text and analysis of
+ * one uploaded document plus the follow-up conversation about it. Sessions
+ * expire after `ttlMs` of inactivity; the least recently used session is
+ * evicted once `maxSessions` is reached.
+ */
+function createSessionStore({ ttlMs = 2 * 60 * 60 * 1000, maxSessions = 500 } = {}) {
+  // Map iteration order doubles as recency order: touched sessions are re-inserted at the end
+  const sessions = new Map();
+
+  function prune() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (now - session.lastActiveAt > ttlMs) sessions.delete(id);
+    }
+    while (sessions.size >= maxSessions) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+
+  return {
+    /**
+     * @param {{ text: string, pages: Array, analysis: object, fileName?: string, keyId?: string|null }} document - keyId
+     *   is the API key the session belongs to
+     */
+    create(document) {
+      prune();
+      const now = Date.now();
+      const session = {
+        id: crypto.randomUUID(),
+        createdAt: new Date(now).toISOString(),
+        lastActiveAt: now,
+        ...document,
+        history: []
+      };
+      sessions.set(session.id, session);
+      return session;
+    },
+
+    get(id) {
+      const session = sessions.get(id);
+      if (!session) return null;
+      if (Date.now() - session.lastActiveAt > ttlMs) {
+        sessions.delete(id);
+        return null;
+      }
+      session.lastActiveAt = Date.now();
+      sessions.delete(id);
+      sessions.set(id, session);
+      return session;
+    },
+
+    delete(id) {
+      return sessions.delete(id);
+    }
+  };
+}
+
+module.exports = { createSessionStore };
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+/**
+ * SHA-256 of the text with whitespace collapsed, so re-extractions of the same document match
+ */
+function hashText(text) {
+  return crypto.createHash('sha256').update(String(text).replace(/\s+/g, ' ').trim()).digest('hex');
+}
+
+function toSummary(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    label: row.label,
+    fileName: row.file_name,
+    overallRisk: row.overall_risk,
+    textHash: row.text_hash
+  };
+}
+
+/**
+ * Archive of past analyses in the local database
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ storeSourceText?: boolean }} options - When false only a hash of the text is kept
+ */
+function createAnalysisStore(db, { storeSourceText = true } = {}) {
+  const insert = db.prepare(`
+    INSERT INTO analyses (id, created_at, key_id, label, file_name, text_hash, source_text, overall_risk, analysis, metadata)
+    VALUES (@id, @createdAt, @keyId, @label, @fileName, @textHash, @sourceText, @overallRisk, @analysis, @metadata)
+  `);
+  // Every read and delete is limited to one API key; `IS` so a NULL key matches keyless records
+  const list = db.prepare(`
+    SELECT id, created_at, label, file_name, overall_risk, text_hash
+    FROM analyses WHERE key_id IS ? ORDER BY created_at DESC LIMIT ? OFFSET ?
+  `);
+  const count = db.prepare('SELECT COUNT(*) AS total FROM analyses WHERE key_id IS ?');
+  const get = db.prepare('SELECT * FROM analyses WHERE id = ? AND key_id IS ?');
+  const remove = db.prepare('DELETE FROM analyses WHERE id = ? AND key_id IS ?');
+
+  return {
+    /**
+     * @param {{ text: string, pages?: Array, analysis: object, metadata: object, label?: string, keyId?: string|null }} entry - keyId is the API key the analysis belongs to
+     * @returns {string} The new analysis id
+     */
+    save({ text, pages = [], analysis, metadata, label = null, keyId = null }) {
+      const id = crypto.randomUUID();
+      insert.run({
+        id,
+        createdAt: new Date().toISOString(),
+        keyId,
+        label: label ? String(label).slice(0, 200) : null,
+        fileName: metadata.fileName || null,
+        textHash: hashText(text),
+        sourceText: storeSourceText ? JSON.stringify({ text, pages }) : null,
+        overallRisk: analysis.riskAssessment.overallRisk,
+        analysis: JSON.stringify(analysis),
+        metadata: JSON.stringify(metadata)
+      });
+      return id;
+    },
+
+    /**
+     * The analyses of one API key (null for those made without one), newest first
+     */
+    list({ limit = 50, offset = 0, keyId = null } = {}) {
+      return {
+        total: count.get(keyId).total,
+        analyses: list.all(keyId, limit, offset).map(toSummary)
+      };
+    },
+
+    /**
+     * Returns a stored analysis in the same shape /analyze and /upload respond with,
+     * or null when it doesn't exist or belongs to another API key
+     */
+    get(id, keyId = null) {
+      const row = get.get(id, keyId);
+      if (!row) return null;
+      return {
+        ...JSON.parse(row.analysis),
+        metadata: { ...JSON.parse(row.metadata), analysisId: row.id, label: row.label },
+        source: row.source_text ? JSON.parse(row.source_text) : undefined
+      };
+    },
+
+    delete(id, keyId = null) {
+      return remove.run(id, keyId).changes > 0;
+    }
+  };
+}
+
+module.exports = { createAnalysisStore, hashText };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+/**
+ * Cache key for a model analysis: the document with whitespace collapsed, so
+ * re-extractions of the same file match, plus everything else that changes
+ * what the model is asked or who answers
+ * @param {{ text: string, query?: string|null, promptVersion: number, model: string, options?: object }} input
+ */
+function analysisCacheKey({ text, query = null, promptVersion, model, options = {} }) {
+  const normalized = String(text).replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([normalized, query ? String(query).trim() : '', promptVersion, model, options]))
+    .digest('hex');
+}
+
+/**
+ * Model analyses in the local database, keyed by analysisCacheKey. Entries
+ * expire `ttlMs` after they were written; past `maxEntries`, the least
+ * recently used are evicted.
+ * @param {import('better-sqlite3').Database} db
+ * @param {{ ttlMs: number, maxEntries: number }} options
+ */
+function createAnalysisCache(db, { ttlMs, maxEntries }) {
+  const get = db.prepare('SELECT * FROM analysis_cache WHERE key = ?');
+  const upsert = db.prepare(`
+    INSERT INTO analysis_cache (key, value, created_at, last_used_at) VALUES (@key, @value, @now, @now)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value, created_at = excluded.created_at,
+      last_used_at = excluded.last_used_at, hits = 0
+  `);
+  const touch = db.prepare('UPDATE analysis_cache SET last_used_at = ?, hits = hits + 1 WHERE key = ?');
+  const remove = db.prepare('DELETE FROM analysis_cache WHERE key = ?');
+  const removeExpired = db.prepare('DELETE FROM analysis_cache WHERE created_at < ?');
+  const evict = db.prepare(`
+    DELETE FROM analysis_cache WHERE key IN (
+      SELECT key FROM analysis_cache ORDER BY last_used_at DESC LIMIT -1 OFFSET ?
+    )
+  `);
+  const clear = db.prepare('DELETE FROM analysis_cache');
+
+  const expiredBefore = () => new Date(Date.now() - ttlMs).toISOString();
+
+  return {
+    /**
+     * @returns {{ value: object, cachedAt: string, hits: number }|null} Null when missing or expired
+     */
+    get(key) {
+      const row = get.get(key);
+      if (!row) return null;
+      if (row.created_at < expiredBefore()) {
+        remove.run(key);
+        return null;
+      }
+      touch.run(new Date().toISOString(), key);
+      return { value: JSON.parse(row.value), cachedAt: row.created_at, hits: row.hits + 1 };
+    },
+
+    set(key, value) {
+      upsert.run({ key, value: JSON.stringify(value), now: new Date().toISOString() });
+      evict.run(maxEntries);
+    },
+
+    /**
+     * Deletes expired entries and any beyond the size limit
+     * @returns {number} How many entries were deleted
+     */
+    prune() {
+      return removeExpired.run(expiredBefore()).changes + evict.run(maxEntries).changes;
+    },
+
+    clear() {
+      return clear.run().changes;
+    }
+  };
+}
+
+module.exports = { createAnalysisCache, analysisCacheKey };
@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+
+// Issued keys look like lds_<43 url-safe characters>; only their hash is stored
+const KEY_PREFIX = 'lds_';
+// Characters of a key kept in clear, so an admin can tell keys apart
+const VISIBLE_CHARS = 12;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    rateLimit: row.rate_limit,
+    dailyQuota: row.daily_quota,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+/**
+ * The UTC calendar day a daily quota is counted against, as YYYY-MM-DD
+ */
+function quotaDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * API keys and their daily usage in the local database. A key is shown once,
+ * when it is created; afterwards it is looked up by its SHA-256 hash.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createApiKeyStore(db) {
+  const insert = db.prepare(`
+    INSERT INTO api_keys (id, name, key_hash, key_prefix, rate_limit, daily_quota, created_at)
+    VALUES (@id, @name, @keyHash, @keyPrefix, @rateLimit, @dailyQuota, @createdAt)
+  `);
+  const getById = db.prepare('SELECT * FROM api_keys WHERE id = ?');
+  const getByHash = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?');
+  const list = db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC');
+  const revoke = db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL');
+  const touch = db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?');
+  const getUsage = db.prepare('SELECT requests FROM api_key_usage WHERE key_id = ? AND day = ?');
+  const addUsage = db.prepare(`
+    INSERT INTO api_key_usage (key_id, day, requests) VALUES (@id, @day, @count)
+    ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + @count
+  `);
+  const pruneUsage = db.prepare('DELETE FROM api_key_usage WHERE day < ?');
+
+  // Checking and counting in one transaction, so concurrent requests can't overshoot the quota
+  const consume = db.transaction((id, day, quota, count) => {
+    const row = getUsage.get(id, day);
+    const used = row ? row.requests : 0;
+    if (used + count > quota) return { allowed: false, used };
+    addUsage.run({ id, day, count });
+    return { allowed: true, used: used + count };
+  });
+
+  return {
+    /**
+     * Issues a new key
+     * @param {{ name: string, rateLimit: number, dailyQuota: number }} options - rateLimit is requests per minute
+     * @returns {{ key: string, apiKey: object }} The key itself is only available here
+     */
+    create({ name, rateLimit, dailyQuota }) {
+      const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      const id = crypto.randomUUID();
+      insert.run({
+        id,
+        name,
+        keyHash: hashKey(key),
+        keyPrefix: key.slice(0, VISIBLE_CHARS),
+        rateLimit,
+        dailyQuota,
+        createdAt: new Date().toISOString()
+      });
+      return { key, apiKey: toApiKey(getById.get(id)) };
+    },
+
+    /**
+     * Looks up a key as sent by a client, whether or not it has been revoked
+     * @returns {object|null}
+     */
+    find(key) {
+      const row = getByHash.get(hashKey(key));
+      return row ? toApiKey(row) : null;
+    },
+
+    get(id) {
+      const row = getById.get(id);
+      return row ? toApiKey(row) : null;
+    },
+
+    list() {
+      return list.all().map(toApiKey);
+    },
+
+    /**
+     * @returns {boolean} Whether an active key was revoked
+     */
+    revoke(id) {
+      return revoke.run(new Date().toISOString(), id).changes > 0;
+    },
+
+    markUsed(id) {
+      touch.run(new Date().toISOString(), id);
+    },
+
+    /**
+     * Counts `count` requests against a key's daily quota, unless that would exceed it
+     * @returns {{ allowed: boolean, used: number }}
+     */
+    consumeQuota(id, quota, day = quotaDay(), count = 1) {
+      return consume(id, day, quota, count);
+    },
+
+    usageOn(id, day = quotaDay()) {
+      const row = getUsage.get(id, day);
+      return row ? row.requests : 0;
+    },
+
+    /**
+     * Deletes usage counts from before `day` (YYYY-MM-DD)
+     * @returns {number} How many rows were deleted
+     */
+    pruneUsage(day) {
+      return pruneUsage.run(day).changes;
+    }
+  };
+}
+
+module.exports = { createApiKeyStore, quotaDay };
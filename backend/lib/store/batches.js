@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+function toBatch(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    keyId: row.key_id,
+    label: row.label,
+    skipped: JSON.parse(row.skipped)
+  };
+}
+
+/**
+ * Batch uploads in the local database. A batch groups the jobs that analyze
+ * its documents (jobs.batch_id) and remembers the files that were left out.
+ * @param {import('better-sqlite3').Database} db
+ */
+function createBatchStore(db) {
+  const insert = db.prepare(`
+    INSERT INTO batches (id, created_at, key_id, label, skipped) VALUES (@id, @createdAt, @keyId, @label, @skipped)
+  `);
+  const get = db.prepare('SELECT * FROM batches WHERE id = ?');
+  // Jobs are pruned on their own schedule; a batch goes once none of its jobs are left
+  const prune = db.prepare(`
+    DELETE FROM batches
+    WHERE created_at < ? AND NOT EXISTS (SELECT 1 FROM jobs WHERE jobs.batch_id = batches.id)
+  `);
+
+  return {
+    /**
+     * @param {{ label?: string, skipped: Array<{ fileName: string, reason: string }>, keyId?: string|null }} batch - keyId is the API key that uploaded it
+     */
+    create({ label = null, skipped = [], keyId = null }) {
+      const id = crypto.randomUUID();
+      insert.run({ id, createdAt: new Date().toISOString(), keyId, label, skipped: JSON.stringify(skipped) });
+      return toBatch(get.get(id));
+    },
+
+    get(id) {
+      const row = get.get(id);
+      return row ? toBatch(row) : null;
+    },
+
+    /**
+     * Deletes batches created before `before` (ISO timestamp) whose jobs are all gone
+     * @returns {number} How many batches were deleted
+     */
+    prune(before) {
+      return prune.run(before).changes;
+    }
+  };
+}
+
+module.exports = { createBatchStore };
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+// Schema changes are appended here; each runs once, in order
+const MIGRATIONS = [
+  `CREATE TABLE analyses (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    label TEXT,
+    file_name TEXT,
+    text_hash TEXT NOT NULL,
+    source_text TEXT,
+    overall_risk TEXT NOT NULL,
+    analysis TEXT NOT NULL,
+    metadata TEXT NOT NULL
+  );
+  CREATE INDEX analyses_created_at ON analyses (created_at DESC);
+  CREATE INDEX analyses_text_hash ON analyses (text_hash);`,
+  `CREATE TABLE jobs (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    input TEXT NOT NULL,
+    progress TEXT,
+    result TEXT,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    run_after TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX jobs_queue ON jobs (status, run_after);`,
+  `CREATE TABLE api_keys (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    rate_limit INTEGER NOT NULL,
+    daily_quota INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+  CREATE TABLE api_key_usage (
+    key_id TEXT NOT NULL REFERENCES api_keys (id) ON DELETE CASCADE,
+    day TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, day)
+  );`,
+  `CREATE TABLE analysis_cache (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX analysis_cache_last_used_at ON analysis_cache (last_used_at);`,
+  `CREATE TABLE batches (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    label TEXT,
+    skipped TEXT NOT NULL
+  );
+  ALTER TABLE jobs ADD COLUMN batch_id TEXT REFERENCES batches (id) ON DELETE CASCADE;
+  CREATE INDEX jobs_batch_id ON jobs (batch_id);`,
+  // The API key that created each record; NULL when the request carried none
+  `ALTER TABLE analyses ADD COLUMN key_id TEXT;
+  ALTER TABLE jobs ADD COLUMN key_id TEXT;
+  ALTER TABLE batches ADD COLUMN key_id TEXT;
+  CREATE INDEX analyses_key_id ON analyses (key_id, created_at DESC);`
+];
+
+/**
+ * Directory for the database and other files that must survive a restart, set with DATA_DIR
+ */
+function resolveDataDir(env = process.env) {
+  return env.DATA_DIR || DEFAULT_DATA_DIR;
+}
+
+/**
+ * Opens (creating if needed) the local SQLite database and brings its schema up to date
+ * @param {string} dataDir - Directory holding the database file
+ */
+function openDatabase(dataDir = resolveDataDir()) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const db = new Database(path.join(dataDir, 'legal-simplifier.db'));
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  const version = db.pragma('user_version', { simple: true });
+  MIGRATIONS.slice(version).forEach((sql, i) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${version + i + 1}`);
+    })();
+  });
+
+  return db;
+}
+
+module.exports = { openDatabase, resolveDataDir };
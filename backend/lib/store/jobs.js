@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+function parseJson(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+function toJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    batchId: row.batch_id,
+    keyId: row.key_id,
+    status: row.status,
+    input: JSON.parse(row.input),
+    progress: parseJson(row.progress),
+    result: parseJson(row.result),
+    error: parseJson(row.error),
+    attempts: row.attempts,
+    runAfter: row.run_after,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Persistent job records in the local database, so queued and interrupted
+ * work is picked up again after a restart. A job is "queued", "running",
+ * "succeeded" or "failed".
+ * @param {import('better-sqlite3').Database} db
+ */
+function createJobStore(db) {
+  const insert = db.prepare(`
+    INSERT INTO jobs (id, type, batch_id, key_id, status, input, attempts, run_after, created_at, updated_at)
+    VALUES (@id, @type, @batchId, @keyId, 'queued', @input, 0, @now, @now, @now)
+  `);
+  const get = db.prepare('SELECT * FROM jobs WHERE id = ?');
+  const listByBatch = db.prepare('SELECT * FROM jobs WHERE batch_id = ? ORDER BY created_at, rowid');
+  const nextQueued = db.prepare(`
+    SELECT * FROM jobs WHERE status = 'queued' AND run_after <= ? ORDER BY created_at LIMIT 1
+  `);
+  const markRunning = db.prepare(`
+    UPDATE jobs SET status = 'running', attempts = attempts + 1, progress = NULL, updated_at = ? WHERE id = ?
+  `);
+  const setProgress = db.prepare('UPDATE jobs SET progress = ?, updated_at = ? WHERE id = ?');
+  const finish = db.prepare('UPDATE jobs SET status = ?, result = ?, error = ?, updated_at = ? WHERE id = ?');
+  const requeue = db.prepare(`
+    UPDATE jobs SET status = 'queued', error = ?, run_after = ?, updated_at = ? WHERE id = ?
+  `);
+  const requeueRunning = db.prepare(`
+    UPDATE jobs SET status = 'queued', attempts = MAX(attempts - 1, 0), updated_at = ? WHERE status = 'running'
+  `);
+  const prune = db.prepare(`DELETE FROM jobs WHERE status IN ('succeeded', 'failed') AND updated_at < ?`);
+
+  // Claiming is a transaction so two workers never take the same job
+  const claim = db.transaction(now => {
+    const row = nextQueued.get(now);
+    if (!row) return null;
+    markRunning.run(now, row.id);
+    return toJob(get.get(row.id));
+  });
+
+  return {
+    /**
+     * @param {{ type: string, input: object, batchId?: string, keyId?: string|null }} job - batchId groups the
+     *   documents of a batch upload; keyId is the API key that queued the job
+     */
+    create({ type, input, batchId = null, keyId = null }) {
+      const id = crypto.randomUUID();
+      insert.run({ id, type, batchId, keyId, input: JSON.stringify(input), now: new Date().toISOString() });
+      return toJob(get.get(id));
+    },
+
+    get(id) {
+      const row = get.get(id);
+      return row ? toJob(row) : null;
+    },
+
+    /**
+     * The jobs of a batch, in the order they were queued
+     */
+    listByBatch(batchId) {
+      return listByBatch.all(batchId).map(toJob);
+    },
+
+    /**
+     * Marks the oldest queued job that is due as running and returns it
+     * @returns {object|null}
+     */
+    claimNext() {
+      return claim(new Date().toISOString());
+    },
+
+    updateProgress(id, progress) {
+      setProgress.run(JSON.stringify(progress), new Date().toISOString(), id);
+    },
+
+    complete(id, result) {
+      finish.run('succeeded', JSON.stringify(result), null, new Date().toISOString(), id);
+    },
+
+    fail(id, error) {
+      finish.run('failed', null, JSON.stringify(error), new Date().toISOString(), id);
+    },
+
+    /**
+     * Puts a job back in the queue to run again after `runAfter` (ISO timestamp)
+     */
+    retry(id, runAfter, error) {
+      requeue.run(JSON.stringify(error), runAfter, new Date().toISOString(), id);
+    },
+
+    /**
+     * Re-queues jobs that were running when the server stopped; the
+     * interrupted attempt doesn't count against the retry limit
+     * @returns {number} How many jobs were re-queued
+     */
+    requeueInterrupted() {
+      return requeueRunning.run(new Date().toISOString()).changes;
+    },
+
+    /**
+     * Deletes finished jobs last updated before `before` (ISO timestamp)
+     * @returns {number} How many jobs were deleted
+     */
+    pruneFinished(before) {
+      return prune.run(before).changes;
+    }
+  };
+}
+
+module.exports = { createJobStore };
@@ -0,0 +1,182 @@
+const { analysisSchema, validate, coerce, applyDefaults } = require('./schema');
+
+// Heartbeat comment interval, so proxies don't close an event stream while the model is thinking
+const HEARTBEAT_MS = 15000;
+
+const riskAssessmentSchema = analysisSchema.properties.riskAssessment;
+
+// Parts of the analysis JSON reported as soon as they are complete; "*" matches any array index
+const SECTIONS = [
+  { path: ['simplified'], event: 'simplified', schema: analysisSchema.properties.simplified },
+  { path: ['riskAssessment', 'overallRisk'], event: 'overallRisk', schema: riskAssessmentSchema.properties.overallRisk },
+  { path: ['riskAssessment', 'riskFactors', '*'], event: 'riskFactor', schema: riskAssessmentSchema.properties.riskFactors.items },
+  { path: ['keyTerms', '*'], event: 'keyTerm', schema: analysisSchema.properties.keyTerms.items },
+  { path: ['actionItems', '*'], event: 'actionItem', schema: analysisSchema.properties.actionItems.items },
+  { path: ['warnings', '*'], event: 'warning', schema: analysisSchema.properties.warnings.items }
+];
+
+function matchSection(path) {
+  return SECTIONS.find(section =>
+    section.path.length === path.length &&
+    section.path.every((part, i) => part === '*' ? typeof path[i] === 'number' : part === path[i])
+  );
+}
+
+/**
+ * Normalizes a partial section the same way parseAnalysis does a whole reply
+ * @returns The normalized value, or undefined when it fails validation
+ */
+function normalizeSection(value, schema) {
+  const coerced = coerce(value, schema);
+  return validate(coerced, schema).length === 0 ? applyDefaults(coerced, schema) : undefined;
+}
+
+/**
+ * Incrementally scans a model reply as it streams in and calls
+ * `onSection(event, value)` for every analysis section that is complete:
+ * the simplified text, the overall risk, and each risk factor, key term,
+ * action item and warning. Anything before the first "{" (code fences,
+ * prose) is skipped. Sections that don't parse or validate are dropped;
+ * the final, validated analysis remains authoritative.
+ * @param {(event: string, value: any) => void} onSection
+ * @returns {{ write: (text: string) => void }}
+ */
+function createSectionScanner(onSection) {
+  let buffer = '';
+  let pos = 0;
+  let started = false;
+  let finished = false;
+  // Open objects and arrays, each with the key or index of the value being read
+  const stack = [];
+  let stringStart = -1;
+  let stringIsKey = false;
+  let escaped = false;
+  let primitiveStart = -1;
+
+  function currentPath() {
+    return stack.map(container => (container.type === 'object' ? container.key : container.index));
+  }
+
+  function completeValue(start, end) {
+    const section = matchSection(currentPath());
+    if (!section) return;
+
+    let value;
+    try {
+      value = JSON.parse(buffer.slice(start, end));
+    } catch (error) {
+      return;
+    }
+    const normalized = normalizeSection(value, section.schema);
+    if (normalized !== undefined) onSection(section.event, normalized);
+  }
+
+  function step(ch) {
+    if (stringStart !== -1) {
+      if (escaped) {
+        escaped = false;
+      } else if (ch === '\\') {
+        escaped = true;
+      } else if (ch === '"') {
+        const start = stringStart;
+        stringStart = -1;
+        if (stringIsKey) {
+          try {
+            stack[stack.length - 1].key = JSON.parse(buffer.slice(start, pos + 1));
+          } catch (error) {
+            stack[stack.length - 1].key = null;
+          }
+        } else {
+          completeValue(start, pos + 1);
+        }
+      }
+      return;
+    }
+
+    if (primitiveStart !== -1) {
+      if (!/[\s,}\]]/.test(ch)) return;
+      completeValue(primitiveStart, pos);
+      primitiveStart = -1;
+    }
+
+    if (!started) {
+      if (ch === '{') {
+        started = true;
+        stack.push({ type: 'object', key: null, index: 0, start: pos, expectKey: true });
+      }
+      return;
+    }
+
+    const top = stack[stack.length - 1];
+    if (ch === '"') {
+      stringStart = pos;
+      stringIsKey = top.type === 'object' && top.expectKey;
+    } else if (ch === '{' || ch === '[') {
+      const type = ch === '{' ? 'object' : 'array';
+      stack.push({ type, key: null, index: 0, start: pos, expectKey: type === 'object' });
+    } else if (ch === '}' || ch === ']') {
+      const closed = stack.pop();
+      if (stack.length === 0) {
+        finished = true;
+      } else {
+        completeValue(closed.start, pos + 1);
+      }
+    } else if (ch === ':') {
+      top.expectKey = false;
+    } else if (ch === ',') {
+      if (top.type === 'object') top.expectKey = true;
+      else top.index++;
+    } else if (!/\s/.test(ch)) {
+      primitiveStart = pos;
+    }
+  }
+
+  return {
+    write(text) {
+      buffer += text;
+      for (; pos < buffer.length && !finished; pos++) {
+        step(buffer[pos]);
+      }
+    }
+  };
+}
+
+/**
+ * Switches a response to a Server-Sent Events stream. The returned signal is
+ * aborted when the client disconnects before the stream is ended, which is
+ * how a client cancels a running analysis.
+ * @param {import('express').Response} res
+ * @returns {{ signal: AbortSignal, send: (event: string, data: any) => void, end: () => void }}
+ */
+function openEventStream(res) {
+  const controller = new AbortController();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stops nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+module.exports = { createSectionScanner, openEventStream };
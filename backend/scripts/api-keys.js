@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Issues, lists and revokes API keys in the server's database.
+ *
+ *   npm run keys -- create "Mobile app" [--rate-limit 30] [--daily-quota 100]
+ *   npm run keys -- list
+ *   npm run keys -- revoke <id>
+ *
+ * Changes apply to a running server at once; it reads keys from the same database.
+ */
+require('dotenv').config({ quiet: true });
+const { openDatabase } = require('../lib/store/db');
+const { createApiKeyStore } = require('../lib/store/apiKeys');
+
+// Requests per minute and analyses per day for new keys, unless given
+const DEFAULT_RATE_LIMIT = Number(process.env.API_KEY_RATE_LIMIT) || 30;
+const DEFAULT_DAILY_QUOTA = Number(process.env.API_KEY_DAILY_QUOTA) || 100;
+
+const USAGE = `Usage:
+  api-keys create <name> [--rate-limit <requests per minute>] [--daily-quota <analyses per day>]
+  api-keys list
+  api-keys revoke <id>`;
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Splits arguments into positional ones and --flag value pairs
+ */
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, flags };
+}
+
+function positiveInteger(value, fallback, flag) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) fail(`--${flag} must be a whole number of at least 1`);
+  return number;
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+  const store = createApiKeyStore(openDatabase());
+
+  if (command === 'create') {
+    const name = positional.join(' ').trim();
+    if (!name) fail(`A name is required.\n${USAGE}`);
+    const { key, apiKey } = store.create({
+      name,
+      rateLimit: positiveInteger(flags['rate-limit'], DEFAULT_RATE_LIMIT, 'rate-limit'),
+      dailyQuota: positiveInteger(flags['daily-quota'], DEFAULT_DAILY_QUOTA, 'daily-quota')
+    });
+    console.log(`🔑 Created API key "${apiKey.name}" (${apiKey.id})`);
+    console.log(`   ${apiKey.rateLimit} requests per minute, ${apiKey.dailyQuota} analyses per day`);
+    console.log(`\n   ${key}\n`);
+    console.log('   Store it now; it cannot be shown again.');
+  } else if (command === 'list') {
+    const keys = store.list();
+    if (keys.length === 0) console.log('No API keys yet. Create one with: api-keys create <name>');
+    keys.forEach(apiKey => {
+      const status = apiKey.revokedAt ? `revoked ${apiKey.revokedAt}` : 'active';
+      console.log(`${apiKey.id}  ${apiKey.prefix}…  ${apiKey.name}`);
+      console.log(`    ${status}; ${apiKey.rateLimit}/min, ${store.usageOn(apiKey.id)} of ${apiKey.dailyQuota} analyses used today; last used ${apiKey.lastUsedAt || 'never'}`);
+    });
+  } else if (command === 'revoke') {
+    const [id] = positional;
+    if (!id) fail(`An id is required.\n${USAGE}`);
+    if (!store.get(id)) fail(`No API key with id ${id}`);
+    if (!store.revoke(id)) fail(`API key ${id} was already revoked`);
+    console.log(`🚫 Revoked API key ${id}`);
+  } else {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+}
+
+main();
@@ -1,259 +1,1289 @@
 const express = require('express');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const helmet = require('helmet');
 const path = require('path');
 const multer = require('multer');
 const fs = require('fs');
-const pdf = require('pdf-parse');
+const { extractText, isAcceptedUpload, UnsupportedFormatError, EmptyDocumentError } = require('./lib/extract');
+const { analyzeDocument, AnalysisParseError } = require('./lib/analyzer');
+const { createProvider } = require('./lib/providers');
+const { diffClauses, attachRiskChanges, riskChange } = require('./lib/compare');
+const { createSessionStore } = require('./lib/sessions');
+const { answerQuestion } = require('./lib/qa');
+const { normalizeAnalysis } = require('./lib/schema');
+const { REPORT_FORMATS, renderReport } = require('./lib/report');
+const { REDLINE_FORMATS, proposeRedlines, normalizeRedlines, renderRedlines, RedlineParseError } = require('./lib/redline');
+const { openDatabase } = require('./lib/store/db');
+const { createAnalysisStore } = require('./lib/store/analyses');
+const { createJobStore } = require('./lib/store/jobs');
+const { createBatchStore } = require('./lib/store/batches');
+const { createApiKeyStore, quotaDay } = require('./lib/store/apiKeys');
+const { createAnalysisCache } = require('./lib/store/analysisCache');
+const { createApiKeyAuth } = require('./lib/auth');
+const { createJobQueue, isTransientError } = require('./lib/jobs');
+const { expandBatchUpload, isZipUpload, summarizeBatchDocument, summarizePortfolio, BatchError } = require('./lib/batch');
+const { loadRules } = require('./lib/rules');
+const { loadProfiles, classifyDocument } = require('./lib/profiles');
+const { openEventStream } = require('./lib/streaming');
+const { attachTimeline, parseIsoDate, DATE_ORDERS } = require('./lib/dates');
+const { LANGUAGES, detectLanguage, resolveOutputLanguage } = require('./lib/language');
+const { loadConfig, publicConfig } = require('./lib/config');
 require('dotenv').config();
 
+// Every setting comes from environment variables, checked once here (see lib/config)
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 
+// Security headers on every response. The bundled frontend loads Chart.js from a
+// CDN and may call an API on another origin (PUBLIC_API_URL); self-hosted
+// instances are often plain http, so requests aren't upgraded to https.
+app.use(helmet({
+  contentSecurityPolicy: {
+    directives: {
+      upgradeInsecureRequests: null,
+      scriptSrc: ["'self'", 'https://cdnjs.cloudflare.com'],
+      connectSrc: ["'self'", ...(config.frontend.apiBaseUrl ? [new URL(config.frontend.apiBaseUrl).origin] : [])]
+    }
+  }
+}));
+
 const cors = require('cors');
-app.use(cors({ origin: "https://legaldocument.vercel.app" }));
+app.use(cors({
+  origin: config.allowedOrigins,
+  exposedHeaders: ["Content-Disposition", "RateLimit", "RateLimit-Policy", "Retry-After", "X-Daily-Quota-Limit", "X-Daily-Quota-Remaining"]
+}));
 
 // Configure multer for file uploads
 const upload = multer({ 
   dest: 'uploads/',
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  limits: { fileSize: config.limits.uploadBytes },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf' || file.mimetype === 'text/plain') {
+    // Browser mimetypes are unreliable (especially for .docx); the format is
+    // confirmed from the file contents during extraction
+    if (isAcceptedUpload(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF and text files are allowed'));
+      cb(new UnsupportedFormatError('Only PDF, Word (.docx), RTF, HTML, Markdown and text files are allowed'));
     }
   }
 });
 
-// Middleware
-app.use(express.json({ limit: '10mb' }));
+// Batch uploads take several documents and ZIP archives of them; each file may be
+// as large as a whole batch's archive, and each document is checked after unpacking
+const batchUpload = multer({
+  dest: 'uploads/',
+  limits: { fileSize: config.limits.archiveBytes, files: config.limits.batchDocuments },
+  fileFilter: (req, file, cb) => {
+    if (isZipUpload(file) || isAcceptedUpload(file)) {
+      cb(null, true);
+    } else {
+      cb(new UnsupportedFormatError(`${file.originalname} is not a supported document. Upload PDF, Word (.docx), RTF, HTML, Markdown or text files, or ZIP archives of them.`));
+    }
+  }
+});
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+// Documents longer than this are analyzed in several chunks
+const MAX_CHUNK_CHARS = config.limits.chunkChars;
+// Upper bound on text accepted by /analyze
+const MAX_TEXT_CHARS = config.limits.textChars;
 
-// Validate environment variables
-if (!process.env.GEMINI_API_KEY) {
-  console.error('❌ GEMINI_API_KEY environment variable is required');
+// Initialize the LLM provider selected by LLM_PROVIDER (gemini, openai or mock)
+let provider;
+try {
+  provider = createProvider(config.llm);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  console.error('   Set LLM_PROVIDER=mock to run without a model or network access');
   process.exit(1);
 }
 
+// Deterministic clause rules run alongside the model; CLAUSE_RULES_FILE points at a custom rule set
+let clauseRules;
+try {
+  clauseRules = loadRules(config.clauseRulesFile);
+} catch (error) {
+  console.error(`❌ Failed to load clause rules: ${error.message}`);
+  process.exit(1);
+}
+
+// Document-type profiles (NDA, lease, ...); DOCUMENT_PROFILES_FILE points at a custom set
+let documentProfiles;
+try {
+  documentProfiles = loadProfiles(config.documentProfilesFile);
+} catch (error) {
+  console.error(`❌ Failed to load document profiles: ${error.message}`);
+  process.exit(1);
+}
+
+// Uploaded documents kept for follow-up questions
+const sessions = createSessionStore();
+
+// Personal data is replaced by placeholders before text reaches the model unless a
+// request sends redact=false; REDACT_PII=false makes that the default instead
+const REDACT_BY_DEFAULT = config.redactByDefault;
+
 /**
- * Builds a comprehensive prompt for Gemini to analyze legal documents
+ * Reads the per-request redaction switch, sent as a JSON boolean or a form field
  */
-function buildLegalAnalysisPrompt(text, query = null) {
-  const basePrompt = `You are an expert legal document analyst. Analyze the following legal text and provide a comprehensive breakdown.
+function shouldRedact(value) {
+  if (value === undefined || value === null || value === '') return REDACT_BY_DEFAULT;
+  return value !== false && String(value).toLowerCase() !== 'false';
+}
 
-LEGAL TEXT:
-"${text}"
+// Local database for the analysis archive; set HISTORY_STORE_SOURCE=false to keep only a hash of each document
+const db = openDatabase(config.dataDir);
+const analysisStore = createAnalysisStore(db, { storeSourceText: config.historyStoreSource });
 
-${query ? `SPECIFIC QUESTION: "${query}"` : ''}
+// Files of queued upload jobs live with the database so they survive a restart
+const JOB_FILES_DIR = path.join(config.dataDir, 'jobs');
+fs.mkdirSync(JOB_FILES_DIR, { recursive: true });
+// Finished jobs are kept this long for clients to collect their results
+const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const jobStore = createJobStore(db);
+const batchStore = createBatchStore(db);
 
-Please provide a detailed analysis in the following JSON format:
+// Model analyses are reused for identical input for ANALYSIS_CACHE_TTL_HOURS, keeping at most
+// ANALYSIS_CACHE_MAX_ENTRIES of them; 0 entries turns the cache off
+const analysisCache = config.analysisCache.maxEntries > 0
+  ? createAnalysisCache(db, config.analysisCache)
+  : null;
 
-{
-  "simplified": "A clear, plain English explanation of the document's main points, preserving all important details and legal implications. Break down complex clauses into understandable language.",
-  "riskAssessment": {
-    "overallRisk": "low/medium/high",
-    "riskFactors": [
-      {
-        "clause": "Specific clause or section",
-        "risk": "high/medium/low",
-        "explanation": "Why this is risky and what it means for the user",
-        "impact": "Financial/Legal/Operational impact description"
-      }
-    ]
-  },
-  "keyTerms": [
-    {
-      "term": "Legal term or phrase",
-      "definition": "Simple explanation of what this means",
-      "importance": "Why this term matters"
-    }
-  ],
-  "actionItems": [
-    {
-      "action": "What the user should do",
-      "priority": "high/medium/low",
-      "deadline": "When this should be done (if applicable)"
-    }
-  ],
-  "warnings": [
-    "Important warnings or red flags the user should be aware of"
-  ]
+/**
+ * Reads the per-request cache switch; cache=false re-runs the model and refreshes the cached analysis
+ */
+function shouldBypassCache(value) {
+  return value === false || String(value).toLowerCase() === 'false';
+}
+
+// Every route but the health checks needs an API key, issued with `npm run keys`.
+// REQUIRE_API_KEY=false lets requests without a key through, for local development.
+const apiKeyStore = createApiKeyStore(db);
+const apiKeyAuth = createApiKeyAuth({ store: apiKeyStore, required: config.requireApiKey });
+
+// Single-origin mode: the frontend is served next to the API, so one server is
+// the whole app. Static files need no API key. SERVE_FRONTEND=false keeps the
+// server API-only, for a frontend hosted elsewhere.
+if (config.frontend.enabled) {
+  app.use(express.static(config.frontend.dir));
 }
 
-Important guidelines:
-1. Focus on making complex legal language accessible to non-lawyers
-2. Highlight potential risks and their real-world implications
-3. Identify terms that could be problematic or unfair
-4. Provide actionable advice where appropriate
-5. Be objective but help users understand what they're agreeing to
-6. If analyzing a specific question, prioritize that in your response
+const PUBLIC_PATHS = new Set(['/', '/health', '/config']);
+app.use((req, res, next) => (PUBLIC_PATHS.has(req.path) ? next() : apiKeyAuth.authenticate(req, res, next)));
+app.use(apiKeyAuth.rateLimit);
+// Routes that run the model call apiKeyAuth.chargeQuota once the request has
+// passed validation, so a rejected request never uses up the daily quota
 
-Respond ONLY with valid JSON - no additional text or formatting.`;
+// Daily usage counts are kept this long
+const USAGE_RETENTION_DAYS = 90;
 
-  return basePrompt;
+// Middleware
+app.use(express.json({ limit: config.limits.jsonBytes }));
+
+/**
+ * The id of the API key a request was made with, or null without one. Stored
+ * analyses, jobs, batches and sessions belong to the key that created them
+ * and are only visible to requests made with it.
+ */
+function callerKeyId(req) {
+  return req.apiKey ? req.apiKey.id : null;
 }
 
-// Serve the main HTML file at root
+/**
+ * Archives an analysis and returns its id; a failed write never fails the request
+ */
+function archiveAnalysis(entry) {
+  try {
+    return analysisStore.save(entry);
+  } catch (error) {
+    console.error('❌ Failed to save analysis to history:', error);
+    return undefined;
+  }
+}
+
+// Without the frontend, the root only says the API is up
 app.get('/', (req, res) => {
   res.status(200).json({ message: 'Backend is running ✅' });
 });
 
+/**
+ * GET /config - Runtime settings for the frontend: where the API is and the size limits it enforces
+ */
+app.get('/config', (req, res) => {
+  res.json(publicConfig(config));
+});
+
+/**
+ * Checks text sent to /analyze
+ * @returns {string|null} What is wrong with it, or null when it can be analyzed
+ */
+function textInputError(text) {
+  if (typeof text !== 'string' || !text.trim()) return 'Text content is required';
+  if (text.length > MAX_TEXT_CHARS) {
+    return `Text must be less than ${MAX_TEXT_CHARS.toLocaleString('en-US')} characters`;
+  }
+  return null;
+}
+
+/**
+ * Reads the `documentType` a request asks for; empty or "auto" leaves it to classification
+ * @returns {string|null|undefined} The profile id, null to classify, undefined when there is no such profile
+ */
+function resolveDocumentType(value) {
+  if (value === undefined || value === null || value === '' || value === 'auto') return null;
+  const id = String(value).trim();
+  return documentProfiles.some(profile => profile.id === id) ? id : undefined;
+}
+
+/**
+ * Reads the `dateOrder` a request asks numeric dates to be read in; empty or
+ * "auto" leaves it to the document's language
+ * @returns {string|null|undefined} "mdy" or "dmy", null for auto, undefined when it is neither
+ */
+function resolveDateOrder(value) {
+  if (value === undefined || value === null || value === '' || value === 'auto') return null;
+  const order = String(value).trim().toLowerCase();
+  return DATE_ORDERS.includes(order) ? order : undefined;
+}
+
+/**
+ * Rejects a request whose effectiveDate is not a YYYY-MM-DD date or whose
+ * dateOrder, outputLanguage or documentType isn't supported, removing any
+ * upload it carried
+ */
+function validateAnalysisOptions(req, res, next) {
+  const { effectiveDate, dateOrder, outputLanguage, documentType } = req.body || {};
+  let problem = null;
+  if (effectiveDate && !parseIsoDate(effectiveDate)) {
+    problem = 'effectiveDate must be a date in YYYY-MM-DD format';
+  } else if (resolveDateOrder(dateOrder) === undefined) {
+    problem = `Unknown dateOrder "${dateOrder}". Use auto, mdy (month first) or dmy (day first).`;
+  } else if (!resolveOutputLanguage(outputLanguage)) {
+    problem = `Unsupported outputLanguage "${outputLanguage}". Use ${Object.keys(LANGUAGES).join(', ')}.`;
+  } else if (resolveDocumentType(documentType) === undefined) {
+    problem = `Unknown documentType "${documentType}". Use auto or ${documentProfiles.map(profile => profile.id).join(', ')}.`;
+  }
+
+  if (problem) {
+    requestUploads(req).forEach(removeUpload);
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: problem
+    });
+  }
+  next();
+}
+
+/**
+ * Maps a failed analysis to the status and `{ error, message }` body the API
+ * responds with, logging errors that are not the client's or the model's fault
+ */
+function analysisErrorResponse(error, route, fallbackMessage) {
+  if (error instanceof UnsupportedFormatError) {
+    return { status: 400, body: { error: 'File Error', message: error.message } };
+  }
+  if (error instanceof EmptyDocumentError) {
+    return { status: 400, body: { error: 'Processing Error', message: error.message } };
+  }
+  if (error instanceof AnalysisParseError) {
+    return { status: 500, body: { error: 'API Processing Error', message: error.message } };
+  }
+  console.error(`❌ Error in ${route}:`, error);
+  return { status: 500, body: { error: 'Internal Server Error', message: fallbackMessage } };
+}
+
+/**
+ * Languages follow-up answers are written with, from analyzeDocument's `language`
+ */
+function sessionLanguage(language) {
+  return { documentLanguage: language.detected && language.detected.code, outputLanguage: language.output };
+}
+
+/**
+ * Analyzes pasted text and builds the /analyze response
+ * @param {{ onEvent?: Function, signal?: AbortSignal }} options - Passed on to analyzeDocument
+ */
+async function analyzeTextInput({ text, query, label, effectiveDate, dateOrder, redact, outputLanguage, documentType, cache, keyId = null }, options = {}) {
+  console.log(`🔍 Analyzing legal text (${text.length} characters)`);
+
+  const { analysis: documentAnalysis, validation, chunks, ruleMatches, modelError, redaction, language, cache: cacheInfo } = await analyzeDocument(provider, {
+    text,
+    query,
+    maxChunkChars: MAX_CHUNK_CHARS,
+    rules: clauseRules,
+    redact: shouldRedact(redact),
+    outputLanguage: resolveOutputLanguage(outputLanguage),
+    profiles: documentProfiles,
+    documentType: resolveDocumentType(documentType),
+    cache: analysisCache,
+    bypassCache: shouldBypassCache(cache),
+    ...options
+  });
+  // Relative deadlines resolve against the effective date the client gave, or the one in the text
+  const analysis = attachTimeline(documentAnalysis, text, {
+    effectiveDate,
+    dateOrder: resolveDateOrder(dateOrder),
+    language: language.detected && language.detected.code
+  });
+
+  console.log(`📥 Analysis response received from ${provider.name}`);
+
+  const session = sessions.create({
+    text,
+    pages: [],
+    analysis,
+    fileName: null,
+    redact: redaction.enabled,
+    language: sessionLanguage(language),
+    keyId
+  });
+
+  const responseData = {
+    ...analysis,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      textLength: text.length,
+      hasQuery: !!query,
+      sessionId: session.id,
+      chunks,
+      validation,
+      ruleMatches,
+      // Set when the model failed and only the clause rules were applied
+      modelError: modelError || undefined,
+      // Personal data replaced by placeholders in what was sent to the model
+      redaction,
+      // Detected document language and the language the explanations are written in
+      language,
+      // Whether the model analysis came from the cache ("hit") or was run now
+      cache: cacheInfo
+    }
+  };
+  responseData.metadata.analysisId = archiveAnalysis({ text, analysis, metadata: responseData.metadata, label, keyId });
+
+  console.log('✅ Legal analysis completed successfully');
+  return responseData;
+}
+
+/**
+ * Extracts and analyzes an uploaded file and builds the /upload response
+ * @param {{ onEvent?: Function, signal?: AbortSignal }} options - Passed on to analyzeDocument
+ */
+async function analyzeUploadedFile(file, { query, label, effectiveDate, dateOrder, redact, outputLanguage, documentType, cache, keyId = null }, options = {}) {
+  console.log(`📄 Processing uploaded file: ${file.originalname}`);
+
+  const { text: extractedText, pages, format, ocr } = await extractText(file);
+
+  if (!extractedText.trim()) {
+    throw new EmptyDocumentError();
+  }
+
+  // Analyze the extracted text, chunk by chunk if it is long
+  const { analysis: documentAnalysis, validation, chunks, ruleMatches, modelError, redaction, language, cache: cacheInfo } = await analyzeDocument(provider, {
+    text: extractedText,
+    query,
+    pages,
+    maxChunkChars: MAX_CHUNK_CHARS,
+    rules: clauseRules,
+    redact: shouldRedact(redact),
+    outputLanguage: resolveOutputLanguage(outputLanguage),
+    profiles: documentProfiles,
+    documentType: resolveDocumentType(documentType),
+    cache: analysisCache,
+    bypassCache: shouldBypassCache(cache),
+    ...options
+  });
+  const analysis = attachTimeline(documentAnalysis, extractedText, {
+    effectiveDate,
+    dateOrder: resolveDateOrder(dateOrder),
+    language: language.detected && language.detected.code,
+    pages
+  });
+
+  const session = sessions.create({
+    text: extractedText,
+    pages,
+    analysis,
+    fileName: file.originalname,
+    redact: redaction.enabled,
+    language: sessionLanguage(language),
+    keyId
+  });
+
+  const responseData = {
+    ...analysis,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      sessionId: session.id,
+      fileName: file.originalname,
+      fileSize: file.size,
+      format,
+      textLength: extractedText.length,
+      // Pages read by OCR with their confidence (0-100), when the file was a scan
+      ocr: ocr || undefined,
+      pageCount: pages.length || undefined,
+      chunks,
+      validation,
+      ruleMatches,
+      // Set when the model failed and only the clause rules were applied
+      modelError: modelError || undefined,
+      // Personal data replaced by placeholders in what was sent to the model
+      redaction,
+      // Detected document language and the language the explanations are written in
+      language,
+      // Whether the model analysis came from the cache ("hit") or was run now
+      cache: cacheInfo
+    },
+    // Extracted text so the client can show the passages the analysis points at
+    source: {
+      text: extractedText,
+      pages
+    }
+  };
+  responseData.metadata.analysisId = archiveAnalysis({
+    text: extractedText,
+    pages,
+    analysis,
+    metadata: responseData.metadata,
+    label,
+    keyId
+  });
+
+  console.log('✅ File analysis completed successfully');
+  return responseData;
+}
+
+/**
+ * Deletes an uploaded file once it is no longer needed
+ */
+function removeUpload(file) {
+  if (file && fs.existsSync(file.path)) fs.unlinkSync(file.path);
+}
+
+/**
+ * Every file multer stored for a request, from .single(), .array() or .fields()
+ */
+function requestUploads(req) {
+  if (!req.files) return req.file ? [req.file] : [];
+  return Array.isArray(req.files) ? req.files : Object.values(req.files).flat();
+}
+
+/**
+ * Runs an analysis as a Server-Sent Events stream: progress and sections are
+ * sent as the model produces them, then a "result" event carrying the same
+ * body the non-streaming route returns, or an "error" event. Closing the
+ * connection cancels the analysis.
+ */
+async function streamAnalysis(req, res, run, fallbackMessage) {
+  const stream = openEventStream(res);
+
+  try {
+    const responseData = await run({ onEvent: stream.send, signal: stream.signal });
+    stream.send('result', responseData);
+  } catch (error) {
+    if (stream.signal.aborted) {
+      console.log(`⏹️ ${req.path} cancelled by the client`);
+      return;
+    }
+    stream.send('error', analysisErrorResponse(error, req.path, fallbackMessage).body);
+  } finally {
+    stream.end();
+  }
+}
+
 /**
  * POST /analyze - Analyze legal documents (text input)
  */
-app.post('/analyze', async (req, res) => {
+app.post('/analyze', validateAnalysisOptions, async (req, res) => {
   try {
-    const { text, query } = req.body;
-    
-    if (!text) {
+    const { text, query, label, effectiveDate, dateOrder, redact, outputLanguage, documentType, cache } = req.body || {};
+
+    const problem = textInputError(text);
+    if (problem) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Text content is required'
+        message: problem
       });
     }
 
-    if (text.length > 10000) {
+    if (!apiKeyAuth.chargeQuota(req, res)) return;
+
+    res.json(await analyzeTextInput({ text, query, label, effectiveDate, dateOrder, redact, outputLanguage, documentType, cache, keyId: callerKeyId(req) }));
+
+  } catch (error) {
+    const { status, body } = analysisErrorResponse(error, '/analyze', 'An unexpected error occurred while analyzing the document');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * POST /analyze/stream - Same as /analyze, streamed as Server-Sent Events
+ */
+app.post('/analyze/stream', validateAnalysisOptions, (req, res) => {
+  const { text, query, label, effectiveDate, dateOrder, redact, outputLanguage, documentType, cache } = req.body || {};
+
+  const problem = textInputError(text);
+  if (problem) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: problem
+    });
+  }
+  if (!apiKeyAuth.chargeQuota(req, res)) return;
+
+  return streamAnalysis(req, res,
+    options => analyzeTextInput({ text, query, label, effectiveDate, dateOrder, redact, outputLanguage, documentType, cache, keyId: callerKeyId(req) }, options),
+    'An unexpected error occurred while analyzing the document'
+  );
+});
+
+/**
+ * POST /upload - Analyze uploaded legal documents
+ */
+app.post('/upload', upload.single('document'), validateAnalysisOptions, async (req, res) => {
+  try {
+    if (!req.file) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'Text must be less than 10,000 characters'
+        message: 'No file uploaded'
       });
     }
+    if (!apiKeyAuth.chargeQuota(req, res)) return;
 
-    console.log(`🔍 Analyzing legal text (${text.length} characters)`);
+    res.json(await analyzeUploadedFile(req.file, { ...req.body, keyId: callerKeyId(req) }));
 
-    const prompt = buildLegalAnalysisPrompt(text, query);
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const responseText = response.text();
+  } catch (error) {
+    const { status, body } = analysisErrorResponse(error, '/upload', 'An unexpected error occurred while processing the file');
+    res.status(status).json(body);
+  } finally {
+    removeUpload(req.file);
+  }
+});
 
-    console.log('📥 Gemini analysis response received');
+/**
+ * POST /upload/stream - Same as /upload, streamed as Server-Sent Events
+ */
+app.post('/upload/stream', upload.single('document'), validateAnalysisOptions, (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'No file uploaded'
+    });
+  }
+  if (!apiKeyAuth.chargeQuota(req, res)) {
+    removeUpload(req.file);
+    return;
+  }
 
-    // Parse JSON response
-    let analysisData;
-    try {
-      const cleanText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      analysisData = JSON.parse(cleanText);
-    } catch (parseError) {
-      console.error('❌ JSON parsing error:', parseError);
-      return res.status(500).json({
-        error: 'API Processing Error',
-        message: 'Failed to parse analysis from AI service'
+  return streamAnalysis(req, res,
+    options => {
+      options.onEvent('status', { stage: 'extracting' });
+      return analyzeUploadedFile(req.file, { ...req.body, keyId: callerKeyId(req) }, options);
+    },
+    'An unexpected error occurred while processing the file'
+  ).finally(() => removeUpload(req.file));
+});
+
+/**
+ * Turns analyzeDocument events into job progress: the stage and how many chunks are done
+ */
+function jobProgressReporter(reportProgress) {
+  return (type, data) => {
+    if (type === 'start') reportProgress({ stage: 'analyzing', completed: 0, total: data.chunks });
+    if (type === 'progress') reportProgress({ stage: 'analyzing', completed: data.completed, total: data.total });
+  };
+}
+
+/**
+ * Analysis options for a job: progress goes to the job, and a transient model
+ * error is retried rather than answered from the clause rules, unless this is
+ * the last attempt
+ */
+function jobAnalysisOptions({ reportProgress, isLastAttempt }) {
+  return {
+    onEvent: jobProgressReporter(reportProgress),
+    fallbackToRules: error => isLastAttempt || !isTransientError(error)
+  };
+}
+
+// Background analyses: JOB_CONCURRENCY workers, JOB_MAX_ATTEMPTS tries on transient model errors
+const jobQueue = createJobQueue({
+  store: jobStore,
+  concurrency: config.jobs.concurrency,
+  maxAttempts: config.jobs.maxAttempts,
+  handlers: {
+    analyze: (job, context) => analyzeTextInput({ ...job.input, keyId: job.keyId }, jobAnalysisOptions(context)),
+    upload: (job, context) => {
+      context.reportProgress({ stage: 'extracting' });
+      return analyzeUploadedFile(job.input.file, { ...job.input, keyId: job.keyId }, jobAnalysisOptions(context));
+    }
+  },
+  describeError: (error, job) =>
+    analysisErrorResponse(error, `job ${job.id}`, 'An unexpected error occurred while processing the job').body,
+  onFinished: job => removeUpload(job.input.file)
+});
+
+/**
+ * Moves an upload out of the temporary directory, copying when it is on another volume
+ */
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+/**
+ * POST /jobs - Queue an analysis and return at once. Send a "document" file
+ * (like /upload) or "text" (like /analyze); poll GET /jobs/:id for the result.
+ */
+app.post('/jobs', upload.single('document'), validateAnalysisOptions, (req, res) => {
+  const { text, query, label, effectiveDate, dateOrder, redact, outputLanguage, documentType, cache } = req.body || {};
+  let job;
+
+  const problem = req.file ? null : textInputError(text);
+  if (problem) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: `Upload a "document" file or send text. ${problem}`
+    });
+  }
+  if (!apiKeyAuth.chargeQuota(req, res)) {
+    removeUpload(req.file);
+    return;
+  }
+
+  if (req.file) {
+    const storedPath = path.join(JOB_FILES_DIR, path.basename(req.file.path));
+    moveFile(req.file.path, storedPath);
+    job = jobQueue.enqueue('upload', {
+      file: { path: storedPath, originalname: req.file.originalname, size: req.file.size },
+      query,
+      label,
+      effectiveDate,
+      dateOrder,
+      redact,
+      outputLanguage,
+      documentType,
+      cache
+    }, { keyId: callerKeyId(req) });
+  } else {
+    job = jobQueue.enqueue('analyze', { text, query, label, effectiveDate, dateOrder, redact, outputLanguage, documentType, cache }, { keyId: callerKeyId(req) });
+  }
+
+  console.log(`📬 Queued ${job.type} job ${job.id}`);
+  res.status(202).location(`/jobs/${job.id}`).json({
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`
+  });
+});
+
+/**
+ * GET /jobs/:id - Status and progress of a job, with its result once it has succeeded
+ */
+app.get('/jobs/:id', (req, res) => {
+  const job = jobStore.get(req.params.id);
+  if (!job || job.keyId !== callerKeyId(req)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Job not found or expired'
+    });
+  }
+
+  res.json({
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    // Same body /analyze or /upload would have returned
+    result: job.status === 'succeeded' ? job.result : undefined,
+    // The last failure; a queued job with an error is waiting to be retried
+    error: job.error || undefined
+  });
+});
+
+/**
+ * POST /batches - Queue an analysis of every document in a batch: several
+ * "documents" files, ZIP archives of them, or both. Each document becomes a
+ * job and counts against the daily quota; poll GET /batches/:id for progress
+ * and the portfolio of results.
+ */
+app.post('/batches', batchUpload.array('documents'), validateAnalysisOptions, async (req, res) => {
+  const files = req.files || [];
+  const { label, effectiveDate, dateOrder, redact, outputLanguage, documentType, cache } = req.body || {};
+
+  if (files.length === 0) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'Upload one or more "documents" files or ZIP archives'
+    });
+  }
+
+  let expanded;
+  try {
+    expanded = await expandBatchUpload(files, {
+      outputDir: JOB_FILES_DIR,
+      maxDocuments: config.limits.batchDocuments,
+      maxDocumentBytes: config.limits.uploadBytes,
+      maxArchiveBytes: config.limits.archiveBytes
+    });
+  } catch (error) {
+    files.forEach(removeUpload);
+    if (error instanceof BatchError) {
+      return res.status(400).json({ error: 'Batch Error', message: error.message });
+    }
+    console.error('❌ Error in /batches:', error);
+    return res.status(500).json({ error: 'Internal Server Error', message: 'Failed to read the batch upload' });
+  }
+
+  const { documents, skipped } = expanded;
+  if (!apiKeyAuth.chargeQuota(req, res, documents.length)) {
+    files.forEach(removeUpload);
+    documents.forEach(removeUpload);
+    return;
+  }
+
+  const batch = batchStore.create({ label: label || null, skipped, keyId: callerKeyId(req) });
+  documents.forEach(document => {
+    const storedPath = path.join(JOB_FILES_DIR, path.basename(document.path));
+    if (document.path !== storedPath) moveFile(document.path, storedPath);
+    jobQueue.enqueue('upload', {
+      file: { path: storedPath, originalname: document.originalname, size: document.size },
+      label: label ? `${label}: ${document.originalname}` : undefined,
+      effectiveDate,
+      dateOrder,
+      redact,
+      outputLanguage,
+      documentType,
+      cache
+    }, { batchId: batch.id, keyId: batch.keyId });
+  });
+
+  console.log(`📦 Queued batch ${batch.id}: ${documents.length} document(s), ${skipped.length} skipped`);
+  res.status(202).location(`/batches/${batch.id}`).json({
+    batchId: batch.id,
+    documents: documents.length,
+    skipped,
+    statusUrl: `/batches/${batch.id}`
+  });
+});
+
+/**
+ * GET /batches/:id - Progress of a batch and a portfolio of its results: one
+ * row per document with its overall risk and counts, and totals across them.
+ * A document's full analysis is the result of its job (GET /jobs/:jobId).
+ */
+app.get('/batches/:id', (req, res) => {
+  const batch = batchStore.get(req.params.id);
+  if (!batch || batch.keyId !== callerKeyId(req)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Batch not found or expired'
+    });
+  }
+
+  const documents = jobStore.listByBatch(batch.id).map(summarizeBatchDocument);
+  res.json({
+    batchId: batch.id,
+    label: batch.label,
+    createdAt: batch.createdAt,
+    portfolio: summarizePortfolio(documents),
+    documents,
+    skipped: batch.skipped
+  });
+});
+
+/**
+ * GET /document-types - The document types an analysis can be run as, for
+ * overriding the detected type
+ */
+app.get('/document-types', (req, res) => {
+  res.json({
+    documentTypes: documentProfiles.map(profile => ({ id: profile.id, name: profile.name }))
+  });
+});
+
+/**
+ * GET /api-key - The API key making the request, with its limits and today's usage
+ */
+app.get('/api-key', (req, res) => {
+  if (!req.apiKey) {
+    return res.json({ apiKey: null });
+  }
+  const { id, name, prefix, rateLimit, dailyQuota } = req.apiKey;
+  res.json({
+    apiKey: { id, name, prefix, rateLimit, dailyQuota, usedToday: apiKeyStore.usageOn(id, quotaDay()) }
+  });
+});
+
+/**
+ * POST /timeline - Re-read a document's dates against another effective date
+ * or date order, without analyzing it again. Send the source text (and pages)
+ * of an analysis, the effectiveDate and dateOrder and optionally its actionItems.
+ */
+app.post('/timeline', validateAnalysisOptions, (req, res) => {
+  const { text, pages, effectiveDate, dateOrder, actionItems } = req.body || {};
+
+  const problem = textInputError(typeof text === 'string' ? text : '');
+  if (problem) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: problem
+    });
+  }
+
+  const items = Array.isArray(actionItems) ? actionItems.filter(item => item && typeof item.action === 'string') : [];
+  const detected = detectLanguage(text);
+  const { timeline, actionItems: resolvedItems } = attachTimeline(
+    { actionItems: items },
+    text,
+    {
+      effectiveDate,
+      dateOrder: resolveDateOrder(dateOrder),
+      language: detected && detected.code,
+      pages: Array.isArray(pages) ? pages : []
+    }
+  );
+  res.json({ timeline, actionItems: resolvedItems });
+});
+
+/**
+ * GET /analyses - List archived analyses, newest first
+ */
+app.get('/analyses', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  res.json(analysisStore.list({ limit, offset, keyId: callerKeyId(req) }));
+});
+
+/**
+ * GET /analyses/:id - Fetch an archived analysis in the same shape /analyze returns
+ */
+app.get('/analyses/:id', (req, res) => {
+  const stored = analysisStore.get(req.params.id, callerKeyId(req));
+  if (!stored) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Analysis not found'
+    });
+  }
+  res.json(stored);
+});
+
+/**
+ * DELETE /analyses/:id - Remove an analysis from the archive
+ */
+app.delete('/analyses/:id', (req, res) => {
+  if (!analysisStore.delete(req.params.id, callerKeyId(req))) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Analysis not found'
+    });
+  }
+  res.status(204).end();
+});
+
+/**
+ * A session of the caller's API key, or null when it doesn't exist, has
+ * expired or belongs to another key
+ */
+function callerSession(req, id) {
+  const session = sessions.get(id);
+  return session && session.keyId === callerKeyId(req) ? session : null;
+}
+
+/**
+ * GET /sessions/:id - Conversation history of a document session
+ */
+app.get('/sessions/:id', (req, res) => {
+  const session = callerSession(req, req.params.id);
+  if (!session) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Session not found or expired. Analyze the document again to start a new session.'
+    });
+  }
+
+  res.json({
+    sessionId: session.id,
+    createdAt: session.createdAt,
+    fileName: session.fileName,
+    textLength: session.text.length,
+    history: session.history
+  });
+});
+
+/**
+ * POST /sessions/:id/ask - Ask a follow-up question about a session's document
+ */
+app.post('/sessions/:id/ask', async (req, res) => {
+  try {
+    const session = callerSession(req, req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found or expired. Analyze the document again to start a new session.'
       });
     }
 
-    // Validate response structure
-    if (!analysisData.simplified || !analysisData.riskAssessment) {
-      return res.status(500).json({
-        error: 'API Processing Error',
-        message: 'Invalid analysis response structure'
+    const { question: rawQuestion } = req.body || {};
+    const question = typeof rawQuestion === 'string' ? rawQuestion.trim() : '';
+    if (!question) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Question is required'
       });
     }
 
-    const responseData = {
-      ...analysisData,
-      metadata: {
-        timestamp: new Date().toISOString(),
-        textLength: text.length,
-        hasQuery: !!query
-      }
-    };
+    if (!apiKeyAuth.chargeQuota(req, res)) return;
+
+    console.log(`💬 Question in session ${session.id} (${question.length} characters)`);
+
+    const { answer, citations } = await answerQuestion(provider, session, question);
+    const timestamp = new Date().toISOString();
 
-    console.log('✅ Legal analysis completed successfully');
-    res.json(responseData);
+    session.history.push({ role: 'user', content: question, timestamp });
+    session.history.push({ role: 'assistant', content: answer, citations, timestamp });
+
+    res.json({
+      sessionId: session.id,
+      question,
+      answer,
+      citations,
+      timestamp
+    });
 
   } catch (error) {
-    console.error('❌ Error in /analyze:', error);
+    console.error('❌ Error in /sessions/:id/ask:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'An unexpected error occurred while analyzing the document'
+      message: 'An unexpected error occurred while answering the question'
     });
   }
 });
 
 /**
- * POST /upload - Analyze uploaded legal documents
+ * DELETE /sessions/:id - End a document session
+ */
+app.delete('/sessions/:id', (req, res) => {
+  if (!callerSession(req, req.params.id) || !sessions.delete(req.params.id)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Session not found or expired'
+    });
+  }
+  res.status(204).end();
+});
+
+/**
+ * Reads one side of a /compare request: an uploaded file in `fileField`
+ * or plain text in `textField`
+ */
+async function readComparisonInput(req, fileField, textField) {
+  const file = req.files && req.files[fileField] && req.files[fileField][0];
+  if (file) {
+    const { text, pages } = await extractText(file);
+    if (!text.trim()) throw new EmptyDocumentError(`Could not extract text from "${file.originalname}"`);
+    return { text, pages, fileName: file.originalname };
+  }
+  const text = req.body && typeof req.body[textField] === 'string' ? req.body[textField] : '';
+  return { text, pages: [], fileName: null };
+}
+
+/**
+ * POST /compare - Clause-level diff of two versions of a document, with risk changes
  */
-app.post('/upload', upload.single('document'), async (req, res) => {
+app.post('/compare', upload.fields([{ name: 'original', maxCount: 1 }, { name: 'revised', maxCount: 1 }]), validateAnalysisOptions, async (req, res) => {
+  const uploadedFiles = requestUploads(req);
+  const body = req.body || {};
+
   try {
-    if (!req.file) {
+    const outputLanguage = resolveOutputLanguage(body.outputLanguage);
+    const requestedType = resolveDocumentType(body.documentType);
+
+    const original = await readComparisonInput(req, 'original', 'originalText');
+    const revised = await readComparisonInput(req, 'revised', 'revisedText');
+
+    if (!original.text.trim() || !revised.text.trim()) {
       return res.status(400).json({
         error: 'Validation Error',
-        message: 'No file uploaded'
+        message: 'Two documents are required: upload "original" and "revised" files or send originalText and revisedText'
+      });
+    }
+
+    if (original.text.length > MAX_TEXT_CHARS || revised.text.length > MAX_TEXT_CHARS) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Each document must be less than ${MAX_TEXT_CHARS.toLocaleString('en-US')} characters`
       });
     }
+    if (!apiKeyAuth.chargeQuota(req, res)) return;
 
-    console.log(`📄 Processing uploaded file: ${req.file.originalname}`);
+    console.log(`🔀 Comparing documents (${original.text.length} → ${revised.text.length} characters)`);
 
-    let extractedText = '';
+    const redact = shouldRedact(body.redact);
+    // Both versions are read as the same type, so a risk change is never just a change of profile
+    const documentType = requestedType || classifyDocument(original.text, documentProfiles).profile.id;
+    const options = {
+      maxChunkChars: MAX_CHUNK_CHARS,
+      rules: clauseRules,
+      redact,
+      outputLanguage,
+      profiles: documentProfiles,
+      documentType,
+      cache: analysisCache,
+      bypassCache: shouldBypassCache(body.cache)
+    };
+    const [originalResult, revisedResult] = await Promise.all([
+      analyzeDocument(provider, { text: original.text, pages: original.pages, ...options }),
+      analyzeDocument(provider, { text: revised.text, pages: revised.pages, ...options })
+    ]);
 
-    // Extract text based on file type
-    if (req.file.mimetype === 'application/pdf') {
-      const pdfBuffer = fs.readFileSync(req.file.path);
-      const pdfData = await pdf(pdfBuffer);
-      extractedText = pdfData.text;
-    } else if (req.file.mimetype === 'text/plain') {
-      extractedText = fs.readFileSync(req.file.path, 'utf8');
+    const allChanges = attachRiskChanges(
+      diffClauses(original.text, revised.text),
+      originalResult.analysis,
+      revisedResult.analysis
+    );
+
+    const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+    allChanges.forEach(change => summary[change.type]++);
+
+    const describe = (input, result) => ({
+      fileName: input.fileName,
+      textLength: input.text.length,
+      overallRisk: result.analysis.riskAssessment.overallRisk,
+      riskFactors: result.analysis.riskAssessment.riskFactors,
+      clauseChecklist: result.analysis.clauseChecklist
+    });
+
+    console.log('✅ Comparison completed successfully');
+    res.json({
+      overallRisk: riskChange(
+        originalResult.analysis.riskAssessment.overallRisk,
+        revisedResult.analysis.riskAssessment.overallRisk
+      ),
+      summary,
+      changes: allChanges.filter(change => change.type !== 'unchanged'),
+      original: describe(original, originalResult),
+      revised: describe(revised, revisedResult),
+      metadata: {
+        timestamp: new Date().toISOString(),
+        redaction: { original: originalResult.redaction, revised: revisedResult.redaction },
+        documentType: { ...originalResult.documentType, source: requestedType ? 'user' : 'detected', confidence: null },
+        cache: { original: originalResult.cache, revised: revisedResult.cache }
+      }
+    });
+
+  } catch (error) {
+    const { status, body: errorBody } = analysisErrorResponse(error, '/compare', 'An unexpected error occurred while comparing the documents');
+    res.status(status).json(errorBody);
+  } finally {
+    uploadedFiles.forEach(removeUpload);
+  }
+});
+
+/**
+ * POST /export?format=pdf|docx|md|ics - Render an analysis response as a downloadable report,
+ * or its key dates as a calendar
+ */
+app.post('/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!REPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Unsupported report format "${format}". Use ${Object.keys(REPORT_FORMATS).join(', ')}.`
+      });
+    }
+
+    const body = req.body || {};
+    if (typeof body.simplified !== 'string' || !body.riskAssessment) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'An analysis result (as returned by /analyze or /upload) is required'
+      });
+    }
+
+    const analysis = { ...body, ...normalizeAnalysis(body) };
+    const report = await renderReport(analysis, format);
+
+    console.log(`📑 Exported ${format.toUpperCase()} report (${report.buffer.length} bytes)`);
+    res.set({
+      'Content-Type': report.contentType,
+      'Content-Disposition': `attachment; filename="${report.fileName}"`
+    });
+    res.send(report.buffer);
+
+  } catch (error) {
+    console.error('❌ Error in /export:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred while generating the report'
+    });
+  }
+});
+
+// Longest name accepted for the party a redline negotiates for
+const MAX_PARTY_CHARS = 200;
+
+/**
+ * The risk factors, document and languages a /redline request works from:
+ * a session's analysis, or risk factors (and optionally the text) in the body
+ * @returns {{ input: object|null, problem?: { status: number, message: string } }}
+ */
+function redlineInput(req) {
+  const body = req.body || {};
+  if (body.sessionId) {
+    const session = callerSession(req, String(body.sessionId));
+    if (!session) {
+      return { input: null, problem: { status: 404, message: 'Session not found or expired. Analyze the document again to start a new session.' } };
     }
+    return {
+      input: {
+        sessionId: session.id,
+        riskFactors: session.analysis.riskAssessment.riskFactors,
+        text: session.text,
+        pages: session.pages,
+        redact: session.redact,
+        fileName: session.fileName,
+        ...session.language,
+        // An explicit outputLanguage overrides the one the session was analyzed in
+        ...(body.outputLanguage ? { outputLanguage: resolveOutputLanguage(body.outputLanguage) } : {})
+      }
+    };
+  }
 
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
+  const riskFactors = Array.isArray(body.riskFactors)
+    ? body.riskFactors.filter(factor => factor && typeof factor.clause === 'string' && factor.clause.trim())
+    : [];
+  if (riskFactors.length === 0) {
+    return { input: null, problem: { status: 400, message: 'A sessionId or a non-empty riskFactors array is required' } };
+  }
+  const text = typeof body.text === 'string' ? body.text : '';
+  const detected = detectLanguage(text || riskFactors.map(factor => factor.clause).join('\n'));
+  return {
+    input: {
+      riskFactors,
+      text,
+      pages: [],
+      redact: shouldRedact(body.redact),
+      fileName: null,
+      documentLanguage: detected && detected.code,
+      outputLanguage: resolveOutputLanguage(body.outputLanguage)
+    }
+  };
+}
 
-    if (!extractedText.trim()) {
+/**
+ * POST /redline - Suggested replacement wording for each risk factor, with a
+ * rationale and a fallback position, for a session's analysis or for
+ * risk factors sent in the body
+ */
+app.post('/redline', validateAnalysisOptions, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const party = typeof body.party === 'string' ? body.party.trim() : '';
+    if (party.length > MAX_PARTY_CHARS) {
       return res.status(400).json({
-        error: 'Processing Error',
-        message: 'Could not extract text from the uploaded file'
+        error: 'Validation Error',
+        message: `party must be at most ${MAX_PARTY_CHARS} characters`
       });
     }
 
-    // Truncate if too long
-    if (extractedText.length > 10000) {
-      extractedText = extractedText.substring(0, 10000) + '...';
+    const { input, problem } = redlineInput(req);
+    if (problem) {
+      return res.status(problem.status).json({
+        error: problem.status === 404 ? 'Not Found' : 'Validation Error',
+        message: problem.message
+      });
     }
+    if (input.text.length > MAX_TEXT_CHARS) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: textInputError(input.text)
+      });
+    }
+
+    if (!apiKeyAuth.chargeQuota(req, res)) return;
+
+    console.log(`✍️ Suggesting redlines for ${input.riskFactors.length} risk factor(s)`);
+    const { redlines, skipped } = await proposeRedlines(provider, { ...input, party });
 
-    // Analyze the extracted text
-    const prompt = buildLegalAnalysisPrompt(extractedText, req.body.query);
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const responseText = response.text();
-
-    // Parse JSON response
-    let analysisData;
-    try {
-      const cleanText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      analysisData = JSON.parse(cleanText);
-    } catch (parseError) {
-      console.error('❌ JSON parsing error:', parseError);
+    res.json({
+      sessionId: input.sessionId,
+      fileName: input.fileName,
+      party,
+      redlines,
+      skipped,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RedlineParseError) {
       return res.status(500).json({
         error: 'API Processing Error',
-        message: 'Failed to parse analysis from AI service'
+        message: error.message
       });
     }
+    console.error('❌ Error in /redline:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'An unexpected error occurred while suggesting redlines'
+    });
+  }
+});
 
-    const responseData = {
-      ...analysisData,
-      metadata: {
-        timestamp: new Date().toISOString(),
-        fileName: req.file.originalname,
-        fileSize: req.file.size,
-        textLength: extractedText.length
-      }
-    };
+/**
+ * POST /redline/export?format=docx|memo - Render redlines (as returned by /redline)
+ * as a tracked-changes Word document or a plain-text negotiation memo
+ */
+app.post('/redline/export', async (req, res) => {
+  try {
+    const format = String(req.query.format || 'docx').toLowerCase();
+    if (!REDLINE_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Unsupported redline format "${format}". Use ${Object.keys(REDLINE_FORMATS).join(', ')}.`
+      });
+    }
+
+    const body = req.body || {};
+    const redlines = normalizeRedlines(body.redlines);
+    if (!redlines) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'A non-empty redlines array (as returned by /redline), each with original and proposed wording, is required'
+      });
+    }
+
+    const file = await renderRedlines(redlines, format, {
+      sourceName: typeof body.fileName === 'string' && body.fileName ? body.fileName : undefined,
+      party: typeof body.party === 'string' ? body.party.trim().slice(0, MAX_PARTY_CHARS) : ''
+    });
 
-    console.log('✅ File analysis completed successfully');
-    res.json(responseData);
+    console.log(`📑 Exported ${redlines.length} redline(s) as ${format} (${file.buffer.length} bytes)`);
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.fileName}"`
+    });
+    res.send(file.buffer);
 
   } catch (error) {
-    // Clean up file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    
-    console.error('❌ Error in /upload:', error);
+    console.error('❌ Error in /redline/export:', error);
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'An unexpected error occurred while processing the file'
+      message: 'An unexpected error occurred while exporting the redlines'
     });
   }
 });
@@ -264,7 +1294,9 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     service: 'Legal Document Simplifier',
-    version: '1.0.0'
+    version: '1.0.0',
+    provider: provider.name,
+    model: provider.model
   });
 });
 
@@ -274,12 +1306,26 @@ app.use((err, req, res, next) => {
   
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
+      const maxBytes = req.path === '/batches' ? config.limits.archiveBytes : config.limits.uploadBytes;
       return res.status(400).json({
         error: 'File Error',
-        message: 'File size too large. Maximum size is 10MB.'
+        message: `File size too large. Maximum size is ${maxBytes / (1024 * 1024)}MB.`
+      });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        error: 'File Error',
+        message: `Too many files. A batch can hold at most ${config.limits.batchDocuments} documents.`
       });
     }
   }
+
+  if (err instanceof UnsupportedFormatError) {
+    return res.status(400).json({
+      error: 'File Error',
+      message: err.message
+    });
+  }
   
   res.status(500).json({
     error: 'Internal Server Error',
@@ -289,17 +1335,30 @@ app.use((err, req, res, next) => {
 
 // 404 handler
 app.use((req, res) => {
-  if (req.path.startsWith('/api') || req.path.startsWith('/analyze') || req.path.startsWith('/upload')) {
+  if (req.path.startsWith('/api') || req.path.startsWith('/analyze') || req.path.startsWith('/upload') || req.path.startsWith('/compare') || req.path.startsWith('/sessions') || req.path.startsWith('/export') || req.path.startsWith('/analyses') || req.path.startsWith('/jobs') || req.path.startsWith('/timeline') || req.path.startsWith('/document-types') || req.path.startsWith('/config') || req.path.startsWith('/batches') || req.path.startsWith('/redline')) {
     return res.status(404).json({
       error: 'Not Found',
       message: `Route ${req.method} ${req.path} not found`
     });
   }
-
+  res.status(404).type('text').send('Not Found');
 });
 
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
 app.listen(PORT, () => {
   console.log(`🚀 Legal Document Simplifier running on http://localhost:${PORT}`);
+  console.log(`🤖 Using ${provider.name} provider (${provider.model})`);
+
+  jobStore.pruneFinished(new Date(Date.now() - JOB_RETENTION_MS).toISOString());
+  batchStore.prune(new Date(Date.now() - JOB_RETENTION_MS).toISOString());
+  if (analysisCache) analysisCache.prune();
+  apiKeyStore.pruneUsage(quotaDay(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000)));
+  if (config.frontend.enabled) {
+    console.log(`🖥️ Serving the frontend from ${config.frontend.dir}`);
+  }
+  if (!config.requireApiKey) {
+    console.warn('⚠️ REQUIRE_API_KEY=false: requests without an API key are accepted without limits');
+  }
+  jobQueue.start();
 });
\ No newline at end of file
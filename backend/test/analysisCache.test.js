@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase } = require('../lib/store/db');
+const { createAnalysisCache, analysisCacheKey } = require('../lib/store/analysisCache');
+const { analyzeDocument } = require('../lib/analyzer');
+
+const LEASE = 'The Tenant shall pay rent of $1,000 on the first day of each month.';
+
+function withDatabase(fn) {
+  return async t => {
+    ['log', 'warn'].forEach(method => t.mock.method(console, method, () => {}));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'legal-simplifier-test-'));
+    const db = openDatabase(dir);
+    try {
+      await fn(db);
+    } finally {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * A provider that counts its calls and answers with the given summary
+ */
+function countingProvider(simplified) {
+  const provider = {
+    name: 'fake',
+    model: 'test',
+    calls: 0,
+    generate: async () => {
+      provider.calls++;
+      return JSON.stringify({
+        simplified,
+        riskAssessment: { overallRisk: 'low', riskFactors: [] },
+        keyTerms: [],
+        actionItems: [],
+        warnings: []
+      });
+    }
+  };
+  return provider;
+}
+
+const key = (text, extra = {}) => analysisCacheKey({ text, promptVersion: 1, model: 'fake/test', ...extra });
+
+test('the cache key ignores whitespace but not the question, prompt, model or options', () => {
+  assert.equal(key(LEASE), key(`  ${LEASE.replace(/ /g, '\n  ')}\n`));
+  assert.notEqual(key(LEASE), key(LEASE, { query: 'Can rent go up?' }));
+  assert.notEqual(key(LEASE), key(LEASE, { promptVersion: 2 }));
+  assert.notEqual(key(LEASE), key(LEASE, { model: 'fake/other' }));
+  assert.notEqual(key(LEASE), key(LEASE, { options: { redact: true } }));
+});
+
+test('entries expire after their time to live', withDatabase(async db => {
+  const cache = createAnalysisCache(db, { ttlMs: 30, maxEntries: 10 });
+  cache.set('a', { analysis: 1 });
+
+  const hit = cache.get('a');
+  assert.deepEqual(hit.value, { analysis: 1 });
+  assert.equal(hit.hits, 1);
+  assert.equal(cache.get('a').hits, 2);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(cache.get('a'), null);
+}));
+
+test('the least recently used entries are evicted past the size limit', withDatabase(async db => {
+  const cache = createAnalysisCache(db, { ttlMs: 60000, maxEntries: 2 });
+  cache.set('a', 1);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  cache.set('b', 2);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  cache.get('a');
+  await new Promise(resolve => setTimeout(resolve, 5));
+  cache.set('c', 3);
+
+  assert.equal(cache.get('b'), null);
+  assert.deepEqual([cache.get('a').value, cache.get('c').value], [1, 3]);
+}));
+
+test('a repeated analysis is served from the cache unless bypassed', withDatabase(async db => {
+  const cache = createAnalysisCache(db, { ttlMs: 60000, maxEntries: 10 });
+  const provider = countingProvider('Pay rent monthly.');
+
+  const first = await analyzeDocument(provider, { text: LEASE, cache });
+  const second = await analyzeDocument(provider, { text: `${LEASE}\n`, cache });
+  assert.equal(first.cache.status, 'miss');
+  assert.equal(second.cache.status, 'hit');
+  assert.ok(second.cache.cachedAt);
+  assert.equal(second.analysis.simplified, 'Pay rent monthly.');
+  assert.equal(provider.calls, 1);
+
+  const bypassed = await analyzeDocument(provider, { text: LEASE, cache, bypassCache: true });
+  assert.equal(bypassed.cache.status, 'bypass');
+  assert.equal(provider.calls, 2);
+
+  const other = await analyzeDocument(provider, { text: LEASE, cache, outputLanguage: 'es' });
+  assert.equal(other.cache.status, 'miss');
+  assert.equal(provider.calls, 3);
+
+  const uncached = await analyzeDocument(provider, { text: LEASE });
+  assert.equal(uncached.cache.status, 'off');
+}));
+
+test('a bypass stores the fresh analysis for the next request', withDatabase(async db => {
+  const cache = createAnalysisCache(db, { ttlMs: 60000, maxEntries: 10 });
+  await analyzeDocument(countingProvider('Old summary.'), { text: LEASE, cache });
+  await analyzeDocument(countingProvider('New summary.'), { text: LEASE, cache, bypassCache: true });
+
+  const { analysis, cache: cacheInfo } = await analyzeDocument(countingProvider('Unused.'), { text: LEASE, cache });
+  assert.equal(cacheInfo.status, 'hit');
+  assert.equal(analysis.simplified, 'New summary.');
+}));
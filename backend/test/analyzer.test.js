@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeDocument } = require('../lib/analyzer');
+const { loadRules } = require('../lib/rules');
+const { EmptyDocumentError } = require('../lib/extract');
+
+const rules = loadRules();
+
+const LEASE = [
+  '1. Term. This Lease renews automatically for successive one-year terms.',
+  '',
+  '2. Indemnification. Tenant shall indemnify Landlord against all claims.',
+  '',
+  '3. Disputes. Any dispute shall be resolved by binding arbitration.'
+].join('\n');
+
+/**
+ * A provider whose every reply is the given analysis
+ */
+function fakeProvider(analysis) {
+  return {
+    name: 'fake',
+    model: 'test',
+    generate: async () => JSON.stringify(analysis)
+  };
+}
+
+function modelAnalysis(riskFactors) {
+  return {
+    simplified: 'A one-year lease.',
+    riskAssessment: { overallRisk: 'low', riskFactors },
+    keyTerms: [],
+    actionItems: [],
+    warnings: []
+  };
+}
+
+async function riskFactorsFor(riskFactors) {
+  const { analysis } = await analyzeDocument(fakeProvider(modelAnalysis(riskFactors)), { text: LEASE, rules });
+  return analysis.riskAssessment.riskFactors;
+}
+
+test('a rule finding on a clause the model quoted is folded into its risk factor', async () => {
+  const factors = await riskFactorsFor([
+    { clause: 'Tenant shall indemnify Landlord against all claims.', risk: 'low', explanation: 'Tenant covers claims.' }
+  ]);
+
+  const indemnity = factors.filter(factor => /indemnif/i.test(factor.clause));
+  assert.equal(indemnity.length, 1);
+  assert.equal(indemnity[0].source, 'model');
+  assert.equal(indemnity[0].risk, 'high');
+  assert.deepEqual(indemnity[0].ruleIds, ['indemnification']);
+});
+
+test('a model factor that only names the clause is matched to the rule by title', async () => {
+  const factors = await riskFactorsFor([
+    { clause: 'Automatic renewal', risk: 'low', explanation: 'The lease renews unless cancelled.' },
+    { clause: 'Auto-renewal of the term', risk: 'low', explanation: 'Same clause, other wording.' }
+  ]);
+
+  const renewal = factors.filter(factor => factor.ruleIds && factor.ruleIds.includes('auto-renewal'));
+  assert.equal(renewal.length, 1);
+  assert.equal(renewal[0].clause, 'Automatic renewal');
+  assert.equal(renewal[0].location, null);
+  assert.equal(renewal[0].risk, 'medium');
+  assert.equal(factors.filter(factor => factor.ruleId === 'auto-renewal').length, 0);
+});
+
+test('a model factor can name the rule it is about by id', async () => {
+  const factors = await riskFactorsFor([
+    { clause: 'Disputes go to a private tribunal', risk: 'medium', explanation: 'No court.', category: 'mandatory-arbitration' }
+  ]);
+
+  const arbitration = factors.filter(factor =>
+    factor.ruleId === 'mandatory-arbitration' || (factor.ruleIds || []).includes('mandatory-arbitration'));
+  assert.equal(arbitration.length, 1);
+  assert.equal(arbitration[0].source, 'model');
+});
+
+test('rule findings the model missed are added as rule factors', async () => {
+  const factors = await riskFactorsFor([]);
+  assert.deepEqual(
+    factors.map(factor => [factor.source, factor.ruleId]),
+    [['rule', 'auto-renewal'], ['rule', 'indemnification'], ['rule', 'mandatory-arbitration']]
+  );
+});
+
+test('whitespace-only text is refused instead of returning an empty analysis', async () => {
+  let calls = 0;
+  const provider = { name: 'fake', model: 'test', generate: async () => { calls++; return '{}'; } };
+
+  await assert.rejects(analyzeDocument(provider, { text: ' \n\t\n ', rules }), EmptyDocumentError);
+  assert.equal(calls, 0);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { anchorAnalysis, locate, tokenize, pageAt } = require('../lib/anchors');
+
+const TEXT = [
+  'LEASE AGREEMENT',
+  '',
+  '4. Late Fees. If rent is not received by the 5th, Tenant shall pay a late fee of $75.',
+  '',
+  '9. Entry. Landlord may enter the Premises at any time without notice to Tenant.'
+].join('\n');
+
+const PAGES = [
+  { page: 1, start: 0, end: TEXT.indexOf('9. Entry') - 1 },
+  { page: 2, start: TEXT.indexOf('9. Entry'), end: TEXT.length }
+];
+
+const spanOf = location => TEXT.slice(location.start, location.end);
+
+test('words are lowercased with their character offsets', () => {
+  assert.deepEqual(tokenize('Pay $75, Tenant’s fee'), [
+    { word: 'pay', start: 0, end: 3 },
+    { word: '75', start: 5, end: 7 },
+    { word: 'tenant', start: 9, end: 15 },
+    { word: 's', start: 16, end: 17 },
+    { word: 'fee', start: 18, end: 21 }
+  ]);
+});
+
+test('a snippet is found verbatim despite case, punctuation and line breaks', () => {
+  const found = locate(tokenize(TEXT), 'landlord may enter the premises\nAT ANY TIME');
+
+  assert.equal(found.match, 'exact');
+  assert.equal(found.score, 1);
+  assert.equal(spanOf(found), 'Landlord may enter the Premises at any time');
+});
+
+test('a paraphrased snippet is placed on the passage sharing most of its words', () => {
+  const found = locate(tokenize(TEXT), 'Tenant shall pay a $75 late fee if rent is late');
+
+  assert.equal(found.match, 'fuzzy');
+  assert.ok(found.score >= 0.6 && found.score < 1, `score ${found.score}`);
+  assert.equal(spanOf(found), 'Tenant shall pay a late fee of $75');
+});
+
+test('short or unrelated snippets are not placed', () => {
+  const tokens = tokenize(TEXT);
+  assert.equal(locate(tokens, 'late charges'), null);
+  assert.equal(locate(tokens, 'The guarantor waives all defenses to payment'), null);
+  assert.equal(locate(tokens, ''), null);
+  assert.equal(locate(tokens, undefined), null);
+});
+
+test('offsets are mapped to the page that contains them', () => {
+  assert.equal(pageAt(0, PAGES), 1);
+  assert.equal(pageAt(TEXT.indexOf('Landlord'), PAGES), 2);
+  assert.equal(pageAt(TEXT.length + 10, PAGES), null);
+  assert.equal(pageAt(5, undefined), null);
+});
+
+test('every risk factor, term, action and obligation gets a location', () => {
+  const anchored = anchorAnalysis({
+    simplified: 'Summary.',
+    riskAssessment: {
+      overallRisk: 'high',
+      riskFactors: [{ clause: 'Landlord may enter the Premises at any time without notice', risk: 'high' }]
+    },
+    keyTerms: [{ term: 'Late Fees' }, { term: 'Security deposit' }],
+    actionItems: [{ action: 'Pay rent by the 5th' }],
+    obligations: [{ clause: 'Tenant shall pay a late fee of $75', obligor: 'Tenant' }]
+  }, TEXT, PAGES);
+
+  const [factor] = anchored.riskAssessment.riskFactors;
+  assert.equal(anchored.simplified, 'Summary.');
+  assert.equal(anchored.riskAssessment.overallRisk, 'high');
+  assert.equal(factor.location.page, 2);
+  assert.equal(spanOf(factor.location), 'Landlord may enter the Premises at any time without notice');
+  assert.equal(anchored.keyTerms[0].location.page, 1);
+  assert.equal(anchored.keyTerms[1].location, null);
+  assert.equal(anchored.obligations[0].location.match, 'exact');
+  assert.equal(anchored.obligations[0].obligor, 'Tenant');
+});
+
+test('an analysis without obligations gets an empty list', () => {
+  const anchored = anchorAnalysis({ riskAssessment: { riskFactors: [] }, keyTerms: [], actionItems: [] }, TEXT);
+  assert.deepEqual(anchored.obligations, []);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase } = require('../lib/store/db');
+const { createApiKeyStore, quotaDay } = require('../lib/store/apiKeys');
+const { createApiKeyAuth, readApiKey } = require('../lib/auth');
+
+function fakeRequest(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { get: name => lower[name.toLowerCase()] };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+function withKeyStore(fn) {
+  return () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'legal-simplifier-test-'));
+    const db = openDatabase(dir);
+    try {
+      fn(createApiKeyStore(db));
+    } finally {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test('the key is read from X-API-Key or a bearer token', () => {
+  assert.equal(readApiKey(fakeRequest({ 'X-API-Key': ' lds_abc ' })), 'lds_abc');
+  assert.equal(readApiKey(fakeRequest({ Authorization: 'Bearer lds_xyz' })), 'lds_xyz');
+  assert.equal(readApiKey(fakeRequest({ Authorization: 'Basic dXNlcg==' })), null);
+});
+
+test('a missing, unknown or revoked key is rejected when keys are required', withKeyStore(store => {
+  const auth = createApiKeyAuth({ store, required: true });
+  const { key, apiKey } = store.create({ name: 'App', rateLimit: 30, dailyQuota: 5 });
+  const attempt = headers => {
+    const req = fakeRequest(headers);
+    const res = fakeResponse();
+    let passed = false;
+    auth.authenticate(req, res, () => { passed = true; });
+    return { req, res, passed };
+  };
+
+  assert.equal(attempt({}).res.statusCode, 401);
+  assert.equal(attempt({ 'X-API-Key': 'lds_wrong' }).res.statusCode, 401);
+
+  const ok = attempt({ 'X-API-Key': key });
+  assert.ok(ok.passed);
+  assert.equal(ok.req.apiKey.id, apiKey.id);
+
+  store.revoke(apiKey.id);
+  assert.match(attempt({ 'X-API-Key': key }).res.body.message, /revoked/);
+}));
+
+test('without required keys, keyless requests pass but a wrong key does not', withKeyStore(store => {
+  const auth = createApiKeyAuth({ store, required: false });
+  let passed = false;
+  auth.authenticate(fakeRequest(), fakeResponse(), () => { passed = true; });
+  assert.ok(passed);
+
+  const res = fakeResponse();
+  auth.authenticate(fakeRequest({ 'X-API-Key': 'lds_wrong' }), res, () => assert.fail('should not pass'));
+  assert.equal(res.statusCode, 401);
+}));
+
+test('chargeQuota counts analyses and refuses once the daily quota is used up', withKeyStore(store => {
+  const auth = createApiKeyAuth({ store });
+  const { apiKey } = store.create({ name: 'App', rateLimit: 30, dailyQuota: 3 });
+  const req = { apiKey };
+
+  const first = fakeResponse();
+  assert.equal(auth.chargeQuota(req, first, 2), true);
+  assert.equal(first.headers['X-Daily-Quota-Remaining'], '1');
+
+  // A batch larger than what is left is refused as a whole and uses nothing
+  const batch = fakeResponse();
+  assert.equal(auth.chargeQuota(req, batch, 2), false);
+  assert.equal(batch.statusCode, 429);
+  assert.match(batch.body.message, /needs 2 analyses/);
+  assert.equal(store.usageOn(apiKey.id, quotaDay()), 2);
+
+  assert.equal(auth.chargeQuota(req, fakeResponse()), true);
+  const spent = fakeResponse();
+  assert.equal(auth.chargeQuota(req, spent), false);
+  assert.ok(Number(spent.headers['Retry-After']) > 0);
+  assert.equal(store.usageOn(apiKey.id, quotaDay()), 3);
+}));
+
+test('requests without a key are not counted', withKeyStore(store => {
+  const auth = createApiKeyAuth({ store, required: false });
+  const res = fakeResponse();
+  assert.equal(auth.chargeQuota({}, res, 10), true);
+  assert.deepEqual(res.headers, {});
+}));
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { expandBatchUpload, isZipUpload, BatchError } = require('../lib/batch');
+
+const KB = 1024;
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'legal-simplifier-test-'));
+}
+
+/**
+ * Writes a ZIP of `entries` (name -> contents) as a multer-like upload
+ */
+async function zipUpload(dir, originalname, entries) {
+  const zip = new JSZip();
+  Object.entries(entries).forEach(([name, contents]) => zip.file(name, contents));
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  return writeUpload(dir, originalname, buffer);
+}
+
+function writeUpload(dir, originalname, buffer) {
+  const uploadPath = path.join(dir, `upload-${originalname}`);
+  fs.writeFileSync(uploadPath, buffer);
+  return { path: uploadPath, originalname, size: buffer.length, mimetype: 'application/zip' };
+}
+
+/**
+ * Rewrites the uncompressed size every header of a ZIP declares, as a
+ * crafted archive would
+ */
+function declareSize(buffer, size) {
+  for (let i = 0; i < buffer.length - 4; i++) {
+    const signature = buffer.readUInt32LE(i);
+    if (signature === 0x04034b50) buffer.writeUInt32LE(size, i + 22);
+    if (signature === 0x02014b50) buffer.writeUInt32LE(size, i + 24);
+  }
+  return buffer;
+}
+
+function withDirs(fn) {
+  return async () => {
+    const uploads = tempDir();
+    const outputDir = tempDir();
+    try {
+      await fn({ uploads, outputDir });
+    } finally {
+      fs.rmSync(uploads, { recursive: true, force: true });
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  };
+}
+
+const LIMITS = { maxDocuments: 10, maxDocumentBytes: 64 * KB, maxArchiveBytes: 256 * KB };
+
+test('a .docx is a document, not an archive to unpack', () => {
+  assert.equal(isZipUpload({ originalname: 'packet.zip' }), true);
+  assert.equal(isZipUpload({ originalname: 'lease.docx', mimetype: 'application/zip' }), false);
+  assert.equal(isZipUpload({ originalname: 'upload', mimetype: 'application/x-zip-compressed' }), true);
+});
+
+test('archives are unpacked and entries that cannot be analyzed are skipped', withDirs(async ({ uploads, outputDir }) => {
+  const archive = await zipUpload(uploads, 'packet.zip', {
+    'lease.txt': 'The Tenant shall pay rent.',
+    'nda/nda.md': '# NDA',
+    'photo.exe': 'MZ',
+    'inner.zip': 'PK',
+    '__MACOSX/._lease.txt': 'junk',
+    '.DS_Store': 'junk'
+  });
+  const loose = writeUpload(uploads, 'loose.txt', Buffer.from('Loose document'));
+
+  const { documents, skipped } = await expandBatchUpload([archive, loose], { outputDir, ...LIMITS });
+
+  assert.deepEqual(documents.map(document => document.originalname).sort(), ['loose.txt', 'packet.zip/lease.txt', 'packet.zip/nda/nda.md']);
+  const lease = documents.find(document => document.originalname === 'packet.zip/lease.txt');
+  assert.equal(fs.readFileSync(lease.path, 'utf8'), 'The Tenant shall pay rent.');
+  assert.equal(lease.size, 26);
+  assert.deepEqual(skipped.map(entry => entry.fileName).sort(), ['packet.zip/inner.zip', 'packet.zip/photo.exe']);
+  assert.equal(fs.existsSync(archive.path), false);
+}));
+
+test('an entry over the per-document limit is skipped and leaves no file behind', withDirs(async ({ uploads, outputDir }) => {
+  const archive = await zipUpload(uploads, 'packet.zip', {
+    'big.txt': 'a'.repeat(200 * KB),
+    'small.txt': 'fine'
+  });
+
+  const { documents, skipped } = await expandBatchUpload([archive], { outputDir, ...LIMITS, maxArchiveBytes: 1024 * KB });
+
+  assert.deepEqual(documents.map(document => document.originalname), ['packet.zip/small.txt']);
+  assert.match(skipped[0].reason, /limit for one document/);
+  assert.equal(fs.readdirSync(outputDir).length, 1);
+}));
+
+test('the size an archive declares is not trusted', withDirs(async ({ uploads, outputDir }) => {
+  const zip = new JSZip();
+  zip.file('large.txt', crypto.randomBytes(512 * KB));
+  zip.file('bomb.txt', 'a'.repeat(2 * 1024 * KB));
+  const buffer = declareSize(await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }), 10);
+  const archive = writeUpload(uploads, 'crafted.zip', buffer);
+  const loose = writeUpload(uploads, 'loose.txt', Buffer.from('Loose document'));
+
+  const { documents, skipped } = await expandBatchUpload([archive, loose], { outputDir, ...LIMITS, maxArchiveBytes: 4096 * KB });
+
+  assert.deepEqual(documents.map(document => document.originalname), ['loose.txt']);
+  assert.deepEqual(skipped.map(entry => entry.fileName), ['crafted.zip/large.txt', 'crafted.zip/bomb.txt']);
+  assert.match(skipped[0].reason, /limit for one document/);
+  assert.deepEqual(fs.readdirSync(outputDir), []);
+}));
+
+test('archives that unpack to more than the batch allows are refused and cleaned up', withDirs(async ({ uploads, outputDir }) => {
+  const entries = {};
+  for (let i = 1; i <= 5; i++) entries[`doc-${i}.txt`] = String(i).repeat(60 * KB);
+  const archive = await zipUpload(uploads, 'packet.zip', entries);
+
+  await assert.rejects(
+    expandBatchUpload([archive], { outputDir, ...LIMITS, maxArchiveBytes: 200 * KB }),
+    error => error instanceof BatchError && /unpack to more than/.test(error.message)
+  );
+  assert.deepEqual(fs.readdirSync(outputDir), []);
+}));
+
+test('a batch with nothing to analyze or too many documents is refused', withDirs(async ({ uploads, outputDir }) => {
+  const empty = await zipUpload(uploads, 'empty.zip', { 'photo.exe': 'MZ' });
+  await assert.rejects(expandBatchUpload([empty], { outputDir, ...LIMITS }), /no documents that can be analyzed/);
+
+  const many = await zipUpload(uploads, 'many.zip', { 'a.txt': 'a', 'b.txt': 'b', 'c.txt': 'c' });
+  await assert.rejects(expandBatchUpload([many], { outputDir, ...LIMITS, maxDocuments: 2 }), /at most 2 documents/);
+  assert.deepEqual(fs.readdirSync(outputDir), []);
+}));
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitIntoChunks, pageRangeFor, findSectionBoundaries } = require('../lib/chunker');
+
+function section(number, title, sentences) {
+  return `${number}. ${title}\n${'This clause sets out the obligations of the parties in detail. '.repeat(sentences)}\n\n`;
+}
+
+test('a short document is a single chunk', () => {
+  const chunks = splitIntoChunks('The tenant pays rent monthly.', { maxChars: 1000 });
+  assert.equal(chunks.length, 1);
+  assert.deepEqual(chunks[0], { index: 0, start: 0, end: 29, text: 'The tenant pays rent monthly.' });
+});
+
+test('chunks cover the whole text without gaps or overlaps', () => {
+  const text = [1, 2, 3, 4, 5, 6].map(n => section(n, 'Terms', 8)).join('');
+  const chunks = splitIntoChunks(text, { maxChars: 1200 });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks[chunks.length - 1].end, text.length);
+  chunks.forEach((chunk, i) => {
+    assert.ok(chunk.text.length <= 1200);
+    assert.equal(chunk.text, text.slice(chunk.start, chunk.end));
+    if (i > 0) assert.equal(chunk.start, chunks[i - 1].end);
+  });
+});
+
+test('chunks end on section headings when one is in reach', () => {
+  const text = [1, 2, 3, 4].map(n => section(n, 'Payment', 10)).join('');
+  const boundaries = findSectionBoundaries(text);
+  const chunks = splitIntoChunks(text, { maxChars: 1500 });
+
+  chunks.slice(1).forEach(chunk => assert.ok(boundaries.includes(chunk.start), `chunk starts at ${chunk.start}`));
+  chunks.slice(1).forEach(chunk => assert.match(chunk.text, /^\d+\. Payment/));
+});
+
+test('recognizes article, section and numbered headings', () => {
+  const text = 'Preamble\nARTICLE 1\nText.\nSection 2.1 Scope\nText.\n3. Term\nText.';
+  const headings = findSectionBoundaries(text).map(offset => text.slice(offset).split('\n')[0]);
+  assert.deepEqual(headings, ['ARTICLE 1', 'Section 2.1 Scope', '3. Term']);
+});
+
+test('text without any break is cut at the size limit', () => {
+  const chunks = splitIntoChunks('x'.repeat(2500), { maxChars: 1000 });
+  assert.deepEqual(chunks.map(c => c.text.length), [1000, 1000, 500]);
+});
+
+test('page ranges list the pages a span touches', () => {
+  const pages = [{ page: 1, start: 0, end: 100 }, { page: 2, start: 100, end: 200 }, { page: 3, start: 200, end: 300 }];
+  assert.deepEqual(pageRangeFor(50, 150, pages), { from: 1, to: 2 });
+  assert.deepEqual(pageRangeFor(210, 220, pages), { from: 3, to: 3 });
+  assert.equal(pageRangeFor(0, 10, []), null);
+});
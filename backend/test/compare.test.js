@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitClauses, diffClauses, diffWords, attachRiskChanges } = require('../lib/compare');
+
+const ORIGINAL = [
+  '1. Rent. Tenant shall pay rent of $1,000 each month.',
+  '',
+  '2. Deposit. Tenant shall pay a deposit of one month of rent.',
+  '',
+  '3. Pets. No pets are allowed on the premises.'
+].join('\n');
+
+const REVISED = [
+  '1. Rent. Tenant shall pay rent of $1,200 each month.',
+  '',
+  '2. Deposit. Tenant shall pay a deposit of one month of rent.',
+  '',
+  '4. Subletting. Tenant may not sublet without written consent.'
+].join('\n');
+
+function changeOf(changes, type) {
+  return changes.filter(change => change.type === type);
+}
+
+test('clauses are split at headings and keyed by their number', () => {
+  const clauses = splitClauses(ORIGINAL);
+  assert.deepEqual(clauses.map(clause => clause.key), ['1', '2', '3']);
+  clauses.forEach(clause => assert.equal(ORIGINAL.slice(clause.start, clause.end), clause.text));
+});
+
+test('clauses are paired by number and classified', () => {
+  const changes = diffClauses(ORIGINAL, REVISED);
+
+  assert.deepEqual(changes.map(change => change.type), ['modified', 'unchanged', 'added', 'removed']);
+  const [modified] = changeOf(changes, 'modified');
+  assert.ok(modified.similarity > 0.8);
+  assert.deepEqual(
+    modified.diff.filter(segment => segment.type !== 'equal'),
+    [{ type: 'delete', text: '$1,000' }, { type: 'insert', text: '$1,200' }]
+  );
+  assert.match(changeOf(changes, 'removed')[0].original.text, /^3\. Pets/);
+  assert.match(changeOf(changes, 'added')[0].revised.text, /^4\. Subletting/);
+});
+
+test('renumbered clauses are paired by their wording', () => {
+  const renumbered = ORIGINAL.replace('3. Pets.', '7. Pets.');
+  const changes = diffClauses(ORIGINAL, renumbered);
+
+  assert.deepEqual(changes.map(change => change.type), ['unchanged', 'unchanged', 'modified']);
+  assert.equal(changes[2].original.start, ORIGINAL.indexOf('3. Pets'));
+});
+
+test('whitespace and case changes leave a clause unchanged', () => {
+  const reflowed = ORIGINAL.replace('No pets are allowed', 'NO PETS   are\nallowed');
+  assert.deepEqual(changeOf(diffClauses(ORIGINAL, reflowed), 'modified'), []);
+});
+
+test('word diffs mark what was deleted and inserted', () => {
+  assert.deepEqual(diffWords('pay within 30 days', 'pay within 10 days'), [
+    { type: 'equal', text: 'pay within ' },
+    { type: 'delete', text: '30' },
+    { type: 'insert', text: '10' },
+    { type: 'equal', text: ' days' }
+  ]);
+});
+
+test('risk changes come from the risk factors anchored inside each clause', () => {
+  const changes = diffClauses(ORIGINAL, REVISED);
+  const rentStart = REVISED.indexOf('1. Rent');
+  const analysis = riskFactors => ({ riskAssessment: { riskFactors } });
+
+  const withRisk = attachRiskChanges(
+    changes,
+    analysis([{ risk: 'low', location: { start: 0, end: 20 } }]),
+    analysis([
+      { risk: 'high', location: { start: rentStart + 5, end: rentStart + 30 } },
+      { risk: 'medium', location: null }
+    ])
+  );
+
+  assert.deepEqual(withRisk[0].risk, { before: 'low', after: 'high', change: 'increased' });
+  assert.deepEqual(withRisk[1].risk, { before: 'none', after: 'none', change: 'unchanged' });
+  assert.deepEqual(changeOf(withRisk, 'added')[0].risk, { before: 'none', after: 'none', change: 'unchanged' });
+});
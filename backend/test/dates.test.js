@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractTimeline, resolveDeadline, parseIsoDate, addPeriod } = require('../lib/dates');
+
+const LEASE = `RESIDENTIAL LEASE AGREEMENT
+
+This Lease is effective as of March 1, 2025 between Landlord and Tenant.
+
+1. Term. The lease term is twelve (12) months.
+
+2. Rent. Tenant shall pay rent on the first day of each month. Upon signing, Tenant shall give notice of any pets and payment of two months' rent as a deposit.
+
+3. Renewal. This Lease renews automatically unless Tenant gives written notice 60 days before the end of the term.
+
+4. Termination. Either party may terminate on thirty (30) days' prior written notice.`;
+
+function eventsOf(timeline, kind) {
+  return timeline.events.filter(event => event.kind === kind);
+}
+
+test('"effective as of" sets the effective date', () => {
+  const timeline = extractTimeline(LEASE);
+  assert.equal(timeline.effectiveDate, '2025-03-01');
+  assert.equal(timeline.effectiveDateSource, 'document');
+  assert.equal(eventsOf(timeline, 'effective')[0].label, 'Effective date');
+  assert.equal(eventsOf(timeline, 'deadline').length, 0);
+});
+
+test('"made effective" is an effective date too', () => {
+  const timeline = extractTimeline('This Agreement is made effective on 2024-07-15 by the parties.');
+  assert.equal(timeline.effectiveDate, '2024-07-15');
+});
+
+test('"the term is N months" sets the end of the term', () => {
+  assert.equal(extractTimeline(LEASE).termEnd, '2026-03-01');
+  assert.equal(extractTimeline('Effective Date: January 1, 2024. The term of this Agreement shall be two (2) years.').termEnd, '2026-01-01');
+  assert.equal(extractTimeline('Effective Date: January 1, 2024. An initial term of 6 months applies.').termEnd, '2024-07-01');
+});
+
+test('deadlines counted from the end of the term resolve', () => {
+  const [renewal] = eventsOf(extractTimeline(LEASE), 'notice').filter(event => event.relative.anchor === 'termEnd');
+  assert.equal(renewal.label, 'Notice deadline: 60 days before the end of the term');
+  assert.equal(renewal.date, '2025-12-31');
+});
+
+test('an effective date passed in moves the term-relative deadlines', () => {
+  const timeline = extractTimeline(LEASE, { effectiveDate: '2025-04-01' });
+  assert.equal(timeline.effectiveDateSource, 'user');
+  assert.equal(timeline.termEnd, '2026-04-01');
+  const renewal = timeline.events.find(event => event.relative && event.relative.anchor === 'termEnd');
+  assert.equal(renewal.date, '2026-01-31');
+});
+
+test('only periods tied to notice are notice deadlines', () => {
+  const labels = eventsOf(extractTimeline(LEASE), 'notice').map(event => event.label);
+  assert.deepEqual(labels, [
+    'Notice deadline: 60 days before the end of the term',
+    "Notice deadline: 30 days' notice"
+  ]);
+});
+
+test('durations, rent and deposit amounts are not deadlines', () => {
+  const text = 'Tenant shall give notice of moving in. The deposit equals two months of rent. The term is one (1) year.';
+  assert.equal(extractTimeline(text).events.filter(event => event.relative).length, 0);
+});
+
+test('"within" windows and "at least N days before" are deadlines', () => {
+  const text = 'Invoices are payable within ten (10) business days. Notice must be given at least 30 days before the expiration of the term.';
+  const relative = extractTimeline(text).events.filter(event => event.relative).map(event => event.relative);
+  assert.deepEqual(relative.map(r => [r.amount, r.business, r.direction, r.anchor]), [
+    [10, true, 'within', null],
+    [30, false, 'before', 'termEnd']
+  ]);
+});
+
+test('action item deadlines resolve against the effective date', () => {
+  const context = { effectiveDate: parseIsoDate('2025-03-01'), termEnd: null };
+  assert.equal(resolveDeadline('Within 30 days of the effective date', context), '2025-03-31');
+  assert.equal(resolveDeadline('By June 5, 2025', context), '2025-06-05');
+  assert.equal(resolveDeadline('Before signing', context), '2025-03-01');
+  assert.equal(resolveDeadline('As soon as possible', context), null);
+});
+
+test('dates are validated and periods clamp to the end of the month', () => {
+  assert.equal(parseIsoDate('2025-02-30'), null);
+  assert.equal(parseIsoDate('not a date'), null);
+  assert.equal(addPeriod(parseIsoDate('2024-01-31'), { amount: 1, unit: 'month' }).toISOString().slice(0, 10), '2024-02-29');
+  // Friday plus one business day is Monday
+  assert.equal(addPeriod(parseIsoDate('2025-03-07'), { amount: 1, unit: 'day', business: true }).toISOString().slice(0, 10), '2025-03-10');
+});
+
+test('a numeric date that reads both ways is left undated instead of guessed', () => {
+  const timeline = extractTimeline('This Lease is effective as of 01/04/2025.');
+  const [event] = eventsOf(timeline, 'effective');
+
+  assert.equal(timeline.dateOrder, null);
+  assert.equal(timeline.effectiveDate, null);
+  assert.equal(event.date, null);
+  assert.deepEqual(event.possibleDates, ['2025-01-04', '2025-04-01']);
+  assert.match(event.label, /order unclear/);
+});
+
+test('numeric dates are read in the order asked for, or the one of the document language', () => {
+  const text = 'This Lease is effective as of 01/04/2025.';
+  assert.equal(extractTimeline(text, { dateOrder: 'dmy' }).effectiveDate, '2025-04-01');
+  assert.equal(extractTimeline(text, { dateOrder: 'mdy' }).effectiveDate, '2025-01-04');
+  assert.equal(extractTimeline(text, { language: 'hi' }).effectiveDate, '2025-04-01');
+  assert.equal(extractTimeline(text, { language: 'en' }).effectiveDate, null);
+  assert.equal(extractTimeline(text, { language: 'es', dateOrder: 'mdy' }).effectiveDate, '2025-01-04');
+  assert.equal(extractTimeline('Effective date: 01.04.2025', { language: 'de' }).effectiveDate, '2025-04-01');
+});
+
+test('a numeric date only one order can read needs no order', () => {
+  assert.equal(extractTimeline('This Lease is effective as of 25/04/2025.').effectiveDate, '2025-04-25');
+  assert.equal(extractTimeline('This Lease is effective as of 04/25/2025.').effectiveDate, '2025-04-25');
+  assert.equal(extractTimeline('This Lease is effective as of 03/03/2025.').effectiveDate, '2025-03-03');
+  assert.equal(resolveDeadline('By 01/04/2025', { effectiveDate: null, termEnd: null }), null);
+  assert.equal(resolveDeadline('By 01/04/2025', { effectiveDate: null, termEnd: null, dateOrder: 'dmy' }), '2025-04-01');
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { groundAnalysis } = require('../lib/grounding');
+const { analyzeDocument } = require('../lib/analyzer');
+
+const TEXT = 'The Tenant shall pay a late fee of 5% when rent is overdue. The Landlord may enter the premises with notice.';
+
+function analysis({ riskFactors = [], keyTerms = [], warnings = [] }) {
+  return {
+    simplified: 'Summary',
+    riskAssessment: { overallRisk: 'medium', riskFactors },
+    keyTerms,
+    actionItems: [],
+    warnings
+  };
+}
+
+test('anchored items are verified or paraphrased by how they were found', () => {
+  const grounded = groundAnalysis(analysis({
+    riskFactors: [
+      { clause: 'late fee of 5%', location: { start: 22, end: 36, score: 1, match: 'exact' } },
+      { clause: 'Landlord can come in', location: { start: 60, end: 100, score: 0.8, match: 'fuzzy' } }
+    ]
+  }), TEXT);
+
+  assert.deepEqual(grounded.riskAssessment.riskFactors.map(f => f.grounding), [
+    { status: 'verified', score: 1 },
+    { status: 'paraphrased', score: 0.8 }
+  ]);
+});
+
+test('unanchored items are checked against the words of the document', () => {
+  const grounded = groundAnalysis(analysis({
+    keyTerms: [{ term: 'Late fee', location: null }],
+    warnings: ['Overdue rent triggers a late fee.', 'The deposit is forfeited on early termination.']
+  }), TEXT);
+
+  assert.equal(grounded.keyTerms[0].grounding.status, 'paraphrased');
+  assert.deepEqual(grounded.grounding.warnings.map(w => w.status), ['paraphrased', 'unsupported']);
+  assert.equal(grounded.grounding.unsupported, 1);
+  assert.equal(grounded.grounding.score, 0.33);
+});
+
+test('translated warnings are left unchecked and do not lower the score', () => {
+  const grounded = groundAnalysis(analysis({
+    riskFactors: [{ clause: 'late fee of 5%', location: { start: 22, end: 36, score: 1, match: 'exact' } }],
+    warnings: ['El inquilino paga un recargo del 5% si se retrasa.']
+  }), TEXT, { translated: true });
+
+  assert.deepEqual(grounded.grounding.warnings, [{ status: 'unchecked', score: null }]);
+  assert.equal(grounded.grounding.unchecked, 1);
+  assert.equal(grounded.grounding.unsupported, 0);
+  assert.equal(grounded.grounding.score, 1);
+});
+
+test('an analysis in another language than the document leaves its warnings unchecked', async () => {
+  const reply = analysis({ warnings: ['El inquilino paga un recargo si se retrasa con la renta.'] });
+  const provider = { name: 'fake', model: 'test', generate: async () => JSON.stringify(reply) };
+
+  const { analysis: translated } = await analyzeDocument(provider, { text: TEXT, outputLanguage: 'es' });
+  assert.equal(translated.grounding.warnings[0].status, 'unchecked');
+
+  const { analysis: sameLanguage } = await analyzeDocument(provider, { text: TEXT });
+  assert.equal(sameLanguage.grounding.warnings[0].status, 'unsupported');
+});
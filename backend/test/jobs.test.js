@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase } = require('../lib/store/db');
+const { createJobStore } = require('../lib/store/jobs');
+const { createJobQueue, isTransientError } = require('../lib/jobs');
+
+function withStore(fn) {
+  return async t => {
+    ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'legal-simplifier-test-'));
+    const db = openDatabase(dir);
+    try {
+      await fn(createJobStore(db));
+    } finally {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the job queue');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+function isDone(store, id) {
+  return () => ['succeeded', 'failed'].includes(store.get(id).status);
+}
+
+test('rate limits, server errors and dropped connections are transient', () => {
+  assert.equal(isTransientError(httpError(429)), true);
+  assert.equal(isTransientError(httpError(503)), true);
+  assert.equal(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isTransientError(new Error('fetch failed', { cause: { code: 'UND_ERR_SOCKET' } })), true);
+  assert.equal(isTransientError(Object.assign(new Error('timeout'), { name: 'TimeoutError' })), true);
+  assert.equal(isTransientError(httpError(400)), false);
+  assert.equal(isTransientError(new Error('Unparseable reply')), false);
+  assert.equal(isTransientError(null), false);
+});
+
+test('a transient failure is retried with a growing delay', withStore(async store => {
+  const delays = [];
+  const retry = store.retry;
+  store.retry = (id, runAfter, error) => {
+    delays.push(Date.parse(runAfter) - Date.now());
+    retry(id, runAfter, error);
+  };
+  const lastAttempts = [];
+  const finished = [];
+  const queue = createJobQueue({
+    store,
+    maxAttempts: 3,
+    retryDelayMs: 40,
+    pollMs: 5,
+    handlers: {
+      analyze: async (job, { isLastAttempt }) => {
+        lastAttempts.push(isLastAttempt);
+        if (job.attempts < 3) throw httpError(503);
+        return { ok: true };
+      }
+    },
+    onFinished: job => finished.push(job.id)
+  });
+
+  queue.start();
+  const job = queue.enqueue('analyze', { text: 'x' });
+  try {
+    await waitFor(isDone(store, job.id));
+  } finally {
+    queue.stop();
+  }
+
+  const done = store.get(job.id);
+  assert.equal(done.status, 'succeeded');
+  assert.equal(done.attempts, 3);
+  assert.deepEqual(done.result, { ok: true });
+  assert.deepEqual(lastAttempts, [false, false, true]);
+  assert.equal(delays.length, 2);
+  assert.ok(delays[0] > 20 && delays[0] <= 40, `first delay ${delays[0]}ms`);
+  assert.ok(delays[1] > 60 && delays[1] <= 80, `second delay ${delays[1]}ms`);
+  assert.deepEqual(finished, [job.id]);
+}));
+
+test('a job fails at once on other errors and after its last attempt', withStore(async store => {
+  const finished = [];
+  const queue = createJobQueue({
+    store,
+    maxAttempts: 2,
+    retryDelayMs: 1,
+    pollMs: 5,
+    handlers: {
+      analyze: async job => {
+        throw job.input.transient ? httpError(429) : new Error('Unreadable document');
+      }
+    },
+    describeError: (error, job) => ({ message: error.message, jobType: job.type }),
+    onFinished: job => finished.push(job.id)
+  });
+
+  queue.start();
+  const bad = queue.enqueue('analyze', { transient: false });
+  const busy = queue.enqueue('analyze', { transient: true });
+  const unknown = queue.enqueue('translate', {});
+  try {
+    await waitFor(() => [bad, busy, unknown].every(job => isDone(store, job.id)()));
+  } finally {
+    queue.stop();
+  }
+
+  assert.deepEqual(
+    [bad, busy].map(job => store.get(job.id)).map(job => [job.status, job.attempts, job.error]),
+    [
+      ['failed', 1, { message: 'Unreadable document', jobType: 'analyze' }],
+      ['failed', 2, { message: 'HTTP 429', jobType: 'analyze' }]
+    ]
+  );
+  assert.match(store.get(unknown.id).error.message, /Unknown job type "translate"/);
+  assert.deepEqual(finished.sort(), [bad.id, busy.id, unknown.id].sort());
+}));
+
+test('jobs interrupted by a restart run again without using up an attempt', withStore(async store => {
+  const interrupted = store.create({ type: 'analyze', input: { text: 'x' } });
+  assert.equal(store.claimNext().id, interrupted.id);
+  assert.equal(store.get(interrupted.id).status, 'running');
+
+  const attempts = [];
+  const queue = createJobQueue({
+    store,
+    pollMs: 5,
+    handlers: {
+      analyze: async job => {
+        attempts.push(job.attempts);
+        return { ok: true };
+      }
+    }
+  });
+  queue.start();
+  try {
+    await waitFor(isDone(store, interrupted.id));
+  } finally {
+    queue.stop();
+  }
+
+  assert.equal(store.get(interrupted.id).status, 'succeeded');
+  assert.deepEqual(attempts, [1]);
+}));
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeParties, matchParties, attributeObligations } = require('../lib/parties');
+
+const PARTIES = [
+  { name: 'Acme Property LLC', role: 'Landlord', aliases: ['Landlord', 'Lessor'] },
+  { name: 'Jane Doe', role: 'Tenant', aliases: ['Tenant'] }
+];
+
+test('the same party found in several parts is merged with all its aliases', () => {
+  const merged = mergeParties([
+    { name: 'Acme Property LLC', aliases: ['the Landlord'] },
+    { name: 'Jane Doe', role: 'Tenant' },
+    { name: 'Landlord', role: 'Landlord', aliases: ['Lessor'] },
+    { name: 'ACME PROPERTY, LLC' }
+  ]);
+
+  assert.equal(merged.length, 2);
+  assert.deepEqual(merged[0], { name: 'Acme Property LLC', role: 'Landlord', aliases: ['the Landlord', 'Lessor'] });
+  assert.deepEqual(merged[1], { name: 'Jane Doe', role: 'Tenant', aliases: [] });
+});
+
+test('references match by name, alias or role, or by the parties they mention', () => {
+  const names = reference => matchParties(reference, PARTIES).map(party => party.name);
+
+  assert.deepEqual(names('the Lessor'), ['Acme Property LLC']);
+  assert.deepEqual(names('Jane Doe'), ['Jane Doe']);
+  assert.deepEqual(names('each party'), ['Acme Property LLC', 'Jane Doe']);
+  assert.deepEqual(names('Landlord and Tenant'), ['Acme Property LLC', 'Jane Doe']);
+  assert.deepEqual(names("the Landlord's agent"), ['Acme Property LLC']);
+  assert.deepEqual(names('the Guarantor'), []);
+  assert.deepEqual(names(''), []);
+});
+
+test('a role several parties share matches all of them, a name only its party', () => {
+  const parties = [
+    { name: 'Jane Doe', role: 'Tenant', aliases: [] },
+    { name: 'John Roe', role: 'Tenant', aliases: ['Co-Tenant'] }
+  ];
+  const names = reference => matchParties(reference, parties).map(party => party.name);
+
+  assert.deepEqual(names('the Tenant'), ['Jane Doe', 'John Roe']);
+  assert.deepEqual(names('Co-Tenant'), ['John Roe']);
+  assert.deepEqual(names('Jane Doe'), ['Jane Doe']);
+});
+
+test('obligations are linked to the ids of their parties', () => {
+  const analysis = attributeObligations({
+    parties: PARTIES,
+    obligations: [
+      { action: 'Pay rent monthly', obligor: 'Tenant', obligee: 'the Landlord' },
+      { action: 'Keep the premises insured', obligor: 'both parties', obligee: '' },
+      { action: 'Sign the guaranty', obligor: 'the Guarantor', obligee: 'Lessor' }
+    ],
+    simplified: 'Summary.'
+  });
+
+  assert.deepEqual(analysis.parties.map(party => party.id), ['party-1', 'party-2']);
+  assert.equal(analysis.simplified, 'Summary.');
+  assert.deepEqual(
+    analysis.obligations.map(obligation => [obligation.obligorIds, obligation.obligeeIds]),
+    [
+      [['party-2'], ['party-1']],
+      [['party-1', 'party-2'], []],
+      [[], ['party-1']]
+    ]
+  );
+});
+
+test('an analysis without parties or obligations gets empty lists', () => {
+  assert.deepEqual(attributeObligations({}), { parties: [], obligations: [] });
+});
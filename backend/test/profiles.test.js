@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadProfiles, checkClauses } = require('../lib/profiles');
+const { analyzeDocument } = require('../lib/analyzer');
+
+const profiles = loadProfiles();
+const lease = profiles.find(profile => profile.id === 'residential-lease');
+
+const ENGLISH_LEASE = [
+  'Residential Lease Agreement.',
+  'Tenant shall pay rent of $1,000 on the first day of each month.',
+  'Landlord may enter the premises at any time.'
+].join('\n');
+
+// A Spanish lease with the same terms plus the protections the English one lacks
+const SPANISH_LEASE = [
+  'Contrato de arrendamiento de vivienda entre el arrendador y el arrendatario.',
+  'El arrendatario pagará una renta de 1.000 euros el primer día de cada mes.',
+  'El arrendador devolverá el depósito dentro de los 30 días siguientes a la terminación.',
+  'El arrendador se encarga de las reparaciones y del mantenimiento de la vivienda.'
+].join('\n');
+
+const HINDI_LEASE = 'यह किराया समझौता मकान मालिक और किरायेदार के बीच है। किरायेदार हर महीने की पहली तारीख को किराया देगा। जमा राशि तीस दिनों में वापस की जाएगी।';
+
+function fakeProvider() {
+  const reply = { simplified: 'Resumen', riskAssessment: { overallRisk: 'low', riskFactors: [] }, keyTerms: [], actionItems: [], warnings: [] };
+  return { name: 'fake', model: 'test', generate: async () => JSON.stringify(reply) };
+}
+
+test('an English lease lists missing protections and unusual clauses', () => {
+  const checklist = checkClauses(ENGLISH_LEASE, lease, [], 'en');
+
+  assert.equal(checklist.available, true);
+  assert.deepEqual(checklist.present.map(item => item.id), ['lease-rent-due']);
+  assert.ok(checklist.missing.some(item => item.id === 'lease-deposit-return'));
+  assert.deepEqual(checklist.unusual.map(item => item.id), ['lease-entry-without-notice']);
+  assert.equal(checklist.unusual[0].clause, 'Landlord may enter the premises at any time.');
+});
+
+test('a document whose language is unknown is still checked', () => {
+  assert.equal(checkClauses(ENGLISH_LEASE, lease).available, true);
+});
+
+test('a document in another language is not checked instead of missing everything', () => {
+  const checklist = checkClauses(SPANISH_LEASE, lease, [], 'es');
+
+  assert.equal(checklist.available, false);
+  assert.match(checklist.reason, /English/);
+  assert.deepEqual([checklist.missing, checklist.unusual, checklist.present], [[], [], []]);
+});
+
+test('Spanish and Hindi leases come back with the checklist marked unavailable', async () => {
+  for (const text of [SPANISH_LEASE, HINDI_LEASE]) {
+    const { analysis, language } = await analyzeDocument(fakeProvider(), { text, profiles, documentType: 'residential-lease' });
+    assert.notEqual(language.detected.code, 'en');
+    assert.equal(analysis.clauseChecklist.available, false);
+    assert.deepEqual(analysis.clauseChecklist.missing, []);
+  }
+});
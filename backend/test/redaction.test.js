@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedactor, detectPii } = require('../lib/redaction');
+
+const CONTRACT = `This Lease is made between John Smith ("Tenant") and Acme Properties LLC.
+Tenant's email is john.smith@example.com and phone (555) 123-4567.
+Premises: 42 Maple Street, Springfield, IL 62704.
+Rent is paid to Account No. 12345678.
+Tenant's SSN is 123-45-6789. Card on file: 4111 1111 1111 1111.
+Signed: John Smith`;
+
+test('detectPii finds each kind of personal data, in order of appearance', () => {
+  assert.deepEqual(detectPii(CONTRACT).map(item => item.type), [
+    'person', 'email', 'phone', 'address', 'account', 'ssn', 'card', 'person'
+  ]);
+  const values = detectPii(CONTRACT).map(item => item.value);
+  assert.ok(values.includes('42 Maple Street, Springfield, IL 62704'));
+  assert.ok(values.includes('12345678'));
+});
+
+test('look-alikes are left alone', () => {
+  const text = 'Reference 1234 5678 9012 3456 applies. The fee is 1.5% per month. Account balance due.';
+  assert.deepEqual(detectPii(text), []);
+});
+
+test('every occurrence of a value gets the same placeholder', () => {
+  const redactor = createRedactor(CONTRACT);
+  const redacted = redactor.redact(CONTRACT);
+
+  assert.ok(!redacted.includes('John Smith'));
+  assert.ok(!redacted.includes('123-45-6789'));
+  assert.equal(redacted.split('[PERSON_1]').length - 1, 2);
+  assert.match(redacted, /\[EMAIL_1\]/);
+  // A later prompt about the same document reuses the placeholders
+  assert.equal(redactor.redact('Can John Smith sublet?'), 'Can [PERSON_1] sublet?');
+});
+
+test('restore puts the real values back wherever the model echoed a placeholder', () => {
+  const redactor = createRedactor(CONTRACT);
+  const reply = {
+    simplified: 'PERSON_1 rents from the landlord and can be reached at [EMAIL_1].',
+    riskFactors: [{ clause: '[SSN_1] is disclosed', risk: 'high' }],
+    unknown: '[PERSON_9] stays as it is',
+    count: 3
+  };
+
+  assert.deepEqual(redactor.restore(reply), {
+    simplified: 'John Smith rents from the landlord and can be reached at john.smith@example.com.',
+    riskFactors: [{ clause: '123-45-6789 is disclosed', risk: 'high' }],
+    unknown: '[PERSON_9] stays as it is',
+    count: 3
+  });
+});
+
+test('the report counts every occurrence by type', () => {
+  const report = createRedactor(CONTRACT).report();
+  assert.equal(report.enabled, true);
+  assert.equal(report.byType.person, 2);
+  assert.equal(report.total, 8);
+  assert.deepEqual(report.items[0], { placeholder: '[PERSON_1]', type: 'person', value: 'John Smith', occurrences: 2 });
+});
+
+test('a document without personal data passes through unchanged', () => {
+  const redactor = createRedactor('The parties agree to the terms below.');
+  assert.equal(redactor.redact('The parties agree.'), 'The parties agree.');
+  assert.deepEqual(redactor.restore({ a: '[PERSON_1]' }), { a: '[PERSON_1]' });
+  assert.equal(redactor.report().total, 0);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { proposeRedlines, normalizeRedlines, renderRedlines, MAX_REDLINES, RedlineParseError } = require('../lib/redline');
+
+const TEXT = [
+  '1. Deposit. The deposit is non-refundable in all cases.',
+  '2. Entry. Landlord may enter the premises at any time.',
+  '3. Repairs. Tenant is responsible for all repairs.'
+].join('\n');
+
+function factorAt(sentence, risk, clause = sentence) {
+  const start = TEXT.indexOf(sentence);
+  return { clause, risk, explanation: 'One-sided.', location: { start, end: start + sentence.length, page: null } };
+}
+
+const FACTORS = [
+  factorAt('The deposit is non-refundable in all cases.', 'high', 'Non-refundable deposit'),
+  factorAt('Landlord may enter the premises at any time.', 'medium'),
+  factorAt('Tenant is responsible for all repairs.', 'low')
+];
+
+/**
+ * A provider that records its prompt and answers with the given redlines
+ */
+function fakeProvider(redlines) {
+  const provider = {
+    name: 'fake',
+    model: 'test',
+    prompts: [],
+    generate: async prompt => {
+      provider.prompts.push(prompt);
+      return typeof redlines === 'string' ? redlines : JSON.stringify({ redlines });
+    }
+  };
+  return provider;
+}
+
+test('proposals are matched to risk factors by their clause number', async () => {
+  const provider = fakeProvider([
+    { index: 3, proposed: 'Landlord is responsible for structural repairs.', rationale: 'Fair split.', fallback: 'Cap tenant repairs.' },
+    { index: 1, proposed: 'The deposit is refundable within 30 days of move-out.', rationale: 'Required by law.' },
+    { index: 2, proposed: '   ' },
+    { index: 9, proposed: 'No such clause.' }
+  ]);
+
+  const { redlines, skipped } = await proposeRedlines(provider, { riskFactors: FACTORS, text: TEXT });
+
+  assert.deepEqual(redlines.map(redline => redline.factorIndex), [0, 2]);
+  assert.equal(redlines[0].clause, 'Non-refundable deposit');
+  // The wording comes from the anchored span, not the factor's short title
+  assert.equal(redlines[0].original, 'The deposit is non-refundable in all cases.');
+  assert.equal(redlines[0].fallback, '');
+  assert.equal(redlines[1].rationale, 'Fair split.');
+  assert.deepEqual(redlines[1].location, FACTORS[2].location);
+  assert.deepEqual(skipped, [{ clause: FACTORS[1].clause, reason: 'No replacement wording was proposed' }]);
+  assert.match(provider.prompts[0], /\[Clause 1\] \(risk: high\)/);
+});
+
+test('only the riskiest clauses are sent, in document order', async () => {
+  const riskFactors = Array.from({ length: MAX_REDLINES + 2 }, (_, i) => ({
+    clause: `Clause ${i}`,
+    risk: i < 2 ? 'low' : 'high',
+    location: null
+  }));
+  const reply = Array.from({ length: MAX_REDLINES }, (_, i) => ({ index: i + 1, proposed: `Fairer clause ${i}` }));
+
+  const { redlines, skipped } = await proposeRedlines(fakeProvider(reply), { riskFactors });
+
+  assert.equal(redlines.length, MAX_REDLINES);
+  assert.equal(redlines[0].factorIndex, 2);
+  assert.equal(redlines[0].original, 'Clause 2');
+  assert.deepEqual(skipped.map(entry => entry.clause), ['Clause 0', 'Clause 1']);
+});
+
+test('personal details are hidden from the model and restored in its proposals', async () => {
+  const text = 'Notices go to jane.doe@example.com only.';
+  const factor = { clause: text, risk: 'medium', location: { start: 0, end: text.length } };
+  const provider = {
+    name: 'fake',
+    model: 'test',
+    generate: async prompt => {
+      const placeholder = prompt.match(/\[EMAIL_\d+\]/)[0];
+      return JSON.stringify({ redlines: [{ index: 1, proposed: `Notices go to ${placeholder} and the tenant's lawyer.` }] });
+    }
+  };
+
+  const { redlines } = await proposeRedlines(provider, { riskFactors: [factor], text, redact: true });
+  assert.equal(redlines[0].proposed, "Notices go to jane.doe@example.com and the tenant's lawyer.");
+});
+
+test('a reply without redlines is a parse error', async () => {
+  await assert.rejects(proposeRedlines(fakeProvider('I cannot help with that.'), { riskFactors: FACTORS, text: TEXT }), RedlineParseError);
+});
+
+test('redlines sent back for export are rebuilt with fresh word changes', () => {
+  assert.equal(normalizeRedlines([]), null);
+  assert.equal(normalizeRedlines([{ original: 'x', proposed: ' ' }]), null);
+
+  const [small, rewrite] = normalizeRedlines([
+    { clause: 'Entry', risk: 'severe', original: 'Landlord may enter at any time.', proposed: 'Landlord may enter with 24 hours notice.', changes: 'forged' },
+    { clause: 'Repairs', risk: 'low', original: 'Tenant pays for all repairs.', proposed: 'Repairs are shared equally between the parties under Schedule B.' }
+  ]);
+
+  const without = (changes, type) => changes.filter(segment => segment.type !== type).map(segment => segment.text).join('');
+  assert.equal(small.risk, 'medium');
+  assert.deepEqual(small.changes[0], { type: 'equal', text: 'Landlord may enter ' });
+  assert.equal(without(small.changes, 'insert'), 'Landlord may enter at any time.');
+  assert.equal(without(small.changes, 'delete'), 'Landlord may enter with 24 hours notice.');
+  assert.equal(rewrite.changes, null);
+});
+
+test('the redline document carries the proposals as tracked changes', async () => {
+  const redlines = normalizeRedlines([{ clause: 'Entry', risk: 'high', original: 'Landlord may enter at any time.', proposed: 'Landlord may enter with notice.' }]);
+
+  const docx = await renderRedlines(redlines, 'docx', { sourceName: 'lease.pdf', party: 'Tenant' });
+  assert.equal(docx.fileName, 'lease-redline.docx');
+  const xml = await (await JSZip.loadAsync(docx.buffer)).file('word/document.xml').async('string');
+  assert.match(xml, /<w:t xml:space="preserve">Landlord may enter <\/w:t>/);
+  assert.match(xml, /<w:del [^>]*><w:r><w:delText xml:space="preserve">at any<\/w:delText>/);
+  assert.match(xml, /<w:ins [^>]*><w:r><w:t xml:space="preserve">notice\.<\/w:t>/);
+
+  const memo = await renderRedlines(redlines, 'memo', { sourceName: 'lease.pdf' });
+  assert.equal(memo.fileName, 'lease-negotiation-memo.txt');
+  assert.match(memo.buffer.toString('utf8'), /Proposed wording:\n {3}"Landlord may enter with notice\."/);
+});
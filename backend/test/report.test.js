@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pdf = require('pdf-parse');
+const { renderReport } = require('../lib/report');
+
+function analysis({ simplified, clause, warnings = [] }) {
+  return {
+    simplified,
+    riskAssessment: {
+      overallRisk: 'high',
+      riskFactors: [{ clause, risk: 'high', explanation: 'See the clause.', impact: '' }]
+    },
+    keyTerms: [],
+    actionItems: [],
+    warnings,
+    metadata: { fileName: 'lease.pdf' }
+  };
+}
+
+async function pdfTextOf(report) {
+  const { text } = await pdf(report.buffer);
+  return text.replace(/\s+/g, '');
+}
+
+test('a Chinese analysis keeps its text in the PDF', async () => {
+  const report = await renderReport(analysis({
+    simplified: '这是一份租赁协议。租户每月支付租金。',
+    clause: '租户应赔偿房东的所有损失'
+  }), 'pdf');
+
+  assert.equal(report.contentType, 'application/pdf');
+  const text = await pdfTextOf(report);
+  assert.ok(text.includes('这是一份租赁协议。租户每月支付租金。'));
+  assert.ok(text.includes('租户应赔偿房东的所有损失'));
+});
+
+test('a Hindi analysis keeps its text in the PDF', async () => {
+  const report = await renderReport(analysis({
+    simplified: 'यह एक किराया समझौता है',
+    clause: 'जमा राशि वापस नहीं होगी',
+    warnings: ['ध्यान दें']
+  }), 'pdf');
+
+  const text = await pdfTextOf(report);
+  // Shaping reorders some vowel signs, so look for words that come out as typed
+  for (const word of ['यह', 'एक', 'समझौता', 'जमा', 'नहीं', 'ध्यान']) {
+    assert.ok(text.includes(word), `"${word}" is missing from the PDF`);
+  }
+});
+
+test('mixed scripts on one line are drawn with the fonts that have them', async () => {
+  const report = await renderReport(analysis({
+    simplified: 'Rent “due” monthly — 月租 — 월세 — 家賃はつきごと',
+    clause: 'Tenant pays rent.'
+  }), 'pdf');
+
+  const text = await pdfTextOf(report);
+  assert.ok(text.includes('Rent“due”monthly—月租—월세—家賃はつきごと'));
+});
+
+test('characters no font has are printed as a replacement and logged', async t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const report = await renderReport(analysis({
+    simplified: 'Rent is due \u{1F600} monthly',
+    clause: 'Tenant pays rent.'
+  }), 'pdf');
+
+  const text = await pdfTextOf(report);
+  assert.ok(text.includes('Rentisdue\uFFFDmonthly'));
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /U\+1F600/);
+});
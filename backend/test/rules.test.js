@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadRules, detectClauses, clauseAround } = require('../lib/rules');
+
+const rules = loadRules();
+
+function findingsFor(text, ruleId) {
+  return detectClauses(text, rules).filter(finding => finding.ruleId === ruleId);
+}
+
+test('a numbered heading and the sentence under it give one finding', () => {
+  const text = [
+    '4. Rent. Tenant shall pay rent monthly.',
+    '',
+    '5. Indemnification. Tenant shall indemnify and hold Landlord harmless from all claims.',
+    '',
+    '6. Notices. Notices must be in writing.'
+  ].join('\n');
+
+  const findings = findingsFor(text, 'indemnification');
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].clause, 'Indemnification. Tenant shall indemnify and hold Landlord harmless from all claims.');
+  assert.equal(text.slice(findings[0].location.start, findings[0].location.end), findings[0].clause);
+});
+
+test('a heading on its own line stays with the paragraph under it', () => {
+  const text = [
+    'INDEMNIFICATION',
+    '',
+    'Tenant shall indemnify Landlord against all claims.',
+    '',
+    'Landlord shall indemnify Tenant against claims caused by its negligence.'
+  ].join('\n');
+
+  const findings = findingsFor(text, 'indemnification');
+  assert.equal(findings.length, 2);
+  assert.match(findings[0].clause, /^INDEMNIFICATION\s+Tenant shall indemnify/);
+  assert.match(findings[1].clause, /^Landlord shall indemnify Tenant/);
+});
+
+test('separate sections give separate findings, up to three per rule', () => {
+  const text = [1, 2, 3, 4, 5]
+    .map(n => `${n}. Renewal ${n}. This schedule renews automatically each year.`)
+    .join('\n');
+
+  const findings = findingsFor(text, 'auto-renewal');
+  assert.equal(findings.length, 3);
+  const lineOf = finding => text.slice(0, finding.location.start).split('\n').length;
+  assert.deepEqual(findings.map(lineOf), [1, 2, 3]);
+});
+
+test('a long section is quoted around its longest match', () => {
+  const filler = 'The parties agree to the following terms. '.repeat(12);
+  const text = `7. Indemnification. ${filler}Tenant shall indemnify Landlord for every claim arising from the premises.`;
+
+  const [finding] = findingsFor(text, 'indemnification');
+  assert.ok(finding.clause.length <= 400);
+  assert.equal(finding.clause, 'Tenant shall indemnify Landlord for every claim arising from the premises.');
+});
+
+test('findings are anchored to the page they start on', () => {
+  const text = 'Page one text.\nThis Agreement renews automatically.';
+  const pages = [{ page: 1, start: 0, end: 14 }, { page: 2, start: 15, end: text.length }];
+  const [finding] = detectClauses(text, rules, pages);
+  assert.equal(finding.ruleId, 'auto-renewal');
+  assert.equal(finding.location.page, 2);
+});
+
+test('clauseAround widens a match to its sentence without splitting figures', () => {
+  const text = 'Interest accrues at 1.5% per month. Late fees apply.';
+  const start = text.indexOf('1.5%');
+  const range = clauseAround(text, start, start + 4);
+  assert.equal(text.slice(range.start, range.end), 'Interest accrues at 1.5% per month.');
+});
+
+test('loadRules rejects rules without patterns or with an unknown risk', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'legal-simplifier-test-'));
+  const file = path.join(dir, 'rules.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ id: 'x', name: 'X', explanation: 'e', risk: 'severe', patterns: ['x'] }] }));
+    assert.throws(() => loadRules(file), /risk "severe"/);
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ id: 'x', name: 'X', explanation: 'e', risk: 'low', patterns: [] }] }));
+    assert.throws(() => loadRules(file), /at least one pattern/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJson, parseAnalysis, normalizeAnalysis } = require('../lib/schema');
+const { generateAnalysis, AnalysisParseError } = require('../lib/analyzer');
+
+const VALID = {
+  simplified: 'A lease.',
+  riskAssessment: { overallRisk: 'low', riskFactors: [] },
+  keyTerms: [],
+  actionItems: [],
+  warnings: []
+};
+
+test('extractJson finds the object in fenced, chatty or slightly broken replies', () => {
+  assert.deepEqual(extractJson('Here you go:\n```json\n{"a": 1}\n```\nAnything else?'), { a: 1 });
+  assert.deepEqual(extractJson('{"a": "has } brace", "b": [1, 2,],}'), { a: 'has } brace', b: [1, 2] });
+  assert.deepEqual(extractJson('{“a”: “smart”}'), { a: 'smart' });
+  assert.equal(extractJson('no json here'), null);
+  assert.equal(extractJson(undefined), null);
+});
+
+test('parseAnalysis coerces harmless drift and fills defaults', () => {
+  const { analysis, errors } = parseAnalysis(JSON.stringify({
+    ...VALID,
+    riskAssessment: {
+      overallRisk: ' High ',
+      riskFactors: { clause: 'Late fee', risk: 'MEDIUM', explanation: 'Costly' }
+    },
+    actionItems: [{ action: 'Pay', priority: 'Low' }]
+  }));
+
+  assert.deepEqual(errors, []);
+  assert.equal(analysis.riskAssessment.overallRisk, 'high');
+  assert.deepEqual(analysis.riskAssessment.riskFactors, [{ clause: 'Late fee', risk: 'medium', explanation: 'Costly', impact: '' }]);
+  assert.deepEqual(analysis.actionItems, [{ action: 'Pay', priority: 'low', deadline: null }]);
+  assert.deepEqual(analysis.parties, []);
+});
+
+test('parseAnalysis reports what is wrong with an invalid reply', () => {
+  const { analysis, errors } = parseAnalysis(JSON.stringify({
+    ...VALID,
+    simplified: '',
+    riskAssessment: { overallRisk: 'severe', riskFactors: [{ risk: 'low', explanation: '' }] }
+  }));
+
+  assert.equal(analysis, null);
+  assert.deepEqual(errors, [
+    'analysis.simplified must not be empty',
+    'analysis.riskAssessment.overallRisk must be one of low, medium, high, got "severe"',
+    'analysis.riskAssessment.riskFactors[0].clause is required'
+  ]);
+  assert.deepEqual(parseAnalysis('sorry').errors, ['Response does not contain a valid JSON object']);
+});
+
+test('normalizeAnalysis fills every missing field', () => {
+  const analysis = normalizeAnalysis({ simplified: 'x', riskAssessment: { overallRisk: 'low' } });
+  assert.deepEqual(analysis.riskAssessment.riskFactors, []);
+  assert.deepEqual(analysis.warnings, []);
+  assert.deepEqual(analysis.obligations, []);
+});
+
+/**
+ * A provider that answers with each reply in turn and records the prompts
+ */
+function scriptedProvider(replies) {
+  const prompts = [];
+  return {
+    prompts,
+    generate: async prompt => {
+      prompts.push(prompt);
+      return replies.shift();
+    }
+  };
+}
+
+test('an invalid reply is repaired with the validation errors', async () => {
+  const provider = scriptedProvider(['{"simplified": "A lease."}', JSON.stringify(VALID)]);
+  const result = await generateAnalysis(provider, 'Analyze this');
+
+  assert.deepEqual(result, { analysis: normalizeAnalysis(VALID), attempts: 1, repaired: true });
+  assert.match(provider.prompts[1], /analysis\.riskAssessment is required/);
+});
+
+test('the prompt is retried when the repair fails too, then the analysis gives up', async () => {
+  const retried = scriptedProvider(['nonsense', 'still nonsense', JSON.stringify(VALID)]);
+  assert.deepEqual(await generateAnalysis(retried, 'Analyze this'), { analysis: normalizeAnalysis(VALID), attempts: 2, repaired: false });
+  assert.equal(retried.prompts[2], 'Analyze this');
+
+  const hopeless = scriptedProvider(new Array(10).fill('nonsense'));
+  await assert.rejects(generateAnalysis(hopeless, 'Analyze this'), AnalysisParseError);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase } = require('../lib/store/db');
+const { createAnalysisStore } = require('../lib/store/analyses');
+const { createJobStore } = require('../lib/store/jobs');
+const { createBatchStore } = require('../lib/store/batches');
+
+function withDatabase(fn) {
+  return () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'legal-simplifier-test-'));
+    const db = openDatabase(dir);
+    try {
+      fn(db);
+    } finally {
+      db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+function entry(keyId, label) {
+  return {
+    text: 'The Tenant shall pay rent monthly.',
+    analysis: { simplified: 'Pay rent.', riskAssessment: { overallRisk: 'low', riskFactors: [] } },
+    metadata: { fileName: null },
+    label,
+    keyId
+  };
+}
+
+test('analyses are listed, read and deleted only with the key that saved them', withDatabase(db => {
+  const store = createAnalysisStore(db);
+  const mine = store.save(entry('key-a', 'mine'));
+  const theirs = store.save(entry('key-b', 'theirs'));
+  const keyless = store.save(entry(null, 'keyless'));
+
+  const listed = store.list({ keyId: 'key-a' });
+  assert.equal(listed.total, 1);
+  assert.deepEqual(listed.analyses.map(a => a.id), [mine]);
+  assert.deepEqual(store.list().analyses.map(a => a.id), [keyless]);
+
+  assert.equal(store.get(theirs, 'key-a'), null);
+  assert.equal(store.get(mine, 'key-a').metadata.label, 'mine');
+  assert.equal(store.get(mine), null);
+
+  assert.equal(store.delete(theirs, 'key-a'), false);
+  assert.ok(store.get(theirs, 'key-b'));
+  assert.equal(store.delete(theirs, 'key-b'), true);
+}));
+
+test('jobs and batches remember the key that created them', withDatabase(db => {
+  const batches = createBatchStore(db);
+  const jobs = createJobStore(db);
+
+  const batch = batches.create({ label: 'Q3', skipped: [], keyId: 'key-a' });
+  assert.equal(batches.get(batch.id).keyId, 'key-a');
+
+  const job = jobs.create({ type: 'analyze', input: { text: 'x' }, batchId: batch.id, keyId: 'key-a' });
+  assert.equal(jobs.get(job.id).keyId, 'key-a');
+  assert.equal(jobs.create({ type: 'analyze', input: { text: 'y' } }).keyId, null);
+}));
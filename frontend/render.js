@@ -0,0 +1,358 @@
+// Rendering of analysis results. Everything the model or the user wrote is
+// escaped here before it reaches innerHTML; free-text explanations may use a
+// small, safe subset of Markdown (paragraphs, lists and **bold**).
+window.Render = (() => {
+    const RISK_LEVELS = ['low', 'medium', 'high'];
+
+    function escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Risk and priority levels end up in class names, so anything unexpected becomes "unknown"
+    function level(value) {
+        return RISK_LEVELS.includes(value) ? value : 'unknown';
+    }
+
+    // Escapes a line of text, then turns **bold** into <strong>
+    function inline(text) {
+        return escapeHtml(text).replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>');
+    }
+
+    const BULLET = /^\s*[-*•]\s+(.*)$/;
+    const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+    /**
+     * Renders the safe Markdown subset as HTML: blank lines separate
+     * paragraphs, "-", "*" or "1." lines form lists and **text** is bold.
+     * Anything else, including raw HTML, is shown as text.
+     */
+    function markdown(text) {
+        const blocks = [];
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) blocks.push(`<p>${paragraph.map(inline).join(' ')}</p>`);
+            paragraph = [];
+        };
+        const flushList = () => {
+            if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${inline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        };
+
+        String(text === null || text === undefined ? '' : text).replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            const bullet = BULLET.exec(line);
+            const numbered = bullet ? null : NUMBERED.exec(line);
+            if (bullet || numbered) {
+                const tag = bullet ? 'ul' : 'ol';
+                flushParagraph();
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag, items: [] };
+                list.items.push((bullet || numbered)[1]);
+            } else if (!line.trim()) {
+                flushParagraph();
+                flushList();
+            } else if (list && /^\s+\S/.test(line)) {
+                // An indented line continues the list item above it
+                list.items[list.items.length - 1] += ` ${line.trim()}`;
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        });
+        flushParagraph();
+        flushList();
+        return blocks.join('');
+    }
+
+    // Dates are calendar days (YYYY-MM-DD), shown without shifting to the local time zone
+    function formatDate(isoDate) {
+        return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(undefined, {
+            timeZone: 'UTC', year: 'numeric', month: 'short', day: 'numeric'
+        });
+    }
+
+    // Risk factors, key terms and action items carry a `location` in the source text when the backend could find them
+    function anchorClass(item) {
+        return item.location ? ' anchored' : '';
+    }
+
+    function anchorAttributes(item) {
+        if (!item.location) return '';
+        const { start, end, page } = item.location;
+        return ` data-start="${Number(start)}" data-end="${Number(end)}"${page ? ` data-page="${Number(page)}"` : ''} title="Show in document"`;
+    }
+
+    function locationBadge(item) {
+        if (!item.location) return '';
+        const label = item.location.page ? `p. ${Number(item.location.page)}` : 'In text';
+        return `<span class="location-badge${item.location.match === 'fuzzy' ? ' fuzzy' : ''}">📍 ${label}</span>`;
+    }
+
+    // Grounding tells whether the model's wording was found in the document: verified, paraphrased or unsupported
+    const GROUNDING_LABELS = {
+        verified: '✓ Verified',
+        paraphrased: '≈ Paraphrased',
+        unsupported: '⚠️ Not found in document'
+    };
+
+    function groundingClass(grounding) {
+        return grounding && grounding.status === 'unsupported' ? ' ungrounded' : '';
+    }
+
+    function groundingBadge(grounding) {
+        if (!grounding || !GROUNDING_LABELS[grounding.status]) return '';
+        return `<span class="grounding-badge grounding-${grounding.status}">${GROUNDING_LABELS[grounding.status]}</span>`;
+    }
+
+    // Risk factors come from the model, from the clause rules, or from both
+    function sourceBadge(factor) {
+        if (factor.source === 'rule') {
+            return `<span class="source-badge source-rule" title="Found by a clause rule">⚙️ Rule: ${escapeHtml(factor.ruleName)}</span>`;
+        }
+        if (factor.source === 'model' && factor.ruleIds && factor.ruleIds.length > 0) {
+            return '<span class="source-badge source-both" title="Flagged by the AI and confirmed by a clause rule">🤖 AI + ⚙️ Rule</span>';
+        }
+        return factor.source === 'model' ? '<span class="source-badge source-model">🤖 AI</span>' : '';
+    }
+
+    function riskFactorCard(factor) {
+        return `
+            <div class="risk-factor${anchorClass(factor)}${groundingClass(factor.grounding)}"${anchorAttributes(factor)}>
+                <div class="risk-header">
+                    <span class="risk-clause">${escapeHtml(factor.clause)}</span>
+                    <span class="risk-level risk-${level(factor.risk)}">${escapeHtml(factor.risk)}</span>
+                </div>
+                ${sourceBadge(factor)}${locationBadge(factor)}${groundingBadge(factor.grounding)}
+                <div class="risk-explanation">${markdown(factor.explanation)}</div>
+                <p class="risk-impact"><strong>Impact:</strong> ${inline(factor.impact)}</p>
+            </div>
+        `;
+    }
+
+    function keyTermCard(term) {
+        return `
+            <div class="key-term${anchorClass(term)}${groundingClass(term.grounding)}"${anchorAttributes(term)}>
+                <h4>${escapeHtml(term.term)} ${locationBadge(term)}${groundingBadge(term.grounding)}</h4>
+                <div class="key-term-definition">${markdown(term.definition)}</div>
+                <small><strong>Why it matters:</strong> ${inline(term.importance)}</small>
+            </div>
+        `;
+    }
+
+    function actionItemCard(action) {
+        return `
+            <div class="action-item priority-${level(action.priority)}${anchorClass(action)}"${anchorAttributes(action)}>
+                <div class="action-header">
+                    <span class="action-text">${inline(action.action)}</span>
+                    <span class="priority-badge">${escapeHtml(action.priority)}</span>
+                </div>
+                ${action.deadline ? `<p class="deadline">Deadline: ${escapeHtml(action.deadline)}${action.dueDate ? ` <span class="due-date">📅 ${escapeHtml(formatDate(action.dueDate))}</span>` : ''}</p>` : ''}
+                ${locationBadge(action)}
+            </div>
+        `;
+    }
+
+    /**
+     * One side of a word-level diff: the "before" side leaves out insertions,
+     * the "after" side deletions, and the other changes are highlighted
+     * @param {Array<{ type: string, text: string }>} segments
+     * @param {'insert'|'delete'} skip
+     */
+    function diffSide(segments, skip) {
+        return segments
+            .filter(segment => segment.type !== skip)
+            .map(segment => {
+                if (segment.type === 'equal') return escapeHtml(segment.text);
+                const tag = segment.type === 'insert' ? 'ins' : 'del';
+                return `<${tag}>${escapeHtml(segment.text)}</${tag}>`;
+            })
+            .join('');
+    }
+
+    // A suggested redline: original and proposed wording side by side, then why and what to settle for
+    function redlineCard(redline) {
+        const before = redline.changes ? diffSide(redline.changes, 'insert') : escapeHtml(redline.original);
+        const after = redline.changes ? diffSide(redline.changes, 'delete') : escapeHtml(redline.proposed);
+        const whole = !redline.changes;
+        return `
+            <div class="redline-item${anchorClass(redline)}"${anchorAttributes(redline)}>
+                <div class="risk-header">
+                    <span class="risk-clause">${escapeHtml(redline.clause)}</span>
+                    <span class="risk-level risk-${level(redline.risk)}">${escapeHtml(redline.risk)}</span>
+                </div>
+                ${locationBadge(redline)}
+                <div class="compare-columns">
+                    <div>
+                        <span class="redline-label">Original</span>
+                        <pre class="compare-text${whole ? ' removed-text' : ''}">${before}</pre>
+                    </div>
+                    <div>
+                        <span class="redline-label">Proposed</span>
+                        <pre class="compare-text${whole ? ' added-text' : ''}">${after}</pre>
+                    </div>
+                </div>
+                <p class="redline-note"><strong>Why:</strong> ${inline(redline.rationale)}</p>
+                ${redline.fallback ? `<p class="redline-note"><strong>Fallback position:</strong> ${inline(redline.fallback)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    function partyChip(party) {
+        const aliases = party.aliases && party.aliases.length > 0
+            ? `<small>also ${party.aliases.map(alias => `“${escapeHtml(alias)}”`).join(', ')}</small>`
+            : '';
+        return `
+            <div class="party-chip">
+                <strong>${escapeHtml(party.name)}</strong>${party.role ? ` <span class="party-role">${escapeHtml(party.role)}</span>` : ''}
+                ${aliases}
+            </div>
+        `;
+    }
+
+    // One row of the obligations matrix; clicking an anchored row shows its clause in the document
+    function obligationRow(obligation) {
+        return `
+            <tr class="obligation-row${anchorClass(obligation)}"${anchorAttributes(obligation)}>
+                <td>${escapeHtml(obligation.obligor)}</td>
+                <td>${escapeHtml(obligation.obligee || '—')}</td>
+                <td>${inline(obligation.obligation)}</td>
+                <td>${obligation.condition ? inline(obligation.condition) : '—'}</td>
+                <td class="obligation-clause">${obligation.clause ? `“${escapeHtml(obligation.clause)}”` : '—'} ${locationBadge(obligation)}</td>
+            </tr>
+        `;
+    }
+
+    function warningItem(warning, grounding) {
+        return `<div class="warning-item${groundingClass(grounding)}">${inline(warning)} ${groundingBadge(grounding)}</div>`;
+    }
+
+    // Result sections; each renders nothing when it has nothing to show
+
+    function simplifiedSection(simplified) {
+        return `
+            <div class="simplified-section">
+                <h3>📋 Simplified Analysis</h3>
+                <div class="simplified-text">${markdown(simplified)}</div>
+            </div>
+        `;
+    }
+
+    function overallRisk(risk) {
+        return `
+            <div class="overall-risk risk-${level(risk)}">
+                Overall Risk Level: <strong>${escapeHtml(String(risk).toUpperCase())}</strong>
+            </div>
+        `;
+    }
+
+    function riskSection(riskAssessment, grounding) {
+        const unsupported = grounding ? Number(grounding.unsupported) : 0;
+        return `
+            <div class="risk-section">
+                <h3>⚠️ Risk Assessment</h3>
+                ${overallRisk(riskAssessment.overallRisk)}
+                ${unsupported > 0 ? `
+                    <div class="grounding-notice">
+                        ⚠️ ${unsupported} item${unsupported === 1 ? '' : 's'} could not be found in the document and may have been invented by the AI. They are marked below.
+                    </div>
+                ` : ''}
+                ${riskAssessment.riskFactors.map(riskFactorCard).join('')}
+            </div>
+        `;
+    }
+
+    function keyTermsSection(keyTerms) {
+        if (!keyTerms || keyTerms.length === 0) return '';
+        return `
+            <div class="terms-section">
+                <h3>📖 Key Terms</h3>
+                ${keyTerms.map(keyTermCard).join('')}
+            </div>
+        `;
+    }
+
+    function actionItemsSection(actionItems) {
+        if (!actionItems || actionItems.length === 0) return '';
+        return `
+            <div class="actions-section">
+                <h3>✅ Action Items</h3>
+                <div id="actionItemList">${actionItems.map(actionItemCard).join('')}</div>
+            </div>
+        `;
+    }
+
+    function warningsSection(warnings, warningGrounding = []) {
+        if (!warnings || warnings.length === 0) return '';
+        return `
+            <div class="warnings-section">
+                <h3>🚨 Important Warnings</h3>
+                ${warnings.map((warning, i) => warningItem(warning, warningGrounding[i])).join('')}
+            </div>
+        `;
+    }
+
+    function errorMessage(message, title = 'Analysis Error') {
+        return `
+            <div class="error-message">
+                <h3>${escapeHtml(title)}</h3>
+                <p>${escapeHtml(message)}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * The details panel beside the results
+     * @param {string} title
+     * @param {Array<{ label: string, value: string, risk?: string }>} rows - Rows without a value are left out; a `risk` colours the value
+     */
+    function metadataPanel(title, rows) {
+        return `
+            <div class="analysis-metadata">
+                <h3>📊 ${escapeHtml(title)}</h3>
+                <div class="metadata-grid">
+                    ${rows.filter(row => row.value || row.value === 0).map(row => `
+                        <div class="metadata-item">
+                            <strong>${escapeHtml(row.label)}:</strong> ${row.risk ? `<span class="risk-${level(row.risk)}">${escapeHtml(row.value)}</span>` : escapeHtml(row.value)}
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    return {
+        escapeHtml,
+        level,
+        inline,
+        markdown,
+        formatDate,
+        anchorClass,
+        anchorAttributes,
+        locationBadge,
+        groundingClass,
+        groundingBadge,
+        sourceBadge,
+        riskFactorCard,
+        keyTermCard,
+        actionItemCard,
+        warningItem,
+        partyChip,
+        obligationRow,
+        diffSide,
+        redlineCard,
+        simplifiedSection,
+        overallRisk,
+        riskSection,
+        keyTermsSection,
+        actionItemsSection,
+        warningsSection,
+        errorMessage,
+        metadataPanel
+    };
+})();
@@ -1,6 +1,14 @@
-const BACKEND_URL = "https://legaldocu.onrender.com";
+// Used when the page isn't served by the backend itself (no /config next to it)
+const DEFAULT_BACKEND_URL = "https://legaldocu.onrender.com";
 
 document.addEventListener("DOMContentLoaded", () => {
+    // Untrusted text is only ever rendered through these (see render.js)
+    const {
+        escapeHtml, level, markdown, formatDate,
+        anchorClass, anchorAttributes, locationBadge,
+        riskFactorCard, keyTermCard, actionItemCard, warningItem
+    } = Render;
+
     // Theme toggle functionality
     const themeToggle = document.getElementById("themeToggle");
     const themeIcon = themeToggle.querySelector(".theme-icon");
@@ -32,11 +40,22 @@ document.addEventListener("DOMContentLoaded", () => {
     let currentFile = null;
 
     uploadInput.addEventListener('change', function(event) {
-        const file = event.target.files[0];
+        const files = Array.from(event.target.files);
+        // Several files or a ZIP archive are analyzed as a batch
+        if (files.length > 1 || (files.length === 1 && isZipFile(files[0]))) {
+            currentFile = null;
+            documentName.textContent = files.length === 1 ? files[0].name : `${files.length} documents`;
+            documentMeta.textContent = `${formatMegabytes(files.reduce((total, file) => total + file.size, 0))} • Batch`;
+            documentDisplay.classList.add('active');
+            analyzeBatch(files);
+            return;
+        }
+
+        const file = files[0];
         if (file) {
             currentFile = file;
             documentName.textContent = file.name;
-            documentMeta.textContent = `${(file.size / 1024 / 1024).toFixed(2)} MB • ${file.type || 'Unknown type'}`;
+            documentMeta.textContent = `${formatMegabytes(file.size)} • ${file.type || 'Unknown type'}`;
             documentDisplay.classList.add('active');
             
             // Auto-analyze the uploaded file
@@ -44,6 +63,12 @@ document.addEventListener("DOMContentLoaded", () => {
         }
     });
 
+    document.getElementById('uploadButton').addEventListener('click', () => uploadInput.click());
+
+    function formatMegabytes(bytes) {
+        return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    }
+
     documentRemove.addEventListener('click', function() {
         documentDisplay.classList.remove('active');
         uploadInput.value = '';
@@ -56,6 +81,99 @@ document.addEventListener("DOMContentLoaded", () => {
     const loader = document.getElementById("loader");
     const results = document.getElementById("results");
     const searchBtn = document.getElementById("searchBtn");
+    const analysisLayout = document.getElementById("analysisLayout");
+    const sourceTextEl = document.getElementById("sourceText");
+    const sourceLocation = document.getElementById("sourceLocation");
+
+    const chatSection = document.getElementById("chatSection");
+    const chatThread = document.getElementById("chatThread");
+    const chatInput = document.getElementById("chatInput");
+    const chatSend = document.getElementById("chatSend");
+
+    // Text the current analysis was run on, shown in the source viewer
+    let currentSource = { text: '', pages: [] };
+    // Server-side session of the current analysis, used for follow-up questions
+    let currentSessionId = null;
+    // Analysis currently on screen, sent back to the server for report export
+    let currentAnalysis = null;
+
+    const analysisLabel = document.getElementById("analysisLabel");
+    // Relative deadlines ("60 days before the end of the term") are dated from this when set
+    const effectiveDateInput = document.getElementById("effectiveDate");
+    const redactPii = document.getElementById("redactPii");
+    // Language the explanations are written in, remembered between visits
+    const outputLanguage = document.getElementById("outputLanguage");
+    outputLanguage.value = localStorage.getItem("outputLanguage") || "en";
+    outputLanguage.addEventListener("change", () => {
+        localStorage.setItem("outputLanguage", outputLanguage.value);
+    });
+
+    function languageName(code) {
+        const option = outputLanguage.querySelector(`option[value="${code}"]`);
+        return option ? option.textContent : code;
+    }
+
+    // API key sent with every request, kept in this browser only
+    const apiKeyButton = document.getElementById("apiKeyButton");
+    let apiKey = localStorage.getItem("apiKey") || '';
+
+    apiKeyButton.addEventListener("click", () => {
+        const value = prompt('API key for the analysis service (leave empty to remove it):', apiKey);
+        if (value === null) return;
+        apiKey = value.trim();
+        if (apiKey) {
+            localStorage.setItem("apiKey", apiKey);
+        } else {
+            localStorage.removeItem("apiKey");
+        }
+        apiKeyButton.classList.remove('attention');
+        loadDocumentTypes();
+    });
+
+    // Runtime settings from the backend that served this page: the API base URL
+    // (empty for the same origin) and its size limits
+    let backendUrl = DEFAULT_BACKEND_URL;
+    let limits = null;
+
+    const configReady = fetch('config', { headers: { Accept: 'application/json' } })
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(config => {
+            backendUrl = config.apiBaseUrl || '';
+            limits = config.limits;
+        })
+        .catch(() => console.log(`No backend configuration next to this page; using ${DEFAULT_BACKEND_URL}`));
+
+    // fetch() against the backend with the API key attached; a rejected key flags the key button
+    function apiFetch(path, options = {}) {
+        const headers = Object.assign({}, options.headers, apiKey ? { 'X-API-Key': apiKey } : {});
+        return configReady
+            .then(() => fetch(`${backendUrl}${path}`, Object.assign({}, options, { headers })))
+            .then(response => {
+                if (response.status === 401) apiKeyButton.classList.add('attention');
+                return response;
+            });
+    }
+
+    // Document types the server has profiles for; "auto" lets it classify the document
+    const documentTypeSelect = document.getElementById("documentType");
+    let documentTypes = [];
+
+    function loadDocumentTypes() {
+        apiFetch('/document-types')
+            .then(response => response.json())
+            .then(data => {
+                if (data.error) throw new Error(data.message);
+                documentTypes = data.documentTypes;
+                documentTypeSelect.innerHTML = '<option value="auto">Auto-detect</option>' +
+                    documentTypes.map(type => `<option value="${escapeHtml(type.id)}">${escapeHtml(type.name)}</option>`).join('');
+            })
+            .catch(error => console.error('Document types error:', error));
+    }
+
+    loadDocumentTypes();
 
     // Update placeholder text for legal context
     searchInput.placeholder = "Enter legal text to analyze or ask a question about uploaded document";
@@ -66,8 +184,13 @@ document.addEventListener("DOMContentLoaded", () => {
         console.log("Current file:", currentFile); // Debug log
         console.log("Search input value:", searchInput.value.trim()); // Debug log
         
-        if (currentFile) {
-            analyzeDocument(searchInput.value.trim());
+        const query = searchInput.value.trim();
+        if (currentFile && query && currentSessionId) {
+            // The document is already analyzed: ask in the session instead of re-uploading
+            askQuestion(query);
+            searchInput.value = '';
+        } else if (currentFile) {
+            analyzeDocument(query);
         } else {
             analyzeText();
         }
@@ -88,99 +211,1265 @@ document.addEventListener("DOMContentLoaded", () => {
         handleSearch();
     });
 
-    function analyzeText() {
-        const text = searchInput.value.trim();
+    // `fresh` skips the server's cache of earlier analyses of the same text
+    function analyzeText(text = searchInput.value.trim(), { fresh = false } = {}) {
         console.log("Analyzing text:", text.substring(0, 50) + "..."); // Debug log
         
         if (!text) {
             displayError('Please enter some legal text to analyze.');
             return;
         }
+        if (limits && text.length > limits.textChars) {
+            displayError(`The text is too long to analyze: ${text.length.toLocaleString()} characters, and the limit is ${limits.textChars.toLocaleString()}.`);
+            return;
+        }
 
         showLoader("Analyzing legal text...");
+
+        streamAnalysis('/analyze/stream', {
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                text,
+                label: analysisLabel.value.trim() || undefined,
+                effectiveDate: effectiveDateInput.value || undefined,
+                redact: redactPii.checked,
+                outputLanguage: outputLanguage.value,
+                documentType: documentTypeSelect.value,
+                cache: !fresh
+            })
+        }, data => {
+            // /analyze doesn't echo the text back, so use what was submitted
+            displayAnalysisResults({ source: { text, pages: [] }, ...data });
+        }, 'Failed to analyze text. Please try again.');
+    }
+
+    function analyzeDocument(query = null, { fresh = false } = {}) {
+        console.log("Analyzing document with query:", query); // Debug log
         
-        fetch(`${BACKEND_URL}/analyze`, {
+        if (!currentFile) {
+            displayError('Please upload a document first.');
+            return;
+        }
+        if (limits && currentFile.size > limits.uploadBytes) {
+            displayError(`The file is too large to analyze. The limit is ${formatMegabytes(limits.uploadBytes)}.`);
+            return;
+        }
+
+        const loadingMessage = query ? "Searching document..." : "Processing document...";
+        showLoader(loadingMessage);
+
+        const formData = new FormData();
+        formData.append('document', currentFile);
+        if (query) {
+            formData.append('query', query);
+        }
+        if (analysisLabel.value.trim()) {
+            formData.append('label', analysisLabel.value.trim());
+        }
+        if (effectiveDateInput.value) {
+            formData.append('effectiveDate', effectiveDateInput.value);
+        }
+        formData.append('redact', redactPii.checked);
+        formData.append('outputLanguage', outputLanguage.value);
+        formData.append('documentType', documentTypeSelect.value);
+        formData.append('cache', !fresh);
+
+        streamAnalysis('/upload/stream', { body: formData }, displayAnalysisResults, 'Failed to analyze document. Please try again.');
+    }
+
+    // Streaming analysis: sections are shown as the model writes them, until the full result replaces them
+    const cancelAnalysis = document.getElementById("cancelAnalysis");
+    let analysisController = null;
+
+    cancelAnalysis.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (analysisController) analysisController.abort();
+    });
+
+    function streamAnalysis(path, request, onResult, failureMessage) {
+        if (analysisController) analysisController.abort();
+        const controller = new AbortController();
+        analysisController = controller;
+        cancelAnalysis.classList.remove('hidden');
+        showPartialResults();
+
+        const handleEvent = (event, data) => {
+            if (controller.signal.aborted) return;
+            console.log("Stream event:", event); // Debug log
+
+            if (event === 'status' && data.stage === 'extracting') {
+                setLoaderMessage("Extracting text...");
+            } else if (event === 'start' && data.chunks > 1) {
+                setLoaderMessage(`Analyzing ${data.chunks} parts...`);
+            } else if (event === 'progress' && data.total > 1) {
+                setLoaderMessage(`Analyzed ${data.completed} of ${data.total} parts...`);
+            } else if (event === 'result') {
+                hideLoader();
+                onResult(data);
+                loadHistory();
+            } else if (event === 'error') {
+                hideLoader();
+                displayError(data.message);
+            } else {
+                appendPartialSection(event, data.value);
+            }
+        };
+
+        apiFetch(path, { method: 'POST', ...request, signal: controller.signal })
+        .then(response => {
+            console.log("Stream response status:", response.status); // Debug log
+            // Invalid requests are rejected before the stream starts, as plain JSON
+            if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                return response.json().then(data => handleEvent(data.error ? 'error' : 'result', data));
+            }
+            return readEventStream(response, handleEvent);
+        })
+        .catch(error => {
+            // Superseded by a newer analysis or a removed document: leave the screen to them
+            if (analysisController !== controller) return;
+            hideLoader();
+            if (error.name === 'AbortError') {
+                results.innerHTML = '<p class="no-results">Analysis cancelled.</p>';
+                return;
+            }
+            console.error('Analysis error:', error);
+            displayError(failureMessage);
+        })
+        .finally(() => {
+            if (analysisController === controller) {
+                analysisController = null;
+                cancelAnalysis.classList.add('hidden');
+            }
+        });
+    }
+
+    // Parses a Server-Sent Events body, calling onEvent(event, data) for every message
+    function readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        function dispatch(message) {
+            let event = 'message';
+            const data = [];
+            message.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+            });
+            if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+        }
+
+        function read() {
+            return reader.read().then(({ value, done }) => {
+                if (done) return;
+                buffer += decoder.decode(value, { stream: true });
+                const messages = buffer.split('\n\n');
+                buffer = messages.pop();
+                messages.forEach(dispatch);
+                return read();
+            });
+        }
+
+        return read();
+    }
+
+    function showPartialResults() {
+        results.innerHTML = `
+            <div class="analysis-results streaming">
+                <div class="simplified-section hidden" id="partialSimplified">
+                    <h3>📋 Simplified Analysis</h3>
+                    <div class="simplified-text"></div>
+                </div>
+                <div class="risk-section hidden" id="partialRisks">
+                    <h3>⚠️ Risk Assessment</h3>
+                    <div class="overall-risk"></div>
+                </div>
+                <div class="terms-section hidden" id="partialTerms">
+                    <h3>📖 Key Terms</h3>
+                </div>
+                <div class="actions-section hidden" id="partialActions">
+                    <h3>✅ Action Items</h3>
+                </div>
+                <div class="warnings-section hidden" id="partialWarnings">
+                    <h3>🚨 Important Warnings</h3>
+                </div>
+            </div>
+        `;
+        results.classList.add('active');
+    }
+
+    const RISK_RANK = { low: 0, medium: 1, high: 2 };
+
+    function appendPartialSection(event, value) {
+        const sectionIds = {
+            simplified: 'partialSimplified',
+            overallRisk: 'partialRisks',
+            riskFactor: 'partialRisks',
+            keyTerm: 'partialTerms',
+            actionItem: 'partialActions',
+            warning: 'partialWarnings'
+        };
+        const section = document.getElementById(sectionIds[event]);
+        if (!section) return;
+        section.classList.remove('hidden');
+
+        if (event === 'simplified') {
+            section.querySelector('.simplified-text').insertAdjacentHTML('beforeend', markdown(value));
+        } else if (event === 'overallRisk') {
+            // Long documents stream one overall risk per part; show the highest
+            const overall = section.querySelector('.overall-risk');
+            const current = overall.dataset.risk;
+            if (current && RISK_RANK[current] >= RISK_RANK[value]) return;
+            overall.dataset.risk = value;
+            overall.className = `overall-risk risk-${level(value)}`;
+            overall.innerHTML = `Overall Risk Level: <strong>${escapeHtml(String(value).toUpperCase())}</strong>`;
+        } else if (event === 'riskFactor') {
+            section.insertAdjacentHTML('beforeend', riskFactorCard(value));
+        } else if (event === 'keyTerm') {
+            section.insertAdjacentHTML('beforeend', keyTermCard(value));
+        } else if (event === 'actionItem') {
+            section.insertAdjacentHTML('beforeend', actionItemCard(value));
+        } else if (event === 'warning') {
+            section.insertAdjacentHTML('beforeend', warningItem(value));
+        }
+    }
+
+    // Follow-up chat functionality
+    function startChat(sessionId) {
+        resetChat();
+        currentSessionId = sessionId || null;
+        if (currentSessionId) {
+            chatSection.classList.add('active');
+        }
+    }
+
+    function resetChat() {
+        currentSessionId = null;
+        chatThread.innerHTML = '';
+        chatInput.value = '';
+        chatSection.classList.remove('active');
+    }
+
+    function appendChatMessage(role, html) {
+        const message = document.createElement('div');
+        message.className = `chat-message chat-${role}`;
+        message.innerHTML = html;
+        chatThread.appendChild(message);
+        chatThread.scrollTop = chatThread.scrollHeight;
+        return message;
+    }
+
+    function renderCitations(citations) {
+        if (!citations || citations.length === 0) return '';
+        return `
+            <div class="chat-citations">
+                ${citations.map(citation => citation.location ? `
+                    <button class="citation anchored" data-start="${citation.location.start}" data-end="${citation.location.end}"${citation.location.page ? ` data-page="${citation.location.page}"` : ''}>
+                        📍 “${escapeHtml(citation.quote)}”${citation.location.page ? ` <small>p. ${citation.location.page}</small>` : ''}
+                    </button>
+                ` : `
+                    <span class="citation">“${escapeHtml(citation.quote)}”</span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    function askQuestion(question) {
+        if (!currentSessionId || !question) return;
+
+        appendChatMessage('user', escapeHtml(question));
+        const pending = appendChatMessage('assistant', '<span class="chat-pending">Thinking…</span>');
+        chatSend.disabled = true;
+
+        apiFetch(`/sessions/${encodeURIComponent(currentSessionId)}/ask`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ question })
+        })
+        .then(response => response.json())
+        .then(data => {
+            if (data.error) {
+                pending.classList.add('chat-error');
+                pending.innerHTML = escapeHtml(data.message);
+                return;
+            }
+            pending.innerHTML = `${markdown(data.answer)}${renderCitations(data.citations)}`;
+            chatThread.scrollTop = chatThread.scrollHeight;
+        })
+        .catch(error => {
+            console.error('Question error:', error);
+            pending.classList.add('chat-error');
+            pending.textContent = 'Failed to get an answer. Please try again.';
+        })
+        .finally(() => {
+            chatSend.disabled = false;
+        });
+    }
+
+    chatSend.addEventListener("click", (e) => {
+        e.preventDefault();
+        const question = chatInput.value.trim();
+        chatInput.value = '';
+        askQuestion(question);
+    });
+
+    chatInput.addEventListener("keypress", (e) => {
+        if (e.key === "Enter") {
+            e.preventDefault();
+            chatSend.click();
+        }
+    });
+
+    // Clicking a citation highlights the quoted passage in the source viewer
+    chatThread.addEventListener('click', (e) => {
+        const citation = e.target.closest('.citation.anchored');
+        if (!citation) return;
+        highlightSource(Number(citation.dataset.start), Number(citation.dataset.end), citation.dataset.page);
+        document.getElementById('sourceViewer').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    });
+
+    function downloadReport(e) {
+        e.preventDefault();
+        exportAnalysis(document.getElementById('reportFormat').value, e.currentTarget);
+    }
+
+    function exportAnalysis(format, button) {
+        if (!currentAnalysis) return;
+
+        // The source text isn't part of the report, so don't send it back
+        const { source, redlines, ...analysis } = currentAnalysis;
+        downloadExport(`/export?format=${format}`, analysis, button, `analysis.${format}`);
+    }
+
+    // POSTs `payload` to an export endpoint and saves the file it returns
+    function downloadExport(path, payload, button, fallbackName) {
+        const buttonText = button.textContent;
+
+        button.disabled = true;
+        button.textContent = 'Preparing report…';
+
+        apiFetch(path, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ text })
+            body: JSON.stringify(payload)
         })
         .then(response => {
-            console.log("Response status:", response.status); // Debug log
-            return response.json();
+            if (!response.ok) {
+                return response.json().then(data => { throw new Error(data.message); });
+            }
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            return response.blob().then(blob => ({ blob, fileName: match ? match[1] : fallbackName }));
+        })
+        .then(({ blob, fileName }) => {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        })
+        .catch(error => {
+            console.error('Report export error:', error);
+            alert(error.message || 'Failed to generate the report. Please try again.');
+        })
+        .finally(() => {
+            button.disabled = false;
+            button.textContent = buttonText;
+        });
+    }
+
+    // Suggested redlines: fairer wording for each risk factor, fetched on first use and kept with the analysis
+    function redlineSection(data) {
+        if (data.riskAssessment.riskFactors.length === 0) return '';
+        return `
+            <div class="redline-section" id="redlineSection">
+                <div class="timeline-header">
+                    <h3>✍️ Suggested Changes</h3>
+                    <div class="timeline-controls">
+                        <input type="text" id="redlineParty" class="redline-party" placeholder="Negotiating for (optional)" maxlength="200" aria-label="Party you negotiate for" list="redlinePartyNames">
+                        <datalist id="redlinePartyNames">
+                            ${(data.parties || []).map(party => `<option value="${escapeHtml(party.name)}">`).join('')}
+                        </datalist>
+                        <button class="upload-btn" id="toggleRedlines" aria-expanded="false">Show suggested changes</button>
+                    </div>
+                </div>
+                <div id="redlineBody" hidden></div>
+            </div>
+        `;
+    }
+
+    function redlineBody(result) {
+        if (result.redlines.length === 0) {
+            return '<p class="timeline-note">No replacement wording could be suggested for these clauses.</p>';
+        }
+        return `
+            <p class="timeline-note">
+                Proposed wording for each risky clause${result.party ? ` on behalf of <strong>${escapeHtml(result.party)}</strong>` : ''}, with the reasoning and a fallback to offer if it is refused. Check every change with a lawyer before sending it.
+            </p>
+            ${result.redlines.map(Render.redlineCard).join('')}
+            ${result.skipped.length > 0 ? `
+                <p class="timeline-note">Not redlined: ${result.skipped.map(item => `${escapeHtml(item.clause)} (${escapeHtml(item.reason)})`).join('; ')}</p>
+            ` : ''}
+            <div class="report-actions">
+                <button class="upload-btn" id="downloadRedlineDocx">⬇️ Tracked changes (DOCX)</button>
+                <button class="upload-btn" id="downloadRedlineMemo">⬇️ Negotiation memo</button>
+            </div>
+        `;
+    }
+
+    function bindRedlines() {
+        const toggle = document.getElementById('toggleRedlines');
+        if (!toggle) return;
+
+        toggle.addEventListener('click', (e) => {
+            e.preventDefault();
+            const body = document.getElementById('redlineBody');
+            const party = document.getElementById('redlineParty').value.trim();
+            const cached = currentAnalysis.redlines;
+
+            if (!body.hidden && (!cached || cached.party === party)) {
+                body.hidden = true;
+                toggle.textContent = 'Show suggested changes';
+                toggle.setAttribute('aria-expanded', 'false');
+                return;
+            }
+            if (cached && cached.party === party) {
+                showRedlines(cached);
+                return;
+            }
+            loadRedlines(party);
+        });
+    }
+
+    function showRedlines(result) {
+        const body = document.getElementById('redlineBody');
+        const toggle = document.getElementById('toggleRedlines');
+        body.innerHTML = redlineBody(result);
+        body.hidden = false;
+        toggle.textContent = 'Hide suggested changes';
+        toggle.setAttribute('aria-expanded', 'true');
+
+        const exportRedlines = (format, button) => downloadExport(`/redline/export?format=${format}`, {
+            redlines: result.redlines,
+            party: result.party,
+            fileName: currentAnalysis.metadata.fileName || undefined
+        }, button, format === 'memo' ? 'negotiation-memo.txt' : 'redline.docx');
+        ['Docx', 'Memo'].forEach(format => {
+            const button = document.getElementById(`downloadRedline${format}`);
+            if (button) {
+                button.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    exportRedlines(format.toLowerCase(), e.currentTarget);
+                });
+            }
+        });
+    }
+
+    // Asks for redlines through the analysis session, or from the risk factors once the session has expired
+    function loadRedlines(party) {
+        const analysis = currentAnalysis;
+        const toggle = document.getElementById('toggleRedlines');
+        const request = (payload) => apiFetch('/redline', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ ...payload, party: party || undefined })
+        });
+        const fromFactors = () => request({
+            riskFactors: analysis.riskAssessment.riskFactors,
+            text: analysis.source && analysis.source.text ? analysis.source.text : undefined,
+            outputLanguage: analysis.metadata.language ? analysis.metadata.language.output : undefined,
+            redact: analysis.metadata.redaction ? analysis.metadata.redaction.enabled : undefined
+        });
+
+        toggle.disabled = true;
+        toggle.textContent = 'Drafting suggestions…';
+
+        const sessionId = analysis.metadata.sessionId;
+        (sessionId ? request({ sessionId }).then(response => (response.status === 404 ? fromFactors() : response)) : fromFactors())
+            .then(response => response.json())
+            .then(data => {
+                if (data.error) throw new Error(data.message);
+                if (currentAnalysis !== analysis) return;
+                analysis.redlines = data;
+                showRedlines(data);
+            })
+            .catch(error => {
+                console.error('Redline error:', error);
+                if (currentAnalysis !== analysis) return;
+                toggle.textContent = 'Show suggested changes';
+                alert(error.message || 'Failed to suggest changes. Please try again.');
+            })
+            .finally(() => {
+                toggle.disabled = false;
+            });
+    }
+
+    // Parties and obligations: who must do what for whom, filterable by party
+    function obligationsSection(data) {
+        const parties = data.parties || [];
+        const obligations = data.obligations || [];
+        if (parties.length === 0 && obligations.length === 0) return '';
+
+        return `
+            <div class="obligations-section">
+                <h3>👥 Parties &amp; Obligations</h3>
+                ${parties.length > 0 ? `<div class="party-list">${parties.map(Render.partyChip).join('')}</div>` : ''}
+                ${obligations.length > 0 ? `
+                    <div class="obligation-filters">
+                        <label>
+                            Show what
+                            <select id="obligationParty" aria-label="Party">
+                                <option value="">every party</option>
+                                ${parties.map(party => `<option value="${escapeHtml(party.id)}">${escapeHtml(party.name)}${party.role && party.role !== party.name ? ` (${escapeHtml(party.role)})` : ''}</option>`).join('')}
+                            </select>
+                        </label>
+                        <select id="obligationDirection" aria-label="Direction" disabled>
+                            <option value="obligor">must do</option>
+                            <option value="obligee">is owed</option>
+                            <option value="either">is involved in</option>
+                        </select>
+                        <span class="obligation-count" id="obligationCount"></span>
+                    </div>
+                    <div class="obligation-table-wrapper">
+                        <table class="obligation-table">
+                            <thead>
+                                <tr><th>Who must</th><th>Owed to</th><th>Obligation</th><th>Condition</th><th>Source clause</th></tr>
+                            </thead>
+                            <tbody id="obligationRows"></tbody>
+                        </table>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    function bindObligations() {
+        const partySelect = document.getElementById('obligationParty');
+        if (!partySelect) return;
+        const directionSelect = document.getElementById('obligationDirection');
+
+        const update = () => {
+            const partyId = partySelect.value;
+            const direction = directionSelect.value;
+            const obligations = currentAnalysis.obligations;
+            // Obligations that name no known party only show when no party is picked
+            const visible = obligations.filter(obligation => {
+                if (!partyId) return true;
+                const owes = (obligation.obligorIds || []).includes(partyId);
+                const owed = (obligation.obligeeIds || []).includes(partyId);
+                if (direction === 'obligor') return owes;
+                if (direction === 'obligee') return owed;
+                return owes || owed;
+            });
+
+            directionSelect.disabled = !partyId;
+            document.getElementById('obligationRows').innerHTML = visible.length > 0
+                ? visible.map(Render.obligationRow).join('')
+                : '<tr><td colspan="5" class="no-results">No obligations for this party.</td></tr>';
+            document.getElementById('obligationCount').textContent = `${visible.length} of ${obligations.length}`;
+        };
+
+        partySelect.addEventListener('change', update);
+        directionSelect.addEventListener('change', update);
+        update();
+    }
+
+    // Key dates: the timeline of the current analysis, re-dated when the effective date changes
+    function timelineSection(timeline) {
+        if (!timeline || timeline.events.length === 0) return '';
+
+        const sourceNote = {
+            user: 'as you entered it',
+            document: 'as stated in the document'
+        };
+        const canRedate = !!(currentAnalysis.source && currentAnalysis.source.text);
+        const ambiguous = timeline.events.filter(event => event.possibleDates).length;
+        const undated = timeline.events.filter(event => !event.date).length - ambiguous;
+
+        return `
+            <div class="timeline-section" id="timelineSection">
+                <div class="timeline-header">
+                    <h3>📅 Key Dates</h3>
+                    <div class="timeline-controls">
+                        <label class="timeline-effective">
+                            Effective date
+                            <input type="date" id="timelineEffectiveDate" value="${escapeHtml(timeline.effectiveDate || '')}"${canRedate ? '' : ' disabled title="The document text is not available to re-read its dates"'} />
+                        </label>
+                        <label class="timeline-effective">
+                            Dates like 01/04/2025 are
+                            <select id="timelineDateOrder"${canRedate ? '' : ' disabled'}>
+                                <option value="auto"${timeline.dateOrder ? '' : ' selected'}>Not sure</option>
+                                <option value="dmy"${timeline.dateOrder === 'dmy' ? ' selected' : ''}>Day first</option>
+                                <option value="mdy"${timeline.dateOrder === 'mdy' ? ' selected' : ''}>Month first</option>
+                            </select>
+                        </label>
+                        <button class="upload-btn" id="downloadCalendar"${timeline.events.some(event => event.date) ? '' : ' disabled'}>📅 Download .ics</button>
+                    </div>
+                </div>
+                <p class="timeline-note">
+                    ${timeline.effectiveDate
+                        ? `Effective ${formatDate(timeline.effectiveDate)} (${sourceNote[timeline.effectiveDateSource]})${timeline.termEnd ? `, term ends ${formatDate(timeline.termEnd)}` : ''}.`
+                        : 'No effective date found in the document.'}
+                    ${undated > 0 ? `${undated} deadline${undated === 1 ? '' : 's'} could not be dated${timeline.effectiveDate ? '' : '; enter the effective date to resolve them'}.` : ''}
+                    ${ambiguous > 0 ? `${ambiguous} date${ambiguous === 1 ? '' : 's'} could be read day first or month first; choose how the document writes dates to place ${ambiguous === 1 ? 'it' : 'them'}.` : ''}
+                </p>
+                <ol class="timeline">
+                    ${timeline.events.map(timelineEvent).join('')}
+                </ol>
+            </div>
+        `;
+    }
+
+    function timelineEvent(event) {
+        const recurrence = { monthly: 'Monthly', quarterly: 'Quarterly', yearly: 'Yearly' };
+        return `
+            <li class="timeline-event kind-${event.kind}${event.date ? '' : ' undated'}${anchorClass(event)}"${anchorAttributes(event)}>
+                <span class="timeline-date">${event.date
+                    ? formatDate(event.date)
+                    : event.possibleDates ? event.possibleDates.map(formatDate).join(' or ') : 'Date unknown'}</span>
+                <div class="timeline-body">
+                    <strong>${escapeHtml(event.label)}</strong>
+                    ${event.recurrence ? `<span class="timeline-recurrence">🔁 ${recurrence[event.recurrence]}</span>` : ''}
+                    ${locationBadge(event)}
+                    <p>${escapeHtml(event.text)}</p>
+                </div>
+            </li>
+        `;
+    }
+
+    // What was replaced by placeholders before the text went to the AI
+    function documentTypeBar(documentType) {
+        if (!documentType) return '';
+        const how = documentType.source === 'user'
+            ? 'as you chose'
+            : `detected automatically${documentType.confidence ? `, ${Math.round(documentType.confidence * 100)}% confidence` : ''}`;
+
+        return `
+            <div class="document-type-bar">
+                <span>📂 Analyzed as <strong>${escapeHtml(documentType.name)}</strong> (${how})</span>
+                <label for="documentTypeOverride">
+                    Not right? Re-analyze as
+                    <select id="documentTypeOverride">
+                        ${documentTypes.map(type => `
+                            <option value="${escapeHtml(type.id)}"${type.id === documentType.id ? ' selected' : ''}>${escapeHtml(type.name)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+        `;
+    }
+
+    // Standard protections the document lacks and unusual clauses it contains, for its document type
+    function clauseChecklistSection(checklist, documentType) {
+        if (!checklist) return '';
+        if (checklist.available === false) {
+            return `
+                <div class="checklist-section">
+                    <h3>🧾 Missing or Unusual Clauses</h3>
+                    <p class="checklist-note">Not checked: ${escapeHtml(checklist.reason)}.</p>
+                </div>
+            `;
+        }
+        const checked = checklist.missing.length + checklist.present.length;
+        if (checked === 0 && checklist.unusual.length === 0) return '';
+
+        return `
+            <div class="checklist-section">
+                <h3>🧾 Missing or Unusual Clauses</h3>
+                <p class="checklist-note">
+                    Checked against the standard protections of a ${escapeHtml(documentType.name.toLowerCase())}:
+                    ${checklist.present.length} of ${checked} found.
+                </p>
+                ${checklist.missing.map(item => `
+                    <div class="checklist-item missing importance-${item.importance}">
+                        <div class="checklist-header">
+                            <span class="checklist-title">❌ ${escapeHtml(item.message)}</span>
+                            <span class="risk-level risk-${level(item.importance)}">${escapeHtml(item.importance)}</span>
+                        </div>
+                        <p>${escapeHtml(item.explanation)}</p>
+                    </div>
+                `).join('')}
+                ${checklist.unusual.map(item => `
+                    <div class="checklist-item unusual${anchorClass(item)}"${anchorAttributes(item)}>
+                        <div class="checklist-header">
+                            <span class="checklist-title">⚠️ Unusual: ${escapeHtml(item.name)}</span>
+                            <span class="risk-level risk-${level(item.risk)}">${escapeHtml(item.risk)}</span>
+                        </div>
+                        ${locationBadge(item)}
+                        <p>${escapeHtml(item.explanation)}</p>
+                        <blockquote>${escapeHtml(item.clause)}</blockquote>
+                    </div>
+                `).join('')}
+                ${checklist.present.length > 0 ? `
+                    <p class="checklist-present">✓ Found: ${checklist.present.map(item => escapeHtml(item.name)).join(', ')}</p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    function bindDocumentType() {
+        const override = document.getElementById('documentTypeOverride');
+        if (!override) return;
+
+        override.addEventListener('change', (e) => {
+            reanalyzeAs(e.target.value);
+        });
+    }
+
+    // Runs the analysis again as another document type, from the file or the text it was run on
+    function reanalyzeAs(documentType) {
+        documentTypeSelect.value = documentType;
+        rerunAnalysis();
+    }
+
+    // Analyzes the document on screen again, from the file or the text it was run on
+    function rerunAnalysis(options = {}) {
+        if (currentFile) {
+            analyzeDocument(null, options);
+        } else if (currentAnalysis && currentAnalysis.source && currentAnalysis.source.text) {
+            analyzeText(currentAnalysis.source.text, options);
+        } else {
+            displayError('The document is no longer available to re-analyze. Upload it again to run a new analysis.');
+        }
+    }
+
+    function redactionSection(redaction) {
+        if (!redaction || !redaction.enabled || redaction.items.length === 0) return '';
+
+        const typeLabels = {
+            person: 'Name',
+            email: 'Email',
+            phone: 'Phone',
+            ssn: 'SSN',
+            card: 'Card number',
+            iban: 'IBAN',
+            account: 'Account number',
+            address: 'Address',
+            salary: 'Salary',
+            dob: 'Date of birth'
+        };
+
+        return `
+            <details class="redaction-section">
+                <summary>🔒 ${redaction.total} piece${redaction.total === 1 ? '' : 's'} of personal data hidden from the AI</summary>
+                <p class="redaction-note">The AI saw these placeholders instead of the real values, which were put back into the results.</p>
+                <table class="redaction-table">
+                    <thead>
+                        <tr><th>Placeholder</th><th>Type</th><th>Original</th><th>Occurrences</th></tr>
+                    </thead>
+                    <tbody>
+                        ${redaction.items.map(item => `
+                            <tr>
+                                <td><code>${escapeHtml(item.placeholder)}</code></td>
+                                <td>${escapeHtml(typeLabels[item.type] || item.type)}</td>
+                                <td>${escapeHtml(item.value)}</td>
+                                <td>${item.occurrences}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    function bindTimeline() {
+        const calendarButton = document.getElementById('downloadCalendar');
+        if (!calendarButton) return;
+
+        calendarButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            exportAnalysis('ics', e.currentTarget);
+        });
+        const effectiveDate = document.getElementById('timelineEffectiveDate');
+        const dateOrder = document.getElementById('timelineDateOrder');
+        const redate = () => redateTimeline(effectiveDate.value, dateOrder.value);
+        effectiveDate.addEventListener('change', redate);
+        dateOrder.addEventListener('change', redate);
+    }
+
+    // Re-reads the dates against another effective date or date order without analyzing the document again
+    function redateTimeline(effectiveDate, dateOrder) {
+        const analysis = currentAnalysis;
+        const source = analysis.source;
+        if (!source || !source.text) return;
+
+        apiFetch('/timeline', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                text: source.text,
+                pages: source.pages,
+                effectiveDate: effectiveDate || undefined,
+                dateOrder,
+                actionItems: analysis.actionItems
+            })
+        })
+        .then(response => response.json())
+        .then(data => {
+            if (data.error) throw new Error(data.message);
+            if (currentAnalysis !== analysis) return;
+
+            analysis.timeline = data.timeline;
+            analysis.actionItems = data.actionItems;
+            document.getElementById('timelineSection').outerHTML = timelineSection(data.timeline);
+            const actionList = document.getElementById('actionItemList');
+            if (actionList) actionList.innerHTML = data.actionItems.map(actionItemCard).join('');
+            bindTimeline();
+        })
+        .catch(error => {
+            console.error('Timeline error:', error);
+            alert(error.message || 'Failed to update the dates. Please try again.');
+        });
+    }
+
+    // History of past analyses
+    const historyToggle = document.getElementById("historyToggle");
+    const historyPanel = document.getElementById("historyPanel");
+    const historyClose = document.getElementById("historyClose");
+    const historyList = document.getElementById("historyList");
+
+    historyToggle.addEventListener("click", (e) => {
+        e.preventDefault();
+        if (historyPanel.classList.toggle("active")) {
+            loadHistory();
+        }
+    });
+
+    historyClose.addEventListener("click", (e) => {
+        e.preventDefault();
+        historyPanel.classList.remove("active");
+    });
+
+    function loadHistory() {
+        if (!historyPanel.classList.contains("active")) return;
+
+        apiFetch('/analyses')
+            .then(response => response.json())
+            .then(data => {
+                if (data.error) {
+                    historyList.innerHTML = `<p class="history-empty">${escapeHtml(data.message)}</p>`;
+                } else {
+                    renderHistory(data.analyses);
+                }
+            })
+            .catch(error => {
+                console.error('History error:', error);
+                historyList.innerHTML = '<p class="history-empty">Failed to load history.</p>';
+            });
+    }
+
+    function renderHistory(analyses) {
+        if (analyses.length === 0) {
+            historyList.innerHTML = '<p class="history-empty">No saved analyses yet.</p>';
+            return;
+        }
+        historyList.innerHTML = analyses.map(item => `
+            <div class="history-item" data-id="${escapeHtml(item.id)}">
+                <button class="history-open">
+                    <span class="history-title">${escapeHtml(item.label || item.fileName || 'Pasted text')}</span>
+                    <span class="history-meta">
+                        <span class="risk-level risk-${level(item.overallRisk)}">${escapeHtml(item.overallRisk)}</span>
+                        ${new Date(item.createdAt).toLocaleString()}
+                    </span>
+                </button>
+                <button class="history-delete" aria-label="Delete analysis">🗑️</button>
+            </div>
+        `).join('');
+    }
+
+    historyList.addEventListener('click', (e) => {
+        const item = e.target.closest('.history-item');
+        if (!item) return;
+        if (e.target.closest('.history-delete')) {
+            deleteAnalysis(item.dataset.id);
+        } else if (e.target.closest('.history-open')) {
+            openAnalysis(item.dataset.id);
+        }
+    });
+
+    // Re-opens a saved analysis without calling the model again
+    function openAnalysis(id) {
+        showLoader("Loading saved analysis...");
+
+        apiFetch(`/analyses/${encodeURIComponent(id)}`)
+            .then(response => response.json())
+            .then(data => {
+                hideLoader();
+                if (data.error) {
+                    displayError(data.message);
+                } else {
+                    displayAnalysisResults(data);
+                }
+            })
+            .catch(error => {
+                hideLoader();
+                console.error('History error:', error);
+                displayError('Failed to load the saved analysis. Please try again.');
+            });
+    }
+
+    function deleteAnalysis(id) {
+        if (!confirm('Delete this analysis from the history?')) return;
+
+        apiFetch(`/analyses/${encodeURIComponent(id)}`, { method: 'DELETE' })
+            .then(response => {
+                if (!response.ok) {
+                    return response.json().then(data => { throw new Error(data.message); });
+                }
+                loadHistory();
+            })
+            .catch(error => {
+                console.error('History error:', error);
+                alert(error.message || 'Failed to delete the analysis. Please try again.');
+            });
+    }
+
+    // Compare mode functionality
+    const compareToggle = document.getElementById("compareToggle");
+    const comparePanel = document.getElementById("comparePanel");
+    const compareOriginal = document.getElementById("compareOriginal");
+    const compareRevised = document.getElementById("compareRevised");
+    const compareBtn = document.getElementById("compareBtn");
+
+    compareToggle.addEventListener("click", (e) => {
+        e.preventDefault();
+        comparePanel.classList.toggle("active");
+    });
+
+    compareBtn.addEventListener("click", (e) => {
+        e.preventDefault();
+        compareDocuments();
+    });
+
+    function compareDocuments() {
+        const original = compareOriginal.files[0];
+        const revised = compareRevised.files[0];
+
+        if (!original || !revised) {
+            displayError('Please choose both the original and the revised version to compare.');
+            return;
+        }
+
+        showLoader("Comparing versions...");
+
+        const formData = new FormData();
+        formData.append('original', original);
+        formData.append('revised', revised);
+        formData.append('redact', redactPii.checked);
+        formData.append('outputLanguage', outputLanguage.value);
+        formData.append('documentType', documentTypeSelect.value);
+
+        apiFetch('/compare', {
+            method: 'POST',
+            body: formData
         })
+        .then(response => response.json())
         .then(data => {
             hideLoader();
-            console.log("Analysis data received:", data); // Debug log
             if (data.error) {
                 displayError(data.message);
             } else {
-                displayAnalysisResults(data);
+                displayComparisonResults(data);
             }
         })
         .catch(error => {
             hideLoader();
-            console.error('Analysis error:', error);
-            displayError('Failed to analyze text. Please try again.');
+            console.error('Comparison error:', error);
+            displayError('Failed to compare documents. Please try again.');
         });
     }
 
-    function analyzeDocument(query = null) {
-        console.log("Analyzing document with query:", query); // Debug log
-        
-        if (!currentFile) {
-            displayError('Please upload a document first.');
+    // Batch uploads: every document is analyzed in the background and the
+    // portfolio of results fills in as they finish
+    const BATCH_POLL_MS = 2000;
+    const BATCH_SORTS = {
+        fileName: row => (row.fileName || '').toLowerCase(),
+        documentType: row => (row.documentType || '').toLowerCase(),
+        // By overall risk, then by how many high and medium risk factors
+        overallRisk: row => row.overallRisk
+            ? RISK_RANK[row.overallRisk] * 10000 + row.riskFactors.high * 100 + row.riskFactors.medium
+            : -1,
+        actionItems: row => (row.actionItems ? row.actionItems.high * 100 + row.actionItems.medium : -1),
+        missingClauses: row => (row.missingClauses === undefined || row.missingClauses === null ? -1 : row.missingClauses),
+        status: row => ['running', 'queued', 'failed', 'succeeded'].indexOf(row.status)
+    };
+    let currentBatch = null;
+
+    function isZipFile(file) {
+        return /\.zip$/i.test(file.name) || (!/\.[a-z0-9]+$/i.test(file.name) && /zip/.test(file.type));
+    }
+
+    function analyzeBatch(files) {
+        if (limits && files.length > limits.batchDocuments) {
+            displayError(`A batch can hold at most ${limits.batchDocuments} documents; ${files.length} were chosen.`);
+            return;
+        }
+        if (limits && files.some(file => file.size > (isZipFile(file) ? limits.archiveBytes : limits.uploadBytes))) {
+            displayError(`Some files are too large. Each document can be ${formatMegabytes(limits.uploadBytes)} and each ZIP archive ${formatMegabytes(limits.archiveBytes)}.`);
             return;
         }
 
-        const loadingMessage = query ? "Searching document..." : "Processing document...";
-        showLoader(loadingMessage);
+        showLoader(`Uploading ${files.length === 1 ? 'archive' : `${files.length} documents`}...`);
 
         const formData = new FormData();
-        formData.append('document', currentFile);
-        if (query) {
-            formData.append('query', query);
+        files.forEach(file => formData.append('documents', file));
+        if (analysisLabel.value.trim()) {
+            formData.append('label', analysisLabel.value.trim());
+        }
+        if (effectiveDateInput.value) {
+            formData.append('effectiveDate', effectiveDateInput.value);
         }
+        formData.append('redact', redactPii.checked);
+        formData.append('outputLanguage', outputLanguage.value);
+        formData.append('documentType', documentTypeSelect.value);
 
-        fetch(`${BACKEND_URL}/upload`, {
+        apiFetch('/batches', {
             method: 'POST',
             body: formData
         })
-        .then(response => {
-            console.log("Upload response status:", response.status); // Debug log
-            return response.json();
-        })
+        .then(response => response.json())
         .then(data => {
-            hideLoader();
-            console.log("Document analysis data received:", data); // Debug log
             if (data.error) {
+                hideLoader();
                 displayError(data.message);
-            } else {
-                displayAnalysisResults(data);
+                return;
             }
+            currentBatch = { id: data.batchId, data: null, view: 'portfolio', timer: null, sort: { key: 'overallRisk', descending: true } };
+            setLoaderMessage(`Analyzing ${data.documents} document${data.documents === 1 ? '' : 's'}...`);
+            pollBatch(currentBatch);
         })
         .catch(error => {
             hideLoader();
-            console.error('Document analysis error:', error);
-            displayError('Failed to analyze document. Please try again.');
+            console.error('Batch error:', error);
+            displayError('Failed to upload the batch. Please try again.');
         });
     }
 
-    function showLoader(message) {
+    function pollBatch(batch) {
+        apiFetch(`/batches/${encodeURIComponent(batch.id)}`)
+            .then(response => response.json())
+            .then(data => {
+                // Another analysis replaced the batch while this request was out
+                if (batch !== currentBatch) return;
+                if (data.error) {
+                    hideLoader();
+                    displayError(data.message);
+                    return;
+                }
+                batch.data = data;
+                hideLoader();
+                if (batch.view === 'portfolio') displayPortfolio(data);
+                if (data.portfolio.status !== 'done') {
+                    batch.timer = setTimeout(() => pollBatch(batch), BATCH_POLL_MS);
+                }
+            })
+            .catch(error => {
+                console.error('Batch status error:', error);
+                if (batch === currentBatch) batch.timer = setTimeout(() => pollBatch(batch), BATCH_POLL_MS * 2);
+            });
+    }
+
+    function leaveBatch() {
+        if (!currentBatch) return;
+        clearTimeout(currentBatch.timer);
+        currentBatch = null;
+    }
+
+    function displayPortfolio(data) {
+        const { portfolio } = data;
+        const sort = currentBatch.sort;
+        const sortKey = BATCH_SORTS[sort.key];
+        const rows = data.documents.slice().sort((a, b) => {
+            const x = sortKey(a);
+            const y = sortKey(b);
+            const order = x < y ? -1 : x > y ? 1 : 0;
+            return sort.descending ? -order : order;
+        });
+        const finished = portfolio.statuses.succeeded + portfolio.statuses.failed;
+        const header = (key, label) => `
+            <th aria-sort="${sort.key === key ? (sort.descending ? 'descending' : 'ascending') : 'none'}">
+                <button class="portfolio-sort" data-sort="${key}">${label}${sort.key === key ? (sort.descending ? ' ▼' : ' ▲') : ''}</button>
+            </th>
+        `;
+
+        results.innerHTML = `
+            <div class="analysis-results portfolio-results">
+                <div class="risk-section">
+                    <h3>🗂️ Portfolio${data.label ? `: ${escapeHtml(data.label)}` : ''}</h3>
+                    ${portfolio.status === 'done' ? '' : `
+                        <div class="portfolio-progress">
+                            <progress max="${portfolio.documents}" value="${finished}"></progress>
+                            ${finished} of ${portfolio.documents} documents analyzed…
+                        </div>
+                    `}
+                    <p class="portfolio-summary">
+                        ${['high', 'medium', 'low'].map(level => `
+                            <span class="risk-level risk-${level}">${portfolio.overallRisk[level]} ${level} risk</span>
+                        `).join('')}
+                        ${portfolio.statuses.failed > 0 ? `<span class="portfolio-failed">${portfolio.statuses.failed} failed</span>` : ''}
+                    </p>
+                </div>
+                <div class="portfolio-table-wrapper">
+                    <table class="portfolio-table">
+                        <thead>
+                            <tr>
+                                ${header('fileName', 'Document')}
+                                ${header('documentType', 'Type')}
+                                ${header('overallRisk', 'Overall risk')}
+                                ${header('actionItems', 'Action items')}
+                                ${header('missingClauses', 'Missing clauses')}
+                                ${header('status', 'Status')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(portfolioRow).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${data.skipped.length > 0 ? `
+                    <details class="portfolio-skipped">
+                        <summary>${data.skipped.length} file${data.skipped.length === 1 ? ' was' : 's were'} not analyzed</summary>
+                        <ul>
+                            ${data.skipped.map(item => `<li><strong>${escapeHtml(item.fileName)}</strong>: ${escapeHtml(item.reason)}</li>`).join('')}
+                        </ul>
+                    </details>
+                ` : ''}
+            </div>
+        `;
+        results.classList.add('active');
+        hideSourceViewer();
+        resetChat();
+
+        document.querySelector('.incidents-container').innerHTML = Render.metadataPanel('Portfolio Details', [
+            { label: 'Uploaded', value: new Date(data.createdAt).toLocaleString() },
+            { label: 'Documents', value: `${portfolio.documents} (${portfolio.statuses.succeeded} analyzed${portfolio.statuses.failed ? `, ${portfolio.statuses.failed} failed` : ''})` },
+            { label: 'Risk Factors', value: `${portfolio.riskFactors.high} high, ${portfolio.riskFactors.medium} medium, ${portfolio.riskFactors.low} low` },
+            { label: 'Action Items', value: `${portfolio.actionItems.high} high priority, ${portfolio.actionItems.medium} medium, ${portfolio.actionItems.low} low` },
+            { label: 'Missing Clauses', value: String(portfolio.missingClauses) },
+            { label: 'Skipped Files', value: data.skipped.length > 0 ? String(data.skipped.length) : '' }
+        ]);
+
+        updateChartsWithRiskData(data.documents.filter(row => row.status === 'succeeded'));
+    }
+
+    function portfolioRow(row) {
+        const statusLabels = { queued: '⏳ Queued', running: '⚙️ Analyzing', succeeded: '✓ Done', failed: '❌ Failed' };
+        const analyzed = row.status === 'succeeded';
+        return `
+            <tr class="portfolio-row${analyzed ? ' openable' : ''}" data-job-id="${escapeHtml(row.jobId)}"${analyzed ? ' tabindex="0" title="Open the full analysis"' : ''}>
+                <td class="portfolio-name">${escapeHtml(row.fileName || 'Document')}</td>
+                <td>${analyzed ? escapeHtml(row.documentType || '') : ''}</td>
+                <td>
+                    ${analyzed ? `
+                        <span class="risk-level risk-${level(row.overallRisk)}">${escapeHtml(row.overallRisk)}</span>
+                        <small>${row.riskFactors.high} high · ${row.riskFactors.medium} medium · ${row.riskFactors.low} low</small>
+                    ` : ''}
+                </td>
+                <td>${analyzed ? `${row.actionItems.high + row.actionItems.medium + row.actionItems.low}${row.actionItems.high ? ` <small>(${row.actionItems.high} high)</small>` : ''}` : ''}</td>
+                <td>${analyzed ? (row.missingClauses === null ? '<small>not checked</small>' : row.missingClauses) : ''}</td>
+                <td class="portfolio-status status-${escapeHtml(row.status)}"${row.error ? ` title="${escapeHtml(row.error.message)}"` : ''}>
+                    ${statusLabels[row.status] || escapeHtml(row.status)}${analyzed && row.modelError ? ' <small>(rules only)</small>' : ''}
+                </td>
+            </tr>
+        `;
+    }
+
+    results.addEventListener('click', (e) => {
+        if (!currentBatch) return;
+        const sortButton = e.target.closest('.portfolio-sort');
+        if (sortButton) {
+            const key = sortButton.dataset.sort;
+            currentBatch.sort = {
+                key,
+                descending: currentBatch.sort.key === key ? !currentBatch.sort.descending : key !== 'fileName' && key !== 'documentType'
+            };
+            displayPortfolio(currentBatch.data);
+            return;
+        }
+        if (e.target.closest('#backToPortfolio')) {
+            e.preventDefault();
+            currentBatch.view = 'portfolio';
+            displayPortfolio(currentBatch.data);
+            return;
+        }
+        const row = e.target.closest('.portfolio-row.openable');
+        if (row) openBatchDocument(row.dataset.jobId);
+    });
+
+    results.addEventListener('keydown', (e) => {
+        const row = e.target.closest('.portfolio-row.openable');
+        if (row && e.key === 'Enter') openBatchDocument(row.dataset.jobId);
+    });
+
+    // Drill-down: the full analysis of one document in the batch, with a way back
+    function openBatchDocument(jobId) {
+        const batch = currentBatch;
+        apiFetch(`/jobs/${encodeURIComponent(jobId)}`)
+            .then(response => response.json())
+            .then(job => {
+                if (batch !== currentBatch) return;
+                if (job.error && !job.result) {
+                    displayError(job.error.message || job.message);
+                    return;
+                }
+                batch.view = 'document';
+                displayAnalysisResults(job.result);
+                results.insertAdjacentHTML('afterbegin', `
+                    <div class="portfolio-back">
+                        <button class="upload-btn" id="backToPortfolio">← Back to portfolio</button>
+                        <span>${escapeHtml(job.result.metadata.fileName || '')}</span>
+                    </div>
+                `);
+                results.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            })
+            .catch(error => {
+                console.error('Batch document error:', error);
+                displayError('Failed to open the analysis. Please try again.');
+            });
+    }
+
+    function setLoaderMessage(message) {
         loader.querySelector('p').textContent = message;
+    }
+
+    function showLoader(message) {
+        leaveBatch();
+        setLoaderMessage(message);
         loader.classList.remove("hidden");
         results.innerHTML = "";
+        hideSourceViewer();
+        resetChat();
         console.log("Loader shown with message:", message); // Debug log
     }
 
     function hideLoader() {
         loader.classList.add("hidden");
+        cancelAnalysis.classList.add("hidden");
         console.log("Loader hidden"); // Debug log
     }
 
     function clearResults() {
+        leaveBatch();
+        if (analysisController) {
+            analysisController.abort();
+            analysisController = null;
+        }
         results.innerHTML = '<p class="no-results">No analysis results yet. Upload a document or enter text to analyze.</p>';
+        hideSourceViewer();
+        resetChat();
         document.querySelector('.incidents-container').innerHTML = '<p class="no-incidents">Analysis results will appear here.</p>';
         // Clear charts
         const chartsToDestroy = ['violationsChart', 'penaltyChart'];
@@ -193,115 +1482,300 @@ document.addEventListener("DOMContentLoaded", () => {
     }
 
     function displayError(message) {
-        results.innerHTML = `
-            <div class="error-message">
-                <h3>Analysis Error</h3>
-                <p>${message}</p>
-            </div>
-        `;
+        results.innerHTML = Render.errorMessage(message);
         results.classList.add('active');
+        hideSourceViewer();
+        resetChat();
         console.log("Error displayed:", message); // Debug log
     }
 
     function displayAnalysisResults(data) {
         console.log("Displaying analysis results:", data); // Debug log
+
+        const grounding = data.grounding || null;
+        const warningGrounding = grounding ? grounding.warnings : [];
+        currentAnalysis = data;
         
         // Display simplified analysis
+        const language = data.metadata.language;
+
         results.innerHTML = `
-            <div class="analysis-results">
-                <div class="simplified-section">
-                    <h3>📋 Simplified Analysis</h3>
-                    <div class="simplified-text">${data.simplified}</div>
+            <div class="analysis-results"${language ? ` lang="${escapeHtml(language.output)}"` : ''}>
+                <div class="report-actions">
+                    <select id="reportFormat" aria-label="Report format">
+                        <option value="pdf">PDF</option>
+                        <option value="docx">Word (DOCX)</option>
+                        <option value="md">Markdown</option>
+                        <option value="ics">Key dates (.ics)</option>
+                    </select>
+                    <button class="upload-btn" id="downloadReport">⬇️ Download report</button>
                 </div>
-                
-                <div class="risk-section">
-                    <h3>⚠️ Risk Assessment</h3>
-                    <div class="overall-risk risk-${data.riskAssessment.overallRisk}">
-                        Overall Risk Level: <strong>${data.riskAssessment.overallRisk.toUpperCase()}</strong>
-                    </div>
-                    ${data.riskAssessment.riskFactors.map(factor => `
-                        <div class="risk-factor">
-                            <div class="risk-header">
-                                <span class="risk-clause">${factor.clause}</span>
-                                <span class="risk-level risk-${factor.risk}">${factor.risk}</span>
-                            </div>
-                            <p class="risk-explanation">${factor.explanation}</p>
-                            <p class="risk-impact"><strong>Impact:</strong> ${factor.impact}</p>
-                        </div>
-                    `).join('')}
-                </div>
-
-                ${data.keyTerms && data.keyTerms.length > 0 ? `
-                    <div class="terms-section">
-                        <h3>📖 Key Terms</h3>
-                        ${data.keyTerms.map(term => `
-                            <div class="key-term">
-                                <h4>${term.term}</h4>
-                                <p>${term.definition}</p>
-                                <small><strong>Why it matters:</strong> ${term.importance}</small>
-                            </div>
-                        `).join('')}
+                ${data.metadata.modelError ? `
+                    <div class="grounding-notice">
+                        ⚙️ The AI analysis failed (${escapeHtml(data.metadata.modelError)}), so only the built-in clause rules were applied. Try again later for a full analysis.
                     </div>
                 ` : ''}
-
-                ${data.actionItems && data.actionItems.length > 0 ? `
-                    <div class="actions-section">
-                        <h3>✅ Action Items</h3>
-                        ${data.actionItems.map(action => `
-                            <div class="action-item priority-${action.priority}">
-                                <div class="action-header">
-                                    <span class="action-text">${action.action}</span>
-                                    <span class="priority-badge">${action.priority}</span>
-                                </div>
-                                ${action.deadline ? `<p class="deadline">Deadline: ${action.deadline}</p>` : ''}
-                            </div>
-                        `).join('')}
+                ${data.metadata.ocr && data.metadata.ocr.lowQuality ? `
+                    <div class="grounding-notice">
+                        📷 Parts of this document were scanned images read by OCR with low confidence (${data.metadata.ocr.averageConfidence}%). Some wording may be misread; check important clauses against the original.
                     </div>
                 ` : ''}
-
-                ${data.warnings && data.warnings.length > 0 ? `
-                    <div class="warnings-section">
-                        <h3>🚨 Important Warnings</h3>
-                        ${data.warnings.map(warning => `
-                            <div class="warning-item">${warning}</div>
-                        `).join('')}
+                ${data.metadata.cache && data.metadata.cache.status === 'hit' ? `
+                    <div class="cache-notice">
+                        ⚡ Same result as the earlier analysis of this document from ${new Date(data.metadata.cache.cachedAt).toLocaleString()}.
+                        <button class="upload-btn" id="freshAnalysis">↻ Run a fresh analysis</button>
                     </div>
                 ` : ''}
+                ${Render.simplifiedSection(data.simplified)}
+
+                ${documentTypeBar(data.documentType)}
+
+                ${Render.riskSection(data.riskAssessment, grounding)}
+
+                ${redlineSection(data)}
+
+                ${clauseChecklistSection(data.clauseChecklist, data.documentType)}
+
+                ${Render.keyTermsSection(data.keyTerms)}
+
+                ${Render.actionItemsSection(data.actionItems)}
+
+                ${obligationsSection(data)}
+
+                ${timelineSection(data.timeline)}
+
+                ${redactionSection(data.metadata.redaction)}
+
+                ${Render.warningsSection(data.warnings, warningGrounding)}
             </div>
         `;
         results.classList.add('active');
 
+        showSourceViewer(data.source);
+        startChat(data.metadata.sessionId);
+        document.getElementById('downloadReport').addEventListener('click', downloadReport);
+        bindTimeline();
+        bindRedlines();
+        bindObligations();
+        bindDocumentType();
+        const freshButton = document.getElementById('freshAnalysis');
+        if (freshButton) {
+            freshButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                rerunAnalysis({ fresh: true });
+            });
+        }
+
         // Update incidents section with analysis metadata
-        const incidentsContainer = document.querySelector('.incidents-container');
-        incidentsContainer.innerHTML = `
-            <div class="analysis-metadata">
-                <h3>📊 Analysis Details</h3>
-                <div class="metadata-grid">
-                    <div class="metadata-item">
-                        <strong>Analyzed:</strong> ${new Date(data.metadata.timestamp).toLocaleString()}
-                    </div>
-                    ${data.metadata.fileName ? `
-                        <div class="metadata-item">
-                            <strong>File:</strong> ${data.metadata.fileName}
-                        </div>
-                    ` : ''}
-                    <div class="metadata-item">
-                        <strong>Text Length:</strong> ${data.metadata.textLength} characters
+        const metadata = data.metadata;
+        const plural = (count, word, suffix = 's') => `${count} ${word}${count === 1 ? '' : suffix}`;
+        document.querySelector('.incidents-container').innerHTML = Render.metadataPanel('Analysis Details', [
+            { label: 'Analyzed', value: new Date(metadata.timestamp).toLocaleString() },
+            { label: 'File', value: metadata.fileName },
+            { label: 'Text Length', value: `${metadata.textLength} characters` },
+            { label: 'OCR', value: metadata.ocr && `${plural(metadata.ocr.pages.length, 'scanned page')} (p. ${metadata.ocr.pages.map(p => p.page).join(', ')}), ${metadata.ocr.averageConfidence}% confidence${metadata.ocr.lowQuality ? ' ⚠️ low quality' : ''}` },
+            { label: 'Analyzed In', value: metadata.chunks && metadata.chunks.length > 1 && `${metadata.chunks.length} parts${metadata.pageCount ? ` across ${metadata.pageCount} pages` : ''}` },
+            { label: 'Document Type', value: data.documentType && `${data.documentType.name}${data.documentType.source === 'user' ? ' (chosen)' : ''}` },
+            { label: 'Language', value: language && `${language.detected ? `${language.detected.name} document` : 'Document language not detected'}, explained in ${languageName(language.output)}` },
+            { label: 'Personal Data', value: metadata.redaction && (metadata.redaction.enabled ? `${plural(metadata.redaction.total, 'item')} hidden from the AI` : 'Sent to the AI unredacted') },
+            { label: 'Clause Rules', value: metadata.ruleMatches !== undefined && plural(metadata.ruleMatches, 'match', 'es') },
+            { label: 'Risk Level', value: data.riskAssessment.overallRisk, risk: data.riskAssessment.overallRisk },
+            { label: 'Grounding Score', value: grounding && `${Math.round(grounding.score * 100)}% (${grounding.verified} verified, ${grounding.paraphrased} paraphrased, ${grounding.unsupported} unsupported${grounding.unchecked ? `, ${grounding.unchecked} translated and not checked` : ''})` }
+        ]);
+
+        // Update charts with risk data
+        updateChartsWithRiskData([riskCountsOf(data)]);
+        
+        console.log("Analysis results displayed successfully"); // Debug log
+    }
+
+    function displayComparisonResults(data) {
+        const arrows = { increased: '▲', decreased: '▼', unchanged: '=' };
+        const changeLabels = { added: 'Added', removed: 'Removed', modified: 'Modified' };
+
+        const renderDiff = (change) => {
+            if (!change.diff) {
+                return `
+                    <div class="compare-columns">
+                        <pre class="compare-text removed-text">${escapeHtml(change.original.text.trim())}</pre>
+                        <pre class="compare-text added-text">${escapeHtml(change.revised.text.trim())}</pre>
                     </div>
-                    <div class="metadata-item">
-                        <strong>Risk Level:</strong> <span class="risk-${data.riskAssessment.overallRisk}">${data.riskAssessment.overallRisk}</span>
+                `;
+            }
+            return `
+                <div class="compare-columns">
+                    <pre class="compare-text">${Render.diffSide(change.diff, 'insert')}</pre>
+                    <pre class="compare-text">${Render.diffSide(change.diff, 'delete')}</pre>
+                </div>
+            `;
+        };
+
+        results.innerHTML = `
+            <div class="analysis-results comparison-results">
+                <div class="risk-section">
+                    <h3>🔀 Version Comparison</h3>
+                    <div class="overall-risk risk-${level(data.overallRisk.after)}">
+                        Overall Risk: <strong>${escapeHtml(data.overallRisk.before.toUpperCase())}</strong>
+                        → <strong>${escapeHtml(data.overallRisk.after.toUpperCase())}</strong>
+                        <span class="risk-move risk-move-${data.overallRisk.change}">${arrows[data.overallRisk.change]} ${data.overallRisk.change}</span>
                     </div>
+                    <p class="compare-summary">
+                        ${data.summary.modified} modified · ${data.summary.added} added · ${data.summary.removed} removed · ${data.summary.unchanged} unchanged
+                    </p>
                 </div>
+
+                ${data.changes.length === 0 ? '<p class="no-results">No clause-level changes between the two versions.</p>' : `
+                    <div class="changes-section">
+                        ${data.changes.map(change => `
+                            <div class="clause-change change-${change.type}">
+                                <div class="risk-header">
+                                    <span class="risk-clause">${escapeHtml(change.heading)}</span>
+                                    <span class="change-badge change-badge-${change.type}">${changeLabels[change.type]}</span>
+                                </div>
+                                ${change.type === 'modified' ? renderDiff(change) : `
+                                    <pre class="compare-text ${change.type === 'added' ? 'added-text' : 'removed-text'}">${escapeHtml((change.revised || change.original).text.trim())}</pre>
+                                `}
+                                <p class="risk-impact">
+                                    <strong>Risk:</strong>
+                                    <span class="risk-${level(change.risk.before)}">${escapeHtml(change.risk.before)}</span> →
+                                    <span class="risk-${level(change.risk.after)}">${escapeHtml(change.risk.after)}</span>
+                                    <span class="risk-move risk-move-${change.risk.change}">${arrows[change.risk.change]}</span>
+                                </p>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
             </div>
         `;
+        results.classList.add('active');
+        hideSourceViewer();
 
-        // Update charts with risk data
-        updateChartsWithRiskData(data);
-        
-        console.log("Analysis results displayed successfully"); // Debug log
+        document.querySelector('.incidents-container').innerHTML = Render.metadataPanel('Comparison Details', [
+            { label: 'Compared', value: new Date(data.metadata.timestamp).toLocaleString() },
+            { label: 'Original', value: `${data.original.fileName || 'Pasted text'} (${data.original.riskFactors.length} risk factors)` },
+            { label: 'Revised', value: `${data.revised.fileName || 'Pasted text'} (${data.revised.riskFactors.length} risk factors)` },
+            { label: 'Risk Level', value: `${data.overallRisk.before} → ${data.overallRisk.after}`, risk: data.overallRisk.after }
+        ]);
+
+        updateChartsWithComparison(data);
     }
 
-    function updateChartsWithRiskData(data) {
+    function showSourceViewer(source) {
+        currentSource = source && source.text ? source : { text: '', pages: [] };
+        if (!currentSource.text) {
+            hideSourceViewer();
+            return;
+        }
+        sourceTextEl.textContent = currentSource.text;
+        sourceTextEl.scrollTop = 0;
+        sourceLocation.textContent = 'Click a card marked 📍 to find it in the document';
+        analysisLayout.classList.add('with-source');
+    }
+
+    function hideSourceViewer() {
+        currentSource = { text: '', pages: [] };
+        sourceTextEl.textContent = '';
+        analysisLayout.classList.remove('with-source');
+    }
+
+    function highlightSource(start, end, page) {
+        const text = currentSource.text;
+        if (!text || start >= end || end > text.length) return;
+
+        sourceTextEl.innerHTML = `${escapeHtml(text.slice(0, start))}<mark class="source-highlight">${escapeHtml(text.slice(start, end))}</mark>${escapeHtml(text.slice(end))}`;
+        const mark = sourceTextEl.querySelector('.source-highlight');
+        sourceTextEl.scrollTop = Math.max(0, mark.offsetTop - sourceTextEl.clientHeight / 3);
+        sourceLocation.textContent = page ? `Page ${page}, characters ${start}–${end}` : `Characters ${start}–${end}`;
+    }
+
+    // Clicking an anchored card highlights and scrolls to its passage
+    results.addEventListener('click', (e) => {
+        const card = e.target.closest('.anchored');
+        if (!card || !results.contains(card)) return;
+
+        results.querySelectorAll('.anchored.selected').forEach(el => el.classList.remove('selected'));
+        card.classList.add('selected');
+        highlightSource(Number(card.dataset.start), Number(card.dataset.end), card.dataset.page);
+    });
+
+    function updateChartsWithComparison(data) {
+        ['violationsChart', 'penaltyChart'].forEach(chartId => {
+            const canvas = document.getElementById(chartId);
+            if (canvas && canvas.chart) {
+                canvas.chart.destroy();
+            }
+        });
+
+        const countByRisk = (factors) => ['high', 'medium', 'low'].map(level =>
+            factors.filter(factor => factor.risk === level).length
+        );
+
+        const violationsCtx = document.getElementById("violationsChart");
+        if (violationsCtx) {
+            violationsCtx.chart = new Chart(violationsCtx, {
+                type: "bar",
+                data: {
+                    labels: ["High Risk", "Medium Risk", "Low Risk"],
+                    datasets: [
+                        { label: "Original", data: countByRisk(data.original.riskFactors), backgroundColor: "#94a3b8", borderRadius: 4 },
+                        { label: "Revised", data: countByRisk(data.revised.riskFactors), backgroundColor: "#3b82f6", borderRadius: 4 }
+                    ],
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: { legend: { position: "bottom" } },
+                    scales: {
+                        y: { beginAtZero: true },
+                    },
+                },
+            });
+        }
+
+        const penaltyCtx = document.getElementById("penaltyChart");
+        if (penaltyCtx) {
+            penaltyCtx.chart = new Chart(penaltyCtx, {
+                type: "doughnut",
+                data: {
+                    labels: ["Modified", "Added", "Removed"],
+                    datasets: [{
+                        data: [data.summary.modified, data.summary.added, data.summary.removed],
+                        backgroundColor: ["#f59e0b", "#10b981", "#ef4444"],
+                        borderWidth: 0,
+                        cutout: "70%",
+                    }],
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: {
+                            position: "bottom",
+                            labels: { usePointStyle: true, padding: 15 }
+                        }
+                    }
+                }
+            });
+        }
+    }
+
+    // Risk factors and action items of one analysis counted by level, the shape batch rows come in
+    function riskCountsOf(data) {
+        const count = (items, key) => {
+            const counts = { high: 0, medium: 0, low: 0 };
+            items.forEach(item => {
+                if (counts[item[key]] !== undefined) counts[item[key]]++;
+            });
+            return counts;
+        };
+        return {
+            riskFactors: count(data.riskAssessment.riskFactors, 'risk'),
+            actionItems: count(data.actionItems || [], 'priority')
+        };
+    }
+
+    // Charts the risk factors and action priorities of one or more documents, added up
+    function updateChartsWithRiskData(documents) {
         // Destroy existing charts first
         const chartsToDestroy = ['violationsChart', 'penaltyChart'];
         chartsToDestroy.forEach(chartId => {
@@ -313,8 +1787,12 @@ document.addEventListener("DOMContentLoaded", () => {
 
         // Count risk levels
         const riskCounts = { high: 0, medium: 0, low: 0 };
-        data.riskAssessment.riskFactors.forEach(factor => {
-            riskCounts[factor.risk]++;
+        const actionCounts = { high: 0, medium: 0, low: 0 };
+        documents.forEach(counts => {
+            Object.keys(riskCounts).forEach(level => {
+                riskCounts[level] += counts.riskFactors[level];
+                actionCounts[level] += counts.actionItems[level];
+            });
         });
 
         // Update violations chart with risk factors
@@ -345,12 +1823,6 @@ document.addEventListener("DOMContentLoaded", () => {
         }
 
         // Update penalty chart with action items priority
-        const actionCounts = { high: 0, medium: 0, low: 0 };
-        if (data.actionItems) {
-            data.actionItems.forEach(action => {
-                actionCounts[action.priority]++;
-            });
-        }
 
         const penaltyCtx = document.getElementById("penaltyChart");
         if (penaltyCtx) {